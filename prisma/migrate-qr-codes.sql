@@ -0,0 +1,97 @@
+-- Data Migration: Vehicle.qrToken -> VehicleQrCode
+-- Moves each vehicle's single QR token (and tokens revoked by rotation) into
+-- the vehicle_qr_codes table so existing stickers keep working, and gives
+-- stickers created before short SMS codes existed a code of their own.
+-- Run once against an existing database BEFORE applying the new schema:
+--   npx prisma db execute --file prisma/migrate-qr-codes.sql --schema prisma/schema.prisma
+-- Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS "vehicle_qr_codes" (
+  "id" SERIAL NOT NULL,
+  "vehicle_id" INTEGER NOT NULL,
+  "token" TEXT NOT NULL,
+  "label" TEXT NOT NULL,
+  "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "revoked_at" TIMESTAMP(3),
+  "last_scanned_at" TIMESTAMP(3),
+  CONSTRAINT "vehicle_qr_codes_pkey" PRIMARY KEY ("id"),
+  CONSTRAINT "vehicle_qr_codes_vehicle_id_fkey" FOREIGN KEY ("vehicle_id")
+    REFERENCES "vehicles"("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "vehicle_qr_codes_token_key" ON "vehicle_qr_codes"("token");
+CREATE INDEX IF NOT EXISTS "vehicle_qr_codes_vehicle_id_idx" ON "vehicle_qr_codes"("vehicle_id");
+
+ALTER TABLE "vehicle_qr_codes" ADD COLUMN IF NOT EXISTS "sms_code" TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS "vehicle_qr_codes_sms_code_key" ON "vehicle_qr_codes"("sms_code");
+
+DO $$
+BEGIN
+  -- Active tokens become each vehicle's "Main sticker"
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'vehicles' AND column_name = 'qr_token'
+  ) THEN
+    INSERT INTO "vehicle_qr_codes" ("vehicle_id", "token", "label", "created_at")
+    SELECT "id", "qr_token", 'Main sticker', "created_at" FROM "vehicles"
+    ON CONFLICT ("token") DO NOTHING;
+
+    ALTER TABLE "vehicles" DROP COLUMN "qr_token";
+  END IF;
+
+  -- Previously rotated tokens are kept as revoked stickers
+  IF EXISTS (
+    SELECT 1 FROM information_schema.tables
+    WHERE table_name = 'revoked_qr_tokens'
+  ) THEN
+    INSERT INTO "vehicle_qr_codes" ("vehicle_id", "token", "label", "created_at", "revoked_at")
+    SELECT "vehicle_id", "token", 'Main sticker', "revoked_at", "revoked_at" FROM "revoked_qr_tokens"
+    ON CONFLICT ("token") DO NOTHING;
+
+    DROP TABLE "revoked_qr_tokens";
+  END IF;
+
+  -- Accident reports record which sticker was scanned
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'accident_reports' AND column_name = 'qr_code_id'
+  ) THEN
+    ALTER TABLE "accident_reports" ADD COLUMN "qr_code_id" INTEGER;
+    ALTER TABLE "accident_reports" ADD CONSTRAINT "accident_reports_qr_code_id_fkey"
+      FOREIGN KEY ("qr_code_id") REFERENCES "vehicle_qr_codes"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+  END IF;
+END $$;
+
+-- Short codes for SMS reports, as services/smsCodes.js generates them: seven
+-- random Crockford base32 characters and a Luhn mod 32 check character
+DO $$
+DECLARE
+  alphabet CONSTANT TEXT := '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+  sticker RECORD;
+  code TEXT;
+  factor INTEGER;
+  addend INTEGER;
+  total INTEGER;
+BEGIN
+  FOR sticker IN SELECT "id" FROM "vehicle_qr_codes" WHERE "sms_code" IS NULL LOOP
+    LOOP
+      code := '';
+      FOR i IN 1..7 LOOP
+        code := code || substr(alphabet, 1 + floor(random() * 32)::INTEGER, 1);
+      END LOOP;
+
+      total := 0;
+      factor := 2;
+      FOR i IN REVERSE 7..1 LOOP
+        addend := factor * (strpos(alphabet, substr(code, i, 1)) - 1);
+        total := total + addend / 32 + addend % 32;
+        factor := 3 - factor;
+      END LOOP;
+      code := code || substr(alphabet, 1 + (32 - total % 32) % 32, 1);
+
+      EXIT WHEN NOT EXISTS (SELECT 1 FROM "vehicle_qr_codes" WHERE "sms_code" = code);
+    END LOOP;
+
+    UPDATE "vehicle_qr_codes" SET "sms_code" = code WHERE "id" = sticker."id";
+  END LOOP;
+END $$;
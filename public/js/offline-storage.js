@@ -51,7 +51,22 @@ async function getDB() {
   return await initDB();
 }
 
+// Random UUID (v4) identifying one report across submissions and sync retries
+// crypto.randomUUID is only available on HTTPS pages, so build one otherwise
+function generateIdempotencyKey() {
+  if (window.crypto && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
 // Store a report in the queue
+// Every queued report carries an idempotency key, so the server can tell a
+// repeated sync of the same report from a new one
 async function queueReport(reportData) {
   try {
     const database = await getDB();
@@ -60,6 +75,7 @@ async function queueReport(reportData) {
 
     const report = {
       ...reportData,
+      idempotencyKey: reportData.idempotencyKey || generateIdempotencyKey(),
       timestamp: Date.now(),
       status: 'pending',
       retryCount: 0
@@ -398,6 +414,7 @@ function onOnlineStatusChange(callback) {
 // Export functions
 window.offlineStorage = {
   init: initDB,
+  generateIdempotencyKey,
   queueReport,
   storeImage,
   getPendingReports,
@@ -74,6 +74,12 @@ async function syncReport(report) {
     if (report.longitude) formData.append('longitude', report.longitude);
     if (report.manualLocation) formData.append('manualLocation', report.manualLocation);
     if (report.helperNote) formData.append('helperNote', report.helperNote);
+    ['injuredCount', 'riderConscious', 'fireOrFuelLeak', 'ambulanceCalled'].forEach(field => {
+      if (report[field] !== null && report[field] !== undefined) formData.append(field, report[field]);
+    });
+    if (report.scannedAt) formData.append('scannedAt', report.scannedAt);
+    // Reports queued before idempotency keys existed have none and are sent as before
+    if (report.idempotencyKey) formData.append('idempotencyKey', report.idempotencyKey);
 
     // Add images
     if (images && images.length > 0) {
@@ -133,8 +139,11 @@ async function syncReport(report) {
     
     if (response.ok) {
       // Success - remove from queue IMMEDIATELY to prevent duplicate syncs
+      // (a replayed report was already received by the server: nothing new was sent)
       await window.offlineStorage.removeReport(report.id);
-      console.log('✅ Report synced successfully and removed from queue:', report.id);
+      console.log(`✅ Report synced successfully and removed from queue: ${report.id}${responseData.replayed ? ` (already received as report ${responseData.reportId})` : ''}`);
+      // Lets the report page show what a received report unlocks (medical fields)
+      window.dispatchEvent(new CustomEvent('reportsynced', { detail: responseData }));
       return { success: true, reportId: report.id };
     } else {
       // Failed - update status
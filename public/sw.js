@@ -2,7 +2,7 @@
 // Enables offline functionality for accident reporting form
 // Includes Background Sync API for automatic report syncing
 
-const CACHE_NAME = 'assistqr-v9';
+const CACHE_NAME = 'assistqr-v12';
 
 // Install: Cache resources when Service Worker is installed
 self.addEventListener('install', (event) => {
@@ -56,6 +56,9 @@ self.addEventListener('fetch', (event) => {
         try {
           const cache = await caches.open(CACHE_NAME);
           // Include query string in cache key so each QR code (token) gets its own cache entry
+          // The cached page also carries the owner's public medical fields, so
+          // responders can read them on a scan without data (never the fields
+          // kept for after a report: the page fetches those once a report syncs)
           const cacheKey = new Request(event.request.url, { method: 'GET' });
           
           // Try network first
@@ -69,6 +72,11 @@ self.addEventListener('fetch', (event) => {
                 console.log('[SW] Cache put error:', err);
               });
               console.log('[SW] ✅ Cached form page');
+            } else if (response && response.status === 410) {
+              // Sticker replaced by owner - drop the stale form so it is not served offline
+              cache.delete(cacheKey).catch(err => {
+                console.log('[SW] Cache delete error:', err);
+              });
             }
             
             return response;
@@ -1,16 +1,132 @@
 // Accident Reporting Routes
 // Public endpoint: Bystanders submit accident reports via QR code scan
+// Protected: owners move reports through their status workflow
 
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const multer = require('multer');
 const prisma = require('../config/database');
-const { uploadMultiple, getFileUrl } = require('../services/s3');
-const { sendAccidentAlertEmail } = require('../services/email');
-const { sendAccidentAlertSMS } = require('../services/sms');
+const { requireAuth } = require('../middleware/auth');
+const { uploadMultiple, uploadedImages, removeUploadedImage } = require('../services/s3');
+const { resolveQrToken } = require('../services/qrCodes');
+const { summarizeNotifications, countNotified } = require('../services/contactAlerts');
+const { notifyContacts } = require('../services/notificationOutbox');
+const { createStatusToken, verifyStatusToken, createFollowUpToken, verifyFollowUpToken } = require('../services/acknowledgements');
+const { REPORT_STATUSES, STATUS_LABELS, CLOSED_STATUSES, canTransition, changeReportStatus } = require('../services/reportStatus');
+const { scheduleEscalations, cancelEscalations } = require('../services/escalations');
+const { isRelayOpen, listMessages, postMessage, bystanderView, findConversationForSms } = require('../services/relay');
+const { callBridgeEnabled, startCallBridge } = require('../services/callBridge');
+const { verifySmsWebhook, recordWebhookRejection } = require('../services/webhookAuth');
+const { parseWebhookPayload, parseSmsCommand } = require('../services/smsCommands');
+const { handleContactCommand } = require('../services/contactCommands');
+const { canMerge, findRecentReportToMerge, mergeIntoReport } = require('../services/reportMerge');
+const { MAX_NOTE_LENGTH, isFollowUpOpen, describeFollowUp, addFollowUp } = require('../services/followUps');
+const { ANSWERS, YES_NO_FIELDS, MAX_INJURED, parseTriage, pickTriage, triageItems } = require('../services/triage');
+const { visibleMedicalFields, formatMedicalSms } = require('../services/medicalProfile');
 
 const router = express.Router();
 
+// Contacts are notified highest priority first (owner sets the order on the vehicle page)
+const CONTACT_PRIORITY_ORDER = [{ priority: 'asc' }, { createdAt: 'asc' }];
+
+// Scan times older than this are ignored (offline reports can sync days later)
+const MAX_SCAN_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Time the bystander opened the report page, as sent by their browser
+// Returns null for missing, unparseable, future or implausibly old values
+function parseScannedAt(value) {
+  const scannedAt = value ? new Date(value) : null;
+  if (!scannedAt || isNaN(scannedAt.getTime())) {
+    return null;
+  }
+  const age = Date.now() - scannedAt.getTime();
+  if (age < -60 * 1000 || age > MAX_SCAN_AGE_MS) {
+    return null;
+  }
+  return scannedAt;
+}
+
+const REPLAY_INCLUDE = {
+  vehicle: { select: { licensePlate: true, user: { select: { medicalProfile: true } } } },
+  notifications: { where: { source: 'report' }, select: { contactId: true, status: true } }
+};
+
+// Offline sync may send the same queued report more than once (a retry after
+// a lost response, a second tab). The client's idempotency key identifies the
+// report, so a replay gets the original back instead of a second round of alerts
+async function findReportByIdempotencyKey(idempotencyKey) {
+  if (!idempotencyKey) {
+    return null;
+  }
+  return prisma.accidentReport.findUnique({
+    where: { idempotencyKey },
+    include: REPLAY_INCLUDE
+  });
+}
+
+// Create a report, unless a concurrent request with the same key got there first
+// Returns { report } or { replayed } (see findReportByIdempotencyKey)
+async function createReportOnce(data) {
+  try {
+    return { report: await prisma.accidentReport.create({ data, include: { images: true } }) };
+  } catch (error) {
+    const replayed = error.code === 'P2002' && await findReportByIdempotencyKey(data.idempotencyKey);
+    if (replayed) {
+      return { replayed };
+    }
+    throw error;
+  }
+}
+
+// JSON answer to a replayed submission: the original report and its alerts
+// merged: the submission added photos/details to a report sent earlier by SMS
+function replayedReportResponse(report, { merged = false } = {}) {
+  const notified = new Set(report.notifications
+    .filter(n => !['skipped', 'cancelled'].includes(n.status))
+    .map(n => n.contactId));
+  if (!merged) {
+    console.log(`🔁 Replayed submission for report ${report.id} (idempotency key ${report.idempotencyKey})`);
+  }
+  return {
+    success: true,
+    ...(merged ? { merged: true } : { replayed: true }),
+    message: merged
+      ? 'Your photos and details were added to the report you sent earlier. Emergency contacts have been updated.'
+      : 'This report was already received. Emergency contacts have been notified.',
+    reportId: report.id,
+    statusUrl: `/accidents/status/${createStatusToken(report.id)}`,
+    messagesUrl: `/accidents/messages/${createStatusToken(report.id)}`,
+    followUpUrl: `/accidents/follow-up/${createFollowUpToken(report.id)}`,
+    notificationCount: notified.size,
+    medical: visibleMedicalFields(report.vehicle.user.medicalProfile, { reported: true })
+  };
+}
+
+// /report answers a replay like the original submission: JSON for sync, the thank-you page for forms
+function sendReplayedReport(req, res, report, isProgrammatic, options) {
+  const response = replayedReportResponse(report, options);
+  if (isProgrammatic) {
+    return res.json(response);
+  }
+  return res.render('accidents/thankyou', {
+    vehicleLicensePlate: report.vehicle.licensePlate,
+    notificationCount: response.notificationCount,
+    statusUrl: response.statusUrl,
+    messagesUrl: response.messagesUrl,
+    followUpUrl: response.followUpUrl,
+    callUrl: callBridgeEnabled() ? `/accidents/call/${createStatusToken(report.id)}` : null,
+    medical: response.medical
+  });
+}
+
+// Optional triage answers on the report form (see services/triage.js)
+const triageValidators = [
+  body('injuredCount').optional({ checkFalsy: true }).isInt({ min: 0, max: MAX_INJURED }),
+  ...YES_NO_FIELDS.map(field => body(field).optional({ checkFalsy: true }).isIn(ANSWERS))
+];
+
+const REVOKED_TOKEN_MESSAGE = 'This sticker has been replaced by the vehicle owner. Please call local emergency services.';
+
 router.post('/report', (req, res, next) => {
   uploadMultiple(req, res, (err) => {
     if (err) {
@@ -58,7 +174,9 @@ router.post('/report', (req, res, next) => {
     return true;
   }),
   body('manualLocation').optional({ checkFalsy: true }).trim().isLength({ max: 500 }),
-  body('helperNote').optional({ checkFalsy: true }).trim().isLength({ max: 1000 })
+  body('helperNote').optional({ checkFalsy: true }).trim().isLength({ max: 1000 }),
+  ...triageValidators,
+  body('idempotencyKey').optional({ checkFalsy: true }).isUUID()
 ], async (req, res) => {
   try {
     // Check if this is a programmatic request (from sync)
@@ -85,17 +203,34 @@ router.post('/report', (req, res, next) => {
       }
     }
 
-    const { qrToken, latitude, longitude, manualLocation, helperNote } = req.body;
+    const { qrToken, latitude, longitude, manualLocation, helperNote, scannedAt, idempotencyKey } = req.body;
+
+    // A report first sent by SMS or /report-offline is completed by this one
+    // (see services/reportMerge.js); anything else with this key is a replay
+    const existing = await findReportByIdempotencyKey(idempotencyKey);
+    if (existing && !canMerge(existing)) {
+      return sendReplayedReport(req, res, existing, isProgrammatic);
+    }
 
-    const vehicle = await prisma.vehicle.findUnique({
-      where: { qrToken },
+    const { status: qrStatus, qrCode, vehicle } = await resolveQrToken(qrToken, {
       include: {
-        emergencyContacts: true,
-        user: { select: { id: true, name: true } }
+        emergencyContacts: { orderBy: CONTACT_PRIORITY_ORDER },
+        escalationRules: true,
+        user: { select: { id: true, name: true, medicalProfile: true } }
       }
     });
 
     if (!vehicle) {
+      // Sticker was replaced by the owner - show a clear message instead of "not found"
+      if (qrStatus === 'revoked') {
+        if (isProgrammatic) {
+          return res.status(410).json({
+            success: false,
+            error: REVOKED_TOKEN_MESSAGE
+          });
+        }
+        return res.status(410).render('qr/revoked');
+      }
       if (isProgrammatic) {
         return res.status(404).json({
           success: false,
@@ -124,11 +259,8 @@ router.post('/report', (req, res, next) => {
       console.warn('⚠️ No files received in request');
     }
 
-    const imageUrls = (req.files || []).map(file => {
-      const url = file.location || getFileUrl(file.filename || file.key);
-      console.log(`  🔗 Mapping file to URL: ${file.filename || file.key} -> ${url || 'NULL'}`);
-      return url;
-    }).filter(Boolean);
+    const images = await uploadedImages(req.files);
+    const imageUrls = images.map(image => image.imageUrl);
 
     // Log image URLs for debugging
     console.log(`📸 Generated ${imageUrls.length} image URL(s):`);
@@ -148,58 +280,77 @@ router.post('/report', (req, res, next) => {
       console.warn('⚠️  No images in request - this might be an offline sync issue');
     }
 
-    const accidentReport = await prisma.accidentReport.create({
-      data: {
-        vehicleId: vehicle.id,
-        lat,
-        lng,
-        manualLocation: manualLocation?.trim() || null,
-        helperNote: helperNote?.trim() || null,
-        images: { create: imageUrls.map(url => ({ imageUrl: url })) }
-      },
-      include: { images: true }
-    });
-
-    // Prepare notification data
-    const vehicleData = {
-          licensePlate: vehicle.licensePlate,
-          model: vehicle.model,
-          color: vehicle.color
-    };
-
-    // Send EMAIL ONLY to all emergency contacts (online mode)
-    // SMS is sent separately via /report-offline endpoint when offline
-    const notificationPromises = vehicle.emergencyContacts.map(contact => 
-      sendAccidentAlertEmail({
-        vehicle: vehicleData,
-        contact: { name: contact.name, email: contact.email },
-        lat, lng, imageUrls,
-        helperNote: helperNote || null,
-        manualLocation: manualLocation || null
-      }).catch(err => {
-        console.error(`Failed to send email to ${contact.email}:`, err);
-        return { success: false };
-      })
-    );
-
-    console.log('⏳ Sending email notifications to', vehicle.emergencyContacts.length, 'contact(s)...');
-    await Promise.all(notificationPromises);
-    console.log('✅ All email notifications sent!');
+    // Without a matching key (report sent from the phone's SMS app), a recent
+    // SMS-first report for the same sticker is completed instead
+    const mergeTarget = existing || await findRecentReportToMerge(qrCode.id);
+    if (mergeTarget && mergeTarget.vehicleId === vehicle.id) {
+      const { merged } = await mergeIntoReport(mergeTarget, {
+        images, lat, lng, manualLocation, helperNote, triage: parseTriage(req.body), idempotencyKey
+      });
+      if (merged) {
+        const report = await prisma.accidentReport.findUnique({ where: { id: mergeTarget.id }, include: REPLAY_INCLUDE });
+        return sendReplayedReport(req, res, report, isProgrammatic, { merged: true });
+      }
+      // A concurrent copy of this submission merged first
+      if (existing) {
+        return sendReplayedReport(req, res, await findReportByIdempotencyKey(idempotencyKey), isProgrammatic);
+      }
+    }
+
+    const { report: accidentReport, replayed: concurrent } = await createReportOnce({
+      vehicleId: vehicle.id,
+      qrCodeId: qrCode.id,
+      lat,
+      lng,
+      manualLocation: manualLocation?.trim() || null,
+      helperNote: helperNote?.trim() || null,
+      ...parseTriage(req.body),
+      scannedAt: parseScannedAt(scannedAt),
+      idempotencyKey: idempotencyKey || null,
+      images: { create: images }
+    });
+    if (concurrent) {
+      return sendReplayedReport(req, res, concurrent, isProgrammatic);
+    }
+
+    // Online mode: email by default, SMS only for contacts who prefer it
+    // (offline reports go through /report-offline, which texts by default)
+    // Alerts are queued in the outbox and sent in the background
+    const notifications = await notifyContacts(vehicle, { online: true, reportId: accidentReport.id });
+    const notificationCount = countNotified(notifications);
+    console.log('✅ Notifications queued:', JSON.stringify(summarizeNotifications(notifications)));
+
+    // Escalate to further tiers unless a contact acknowledges in time
+    await scheduleEscalations(accidentReport, vehicle).catch(err => {
+      console.error('❌ Failed to schedule escalations:', err);
+    });
 
     // Check if this is a programmatic request (from sync) - return JSON
     if (isProgrammatic) {
       return res.json({
         success: true,
-        message: 'Emergency report received. Emergency contacts have been notified via email.',
+        message: 'Emergency report received. Emergency contacts have been notified.',
         reportId: accidentReport.id,
-        notificationCount: vehicle.emergencyContacts.length
+        statusUrl: `/accidents/status/${createStatusToken(accidentReport.id)}`,
+        messagesUrl: `/accidents/messages/${createStatusToken(accidentReport.id)}`,
+        followUpUrl: `/accidents/follow-up/${createFollowUpToken(accidentReport.id)}`,
+        notificationCount,
+        notifications: summarizeNotifications(notifications),
+        // Shown by the report page once a queued report has synced
+        medical: visibleMedicalFields(vehicle.user.medicalProfile, { reported: true })
       });
     }
 
     // Otherwise return HTML for browser form submissions
     res.render('accidents/thankyou', {
       vehicleLicensePlate: vehicle.licensePlate,
-      notificationCount: vehicle.emergencyContacts.length
+      notificationCount,
+      statusUrl: `/accidents/status/${createStatusToken(accidentReport.id)}`,
+      messagesUrl: `/accidents/messages/${createStatusToken(accidentReport.id)}`,
+      followUpUrl: `/accidents/follow-up/${createFollowUpToken(accidentReport.id)}`,
+      callUrl: callBridgeEnabled() ? `/accidents/call/${createStatusToken(accidentReport.id)}` : null,
+      // A report is in, so fields the owner kept off the scan page are shown too
+      medical: visibleMedicalFields(vehicle.user.medicalProfile, { reported: true })
     });
   } catch (error) {
     console.error('Error processing accident report:', error);
@@ -261,7 +412,9 @@ router.post('/report-offline', (req, res, next) => {
     return true;
   }),
   body('manualLocation').optional({ checkFalsy: true }).trim().isLength({ max: 500 }),
-  body('helperNote').optional({ checkFalsy: true }).trim().isLength({ max: 1000 })
+  body('helperNote').optional({ checkFalsy: true }).trim().isLength({ max: 1000 }),
+  ...triageValidators,
+  body('idempotencyKey').optional({ checkFalsy: true }).isUUID()
 ], async (req, res) => {
   try {
     console.log('📱 ===== OFFLINE REPORT RECEIVED =====');
@@ -285,18 +438,29 @@ router.post('/report-offline', (req, res, next) => {
       }
     }
 
-    const { qrToken, latitude, longitude, manualLocation, helperNote } = req.body;
-    console.log('📱 Report data:', { qrToken, latitude, longitude, manualLocation, helperNote });
+    const { qrToken, latitude, longitude, manualLocation, helperNote, scannedAt, idempotencyKey } = req.body;
+    console.log('📱 Report data:', { qrToken, latitude, longitude, manualLocation, helperNote, idempotencyKey });
+
+    const replayed = await findReportByIdempotencyKey(idempotencyKey);
+    if (replayed) {
+      return res.json(replayedReportResponse(replayed));
+    }
 
-    const vehicle = await prisma.vehicle.findUnique({
-      where: { qrToken },
+    const { status: qrStatus, qrCode, vehicle } = await resolveQrToken(qrToken, {
       include: {
-        emergencyContacts: true,
-        user: { select: { id: true, name: true } }
+        emergencyContacts: { orderBy: CONTACT_PRIORITY_ORDER },
+        escalationRules: true,
+        user: { select: { id: true, name: true, medicalProfile: true } }
       }
     });
 
     if (!vehicle) {
+      if (qrStatus === 'revoked') {
+        return res.status(410).json({
+          success: false,
+          error: REVOKED_TOKEN_MESSAGE
+        });
+      }
       return res.status(404).json({
         success: false,
         error: 'Invalid QR code. Vehicle not found.'
@@ -306,83 +470,57 @@ router.post('/report-offline', (req, res, next) => {
     const lat = latitude ? parseFloat(latitude) : null;
     const lng = longitude ? parseFloat(longitude) : null;
 
-    // Get image URLs (if any - images may not be available via cellular)
-    const imageUrls = (req.files || []).map(file => {
-      const url = file.location || getFileUrl(file.filename || file.key);
-      return url;
-    }).filter(Boolean);
+    // Uploaded photos (if any - images may not be available via cellular)
+    const images = await uploadedImages(req.files);
 
     // Create accident report in database
-    const accidentReport = await prisma.accidentReport.create({
-      data: {
-        vehicleId: vehicle.id,
-        lat,
-        lng,
-        manualLocation: manualLocation?.trim() || null,
-        helperNote: helperNote?.trim() || null,
-        images: { create: imageUrls.map(url => ({ imageUrl: url })) }
-      },
-      include: { images: true }
+    const { report: accidentReport, replayed: concurrent } = await createReportOnce({
+      vehicleId: vehicle.id,
+      qrCodeId: qrCode.id,
+      lat,
+      lng,
+      manualLocation: manualLocation?.trim() || null,
+      helperNote: helperNote?.trim() || null,
+      ...parseTriage(req.body),
+      scannedAt: parseScannedAt(scannedAt),
+      idempotencyKey: idempotencyKey || null,
+      source: 'offline',
+      images: { create: images }
     });
+    if (concurrent) {
+      return res.json(replayedReportResponse(concurrent));
+    }
 
-    // Prepare notification data
-    const vehicleData = {
-      licensePlate: vehicle.licensePlate,
-      model: vehicle.model,
-      color: vehicle.color
-    };
-
-    // Send SMS ONLY to all emergency contacts (no email - internet is down)
+    // Offline mode: the bystander has no internet but the server does,
+    // so every contact gets each channel they prefer (SMS and/or email)
     // Bystander never sees these phone numbers - server handles it
-    console.log('📱 ===== OFFLINE MODE: SENDING SMS NOTIFICATIONS =====');
+    console.log('📱 ===== OFFLINE MODE: QUEUING NOTIFICATIONS =====');
     console.log('📱 Emergency contacts count:', vehicle.emergencyContacts.length);
     console.log('📱 Emergency contacts:', vehicle.emergencyContacts.map(c => ({ 
       name: c.name, 
       phone: c.phoneNumber,
-      phoneRaw: c.phoneNumber,
+      channels: c.channels,
       phoneLength: c.phoneNumber ? c.phoneNumber.replace(/\D/g, '').length : 0
     })));
     console.log('📱 Fast2SMS configured:', !!process.env.FAST2SMS_API_KEY);
     console.log('📱 Twilio configured:', !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN));
     
-    const smsPromises = vehicle.emergencyContacts.map(contact => {
-      console.log(`📱 Preparing SMS for ${contact.name} (${contact.phoneNumber})...`);
-      return sendAccidentAlertSMS({
-        vehicle: vehicleData,
-        contact: { name: contact.name, phoneNumber: contact.phoneNumber },
-        lat, lng, imageUrls,
-        helperNote: helperNote || null,
-        manualLocation: manualLocation || null
-      }).then(result => {
-        console.log(`📱 SMS result for ${contact.name} (${contact.phoneNumber}):`, result);
-        return result;
-      }).catch(err => {
-        console.error(`❌ Failed to send SMS to ${contact.phoneNumber}:`, err);
-        console.error(`   Error details:`, err.message, err.stack);
-        return { success: false, error: err.message };
-      });
-    });
+    const notifications = await notifyContacts(vehicle, { online: false, reportId: accidentReport.id });
+    console.log('📱 Notifications queued:', JSON.stringify(summarizeNotifications(notifications)));
 
-    const smsResults = await Promise.all(smsPromises);
-    console.log('📱 ===== SMS SENDING COMPLETE =====');
-    console.log('📱 SMS sending results:', JSON.stringify(smsResults, null, 2));
-    const successCount = smsResults.filter(r => r && r.success).length;
-    const failedCount = smsResults.filter(r => !r || !r.success).length;
-    console.log(`📱 Summary: ${successCount} succeeded, ${failedCount} failed out of ${vehicle.emergencyContacts.length} total`);
-    
-    if (successCount === 0 && vehicle.emergencyContacts.length > 0) {
-      console.error('❌ WARNING: No SMS messages were sent successfully!');
-      console.error('   This might indicate:');
-      console.error('   1. Fast2SMS API key not configured (check FAST2SMS_API_KEY in .env)');
-      console.error('   2. Phone numbers are not Indian numbers (Fast2SMS only works for India)');
-      console.error('   3. Twilio not configured for international numbers');
-    }
+    // Escalate to further tiers unless a contact acknowledges in time
+    await scheduleEscalations(accidentReport, vehicle).catch(err => {
+      console.error('❌ Failed to schedule escalations:', err);
+    });
 
     // Return JSON response (for offline cellular submissions)
     res.json({
       success: true,
-      message: 'Emergency report received via cellular network. Emergency contacts have been notified via SMS.',
-      reportId: accidentReport.id
+      message: 'Emergency report received via cellular network. Emergency contacts have been notified.',
+      reportId: accidentReport.id,
+      notificationCount: countNotified(notifications),
+      notifications: summarizeNotifications(notifications),
+      medical: visibleMedicalFields(vehicle.user.medicalProfile, { reported: true })
     });
   } catch (error) {
     console.error('Error processing offline accident report:', error);
@@ -394,41 +532,496 @@ router.post('/report-offline', (req, res, next) => {
   }
 });
 
+// "Call family" from the thank-you page (signed status link): connect the
+// bystander to the highest-priority contact through the Twilio number.
+// Only for a report that was already sent, so a call never raises alerts itself
+router.post('/call/:token', [
+  body('phoneNumber').trim().matches(/^\+[1-9]\d{7,14}$/)
+], async (req, res) => {
+  try {
+    const reportId = verifyStatusToken(req.params.token);
+    const report = reportId && await prisma.accidentReport.findUnique({
+      where: { id: reportId },
+      include: {
+        vehicle: { include: { emergencyContacts: { orderBy: CONTACT_PRIORITY_ORDER } } }
+      }
+    });
+
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+    if (!validationResult(req).isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please enter your phone number with country code (e.g. +919876543210).'
+      });
+    }
+    if (CLOSED_STATUSES.includes(report.status)) {
+      return res.status(409).json({ success: false, error: 'This report has been closed.' });
+    }
+
+    const result = await startCallBridge({ report, vehicle: report.vehicle, bystanderPhone: req.body.phoneNumber });
+    if (result.error) {
+      return res.status(409).json({ success: false, error: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: 'We are calling you now. Answer to be connected to the family.'
+    });
+  } catch (error) {
+    console.error('Error starting call bridge:', error);
+    res.status(500).json({ success: false, error: 'Error starting the call. Please try again.' });
+  }
+});
+
+// Report status for the bystander's thank-you page (signed link, no contact details)
+router.get('/status/:token', async (req, res) => {
+  try {
+    const reportId = verifyStatusToken(req.params.token);
+    const report = reportId && await prisma.accidentReport.findUnique({
+      where: { id: reportId },
+      select: { acknowledgedAt: true }
+    });
+
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    res.json({
+      acknowledged: !!report.acknowledgedAt,
+      acknowledgedAt: report.acknowledgedAt
+    });
+  } catch (error) {
+    console.error('Error loading report status:', error);
+    res.status(500).json({ error: 'Error loading report status' });
+  }
+});
+
+// Relay conversation for the bystander's thank-you page (signed link, contact names hidden)
+// ?after=<id> returns only newer messages, so the page can poll cheaply
+router.get('/messages/:token', async (req, res) => {
+  try {
+    const reportId = verifyStatusToken(req.params.token);
+    const report = reportId && await prisma.accidentReport.findUnique({
+      where: { id: reportId },
+      select: { id: true, status: true, createdAt: true }
+    });
+
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const messages = await listMessages(report.id, { afterId: parseInt(req.query.after) || 0 });
+    res.json({
+      open: isRelayOpen(report),
+      messages: messages.map(bystanderView)
+    });
+  } catch (error) {
+    console.error('Error loading relay messages:', error);
+    res.status(500).json({ error: 'Error loading messages' });
+  }
+});
+
+// Bystander writes to the emergency contacts
+router.post('/messages/:token', [
+  body('body').trim().notEmpty()
+], async (req, res) => {
+  try {
+    const reportId = verifyStatusToken(req.params.token);
+    const report = reportId && await prisma.accidentReport.findUnique({
+      where: { id: reportId },
+      include: { vehicle: { select: { licensePlate: true } } }
+    });
+
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+    if (!validationResult(req).isEmpty()) {
+      return res.status(400).json({ success: false, error: 'Message is empty.' });
+    }
+
+    const result = await postMessage(report, { sender: 'bystander' }, req.body.body, 'web');
+    if (result.error) {
+      return res.status(409).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, message: bystanderView(result.message) });
+  } catch (error) {
+    console.error('Error posting relay message:', error);
+    res.status(500).json({ success: false, error: 'Error sending message. Please try again.' });
+  }
+});
+
+// Report named by a bystander's follow-up link, with its earlier follow-ups (null if invalid)
+async function findFollowUpReport(token) {
+  const reportId = verifyFollowUpToken(token);
+  return reportId && prisma.accidentReport.findUnique({
+    where: { id: reportId },
+    include: {
+      vehicle: { select: { licensePlate: true } },
+      updates: { orderBy: { createdAt: 'asc' } }
+    }
+  });
+}
+
+function renderFollowUp(res, token, report, { status = 200, sent = false, error = null } = {}) {
+  res.status(status).render('accidents/followup', {
+    token,
+    report,
+    updates: report.updates.map(update => ({ ...update, text: describeFollowUp(update) })),
+    open: isFollowUpOpen(report),
+    maxNoteLength: MAX_NOTE_LENGTH,
+    sent,
+    error
+  });
+}
+
+// Bystander's follow-up page: post updates, add photos, correct the location
+router.get('/follow-up/:token', async (req, res) => {
+  try {
+    const report = await findFollowUpReport(req.params.token);
+    if (!report) {
+      return res.status(404).render('error', {
+        message: 'This link is invalid or the report no longer exists.',
+        error: null
+      });
+    }
+    renderFollowUp(res, req.params.token, report, { sent: req.query.sent === '1' });
+  } catch (error) {
+    console.error('Error loading follow-up page:', error);
+    res.status(500).render('error', {
+      message: 'Error loading your report. Please try again.',
+      error: null
+    });
+  }
+});
+
+router.post('/follow-up/:token', (req, res, next) => {
+  uploadMultiple(req, res, (err) => {
+    if (err) {
+      console.error('File upload error:', err);
+      const messages = {
+        'LIMIT_FILE_SIZE': 'File too large. Maximum size is 100MB per file.',
+        'LIMIT_FILE_COUNT': 'Too many files. Maximum 10 images allowed.'
+      };
+      req.uploadError = messages[err.code] || `File upload error: ${err.message || 'Unknown error'}`;
+    }
+    next();
+  });
+}, [
+  body('latitude').optional({ checkFalsy: true }).isFloat({ min: -90, max: 90 }),
+  body('longitude').optional({ checkFalsy: true }).isFloat({ min: -180, max: 180 }),
+  body('manualLocation').optional({ checkFalsy: true }).trim().isLength({ max: 500 }),
+  body('note').optional({ checkFalsy: true }).trim().isLength({ max: MAX_NOTE_LENGTH })
+], async (req, res) => {
+  const isProgrammatic = req.headers['x-requested-with'] === 'XMLHttpRequest' ||
+                        req.headers['accept']?.includes('application/json');
+  // addFollowUp deletes the photos if it does not store them; requests that
+  // never reach it delete them here
+  const images = await uploadedImages(req.files);
+  const discardImages = () => Promise.all(images.map(image => removeUploadedImage(image.imageUrl)));
+  let handedOver = false;
+  try {
+    const report = await findFollowUpReport(req.params.token);
+    if (!report) {
+      await discardImages();
+      if (isProgrammatic) {
+        return res.status(404).json({ success: false, error: 'Report not found' });
+      }
+      return res.status(404).render('error', {
+        message: 'This link is invalid or the report no longer exists.',
+        error: null
+      });
+    }
+
+    const fail = (status, error) => isProgrammatic
+      ? res.status(status).json({ success: false, error })
+      : renderFollowUp(res, req.params.token, report, { status, error });
+
+    if (req.uploadError) {
+      await discardImages();
+      return fail(400, req.uploadError);
+    }
+    if (!validationResult(req).isEmpty()) {
+      await discardImages();
+      return fail(400, 'Please check the location and keep the note under 500 characters.');
+    }
+
+    const { latitude, longitude, manualLocation, note } = req.body;
+    handedOver = true;
+    const result = await addFollowUp(report, {
+      note,
+      images,
+      lat: latitude && longitude ? parseFloat(latitude) : null,
+      lng: latitude && longitude ? parseFloat(longitude) : null,
+      manualLocation
+    });
+    if (result.error) {
+      return fail(409, result.error);
+    }
+
+    if (isProgrammatic) {
+      return res.json({
+        success: true,
+        update: { id: result.update.id, createdAt: result.update.createdAt, text: describeFollowUp(result.update) }
+      });
+    }
+    res.redirect(`/accidents/follow-up/${req.params.token}?sent=1`);
+  } catch (error) {
+    console.error('Error saving follow-up:', error);
+    if (!handedOver) {
+      await discardImages();
+    }
+    if (isProgrammatic) {
+      return res.status(500).json({ success: false, error: 'Error saving your update. Please try again.' });
+    }
+    res.status(500).render('error', {
+      message: 'Error saving your update. Please try again.',
+      error: null
+    });
+  }
+});
+
+// Timeline wording for report_calls.status
+const CALL_EVENTS = {
+  pending: 'Call being placed between the helper and',
+  started: 'Call started between the helper and',
+  failed: 'Call failed between the helper and'
+};
+
+// Everything that happened to a report, oldest first, for the owner's detail page
+function buildReportTimeline(report) {
+  const events = [];
+
+  if (report.scannedAt) {
+    events.push({ at: report.scannedAt, icon: '📷', text: 'Sticker scanned by a bystander' });
+  }
+  // Photos added by a later full report are stored after mergedAt is set,
+  // and follow-ups from the bystander come after that
+  const followUpPhotos = report.updates.reduce((sum, update) => sum + update.photoCount, 0);
+  const laterPhotos = report.mergedAt
+    ? report.images.filter(image => image.createdAt >= report.mergedAt).length
+    : followUpPhotos;
+  const mergedPhotos = Math.max(0, laterPhotos - followUpPhotos);
+  const originalPhotos = report.images.length - laterPhotos;
+  const submittedVia = { sms: ' by SMS', offline: ' over cellular', call: ' by call request' }[report.source] || '';
+  events.push({
+    at: report.createdAt,
+    icon: '🚨',
+    text: `Report submitted${submittedVia}${originalPhotos ? ` with ${originalPhotos} photo(s)` : ''}`
+  });
+  if (report.mergedAt) {
+    events.push({
+      at: report.mergedAt,
+      icon: '🔗',
+      text: `Full report synced${mergedPhotos ? `: ${mergedPhotos} photo(s) added` : ''}`
+    });
+  }
+
+  report.notifications.forEach(notification => {
+    const via = notification.provider ? ` via ${notification.provider}` : '';
+    const verb = {
+      pending: 'queued for',
+      sending: 'sending to',
+      sent: 'sent to',
+      delivered: 'delivered to',
+      failed: 'failed for',
+      bounced: 'bounced for',
+      skipped: 'skipped for',
+      cancelled: 'cancelled for'
+    }[notification.status] || `${notification.status} for`;
+    const reached = notification.status === 'sent' || notification.status === 'delivered';
+    events.push({
+      at: notification.deliveredAt || notification.sentAt || notification.createdAt,
+      icon: reached ? '📨' : notification.status === 'pending' || notification.status === 'sending' ? '⏳' : '⚠️',
+      text: `${notification.channel.toUpperCase()} ${verb} ${notification.contactName}${via}` +
+        `${notification.source === 'escalation' ? ' (escalation)' : ''}` +
+        `${notification.source === 'update' ? ` (update: ${notification.body})` : ''}` +
+        `${notification.fallbackForId ? ' (fallback)' : ''}` +
+        `${notification.attempts > 1 ? ` after ${notification.attempts} attempts` : ''}` +
+        `${notification.lastError && !reached ? `: ${notification.lastError}` : ''}`
+    });
+  });
+
+  report.escalationJobs.forEach(job => {
+    events.push({
+      at: job.completedAt || job.runAt,
+      icon: '⏫',
+      text: `Escalation to tier ${job.tier} by ${job.action}: ${job.status}` +
+        (job.completedAt ? '' : ' (scheduled)')
+    });
+  });
+
+  report.acknowledgements.forEach(ack => {
+    events.push({ at: ack.createdAt, icon: '✋', text: `${ack.contactName} acknowledged` });
+  });
+
+  report.calls.forEach(call => {
+    events.push({
+      at: call.createdAt,
+      icon: '📞',
+      text: `${CALL_EVENTS[call.status] || CALL_EVENTS.failed} ${call.contactName}` +
+        `${call.error ? `: ${call.error}` : ''}`
+    });
+  });
+
+  report.updates.forEach(update => {
+    events.push({ at: update.createdAt, icon: '📝', text: `Helper update: ${describeFollowUp(update)}` });
+  });
+
+  report.messages.forEach(message => {
+    events.push({
+      at: message.createdAt,
+      icon: '💬',
+      text: `${message.sender === 'bystander' ? 'Helper' : message.senderName} (${message.channel}): ${message.body}`
+    });
+  });
+
+  report.statusChanges.forEach(change => {
+    events.push({
+      at: change.createdAt,
+      icon: '📋',
+      text: `${STATUS_LABELS[change.fromStatus] || change.fromStatus} → ${STATUS_LABELS[change.toStatus] || change.toStatus}` +
+        ` by ${change.actorName}${change.note ? `: “${change.note}”` : ''}`
+    });
+  });
+
+  return events.sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+// Report id from the URL, or null when it is not a valid id (Prisma rejects
+// NaN and values beyond a 32-bit Int, so those get a 404 instead of a 500)
+function parseReportId(value) {
+  const id = Number(value);
+  return /^\d+$/.test(value) && Number.isInteger(id) && id <= 2147483647 ? id : null;
+}
+
+// Owner's full view of one report: map, photos, delivery results and timeline
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const reportId = parseReportId(req.params.id);
+    const report = reportId && await prisma.accidentReport.findFirst({
+      where: {
+        id: reportId,
+        vehicle: { userId: req.session.userId }
+      },
+      include: {
+        vehicle: true,
+        qrCode: { select: { label: true } },
+        images: true,
+        notifications: { orderBy: { createdAt: 'asc' } },
+        escalationJobs: { orderBy: { runAt: 'asc' } },
+        acknowledgements: { orderBy: { createdAt: 'asc' } },
+        statusChanges: { orderBy: { createdAt: 'asc' } },
+        messages: { orderBy: { id: 'asc' } },
+        calls: { orderBy: { createdAt: 'asc' } },
+        updates: { orderBy: { createdAt: 'asc' } }
+      }
+    });
+
+    if (!report) {
+      return res.status(404).render('error', { message: 'Report not found', error: null });
+    }
+
+    res.render('accidents/detail', {
+      user: { name: req.session.userName },
+      report,
+      triage: triageItems(pickTriage(report)),
+      timeline: buildReportTimeline(report),
+      error: req.query.error || null,
+      statusLabels: STATUS_LABELS,
+      nextStatuses: REPORT_STATUSES.filter(next => canTransition(report.status, next))
+    });
+  } catch (error) {
+    console.error('Error loading report:', error);
+    res.status(500).render('error', { message: 'Error loading report', error: null });
+  }
+});
+
+// Owner changes a report's status (resolve, mark as false alarm, reopen)
+router.post('/:id/status', requireAuth, [
+  body('status').isIn(REPORT_STATUSES),
+  body('note').optional({ checkFalsy: true }).trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const reportId = parseReportId(req.params.id);
+    const report = reportId && await prisma.accidentReport.findFirst({
+      where: {
+        id: reportId,
+        vehicle: { userId: req.session.userId }
+      }
+    });
+
+    if (!report) {
+      return res.status(404).render('error', { message: 'Report not found', error: null });
+    }
+
+    // The form is on both the vehicle page and the report detail page
+    const back = req.body.returnTo === 'report' ? `/accidents/${report.id}` : `/vehicles/${report.vehicleId}`;
+
+    if (!validationResult(req).isEmpty()) {
+      return res.redirect(`${back}?error=${encodeURIComponent('Invalid status or note (max 500 characters).')}`);
+    }
+
+    const updated = await changeReportStatus(report, req.body.status, {
+      actor: { userId: req.session.userId, name: req.session.userName || 'Owner' },
+      note: req.body.note?.trim() || null
+    });
+
+    if (!updated) {
+      return res.redirect(`${back}?error=${encodeURIComponent('This report cannot be moved to that status. Reload the page and try again.')}`);
+    }
+
+    // A closed report needs no further escalation
+    if (CLOSED_STATUSES.includes(updated.status)) {
+      await cancelEscalations(report.id);
+    }
+
+    res.redirect(req.body.returnTo === 'report' ? back : `${back}#report-${report.id}`);
+  } catch (error) {
+    console.error('Error changing report status:', error);
+    res.status(500).render('error', { message: 'Error updating report status', error: null });
+  }
+});
+
+// Single-word replies from emergency contacts (see services/contactCommands.js)
+const CONTACT_COMMANDS = ['ack', 'status', 'stop', 'start', 'help'];
+
+// Reply to an inbound SMS in the format its gateway expects
+// Twilio: TwiML (always 200, or Twilio shows the sender an error instead)
+// Telerivet: JSON; `messages` is sent back to the sender as an SMS
+// message: null sends no reply
+function sendSmsReply(res, webhookSource, message, { status = 200, ...details } = {}) {
+  if (webhookSource === 'Telerivet') {
+    const messages = message ? [{ content: message }] : [];
+    return res.status(status).json(status >= 400
+      ? { error: message, messages }
+      : { success: true, message, messages, ...details });
+  }
+  const escaped = String(message)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+  res.type('text/xml');
+  return res.send(`<?xml version="1.0" encoding="UTF-8"?><Response>${message ? `<Message>${escaped}</Message>` : ''}</Response>`);
+}
+
 // SMS Webhook: Receives SMS from bystanders when offline
-// Supports both Twilio and Telerivet webhook formats
+// Supports both Twilio and Telerivet webhook formats (see services/smsCommands.js)
 router.post('/sms-webhook', express.urlencoded({ extended: false }), express.json(), async (req, res) => {
+  const { source: webhookSource, fromNumber, messageBody, toNumber } = parseWebhookPayload(req.body);
+
   try {
-    // Detect webhook format (Twilio or Telerivet)
-    // Twilio sends: From, Body, To (form-urlencoded)
-    // Telerivet sends: event, from_number, content, phone_id (JSON or form-urlencoded)
-    let fromNumber, messageBody, toNumber, webhookSource;
-    
-    if (req.body.From && req.body.Body) {
-      // Twilio format
-      webhookSource = 'Twilio';
-      fromNumber = req.body.From;
-      messageBody = req.body.Body;
-      toNumber = req.body.To;
-    } else if (req.body.from_number && req.body.content) {
-      // Telerivet format
-      webhookSource = 'Telerivet';
-      fromNumber = req.body.from_number;
-      messageBody = req.body.content;
-      toNumber = req.body.phone_id || req.body.to_number;
-    } else if (req.body.event === 'incoming_message' || req.body.event === 'message_received') {
-      // Telerivet format (alternative)
-      webhookSource = 'Telerivet';
-      fromNumber = req.body.from_number || req.body.from;
-      messageBody = req.body.content || req.body.message || req.body.body;
-      toNumber = req.body.phone_id || req.body.to_number || req.body.to;
-    } else {
-      // Unknown format - log and try to extract
+    if (webhookSource === 'Unknown') {
       console.log('⚠️ Unknown webhook format. Request body:', JSON.stringify(req.body));
-      webhookSource = 'Unknown';
-      // Try to extract common fields
-      fromNumber = req.body.from_number || req.body.From || req.body.from;
-      messageBody = req.body.content || req.body.Body || req.body.body || req.body.message;
-      toNumber = req.body.phone_id || req.body.To || req.body.to_number || req.body.to;
+    }
+
+    // Only Twilio-signed or Telerivet-secret requests may file reports (see services/webhookAuth.js)
+    const rejection = verifySmsWebhook(req, webhookSource);
+    if (rejection) {
+      await recordWebhookRejection(req, { webhook: 'sms', source: webhookSource, reason: rejection, fromNumber });
+      return res.status(403).send('Forbidden');
     }
     
     console.log(`📱 ===== SMS WEBHOOK RECEIVED (${webhookSource}) =====`);
@@ -437,102 +1030,50 @@ router.post('/sms-webhook', express.urlencoded({ extended: false }), express.jso
     console.log('📱 To:', toNumber);
     console.log('📱 Full request body:', JSON.stringify(req.body));
     
-    if (!messageBody) {
+    if (messageBody === undefined || messageBody === null) {
       console.error('❌ No message body found in webhook');
       return res.status(400).json({ error: 'No message body found' });
     }
     
-    // Parse SMS message format: "REPORT [TOKEN] [LAT] [LNG] [NOTE]"
-    const parts = messageBody.trim().split(/\s+/);
+    const command = parseSmsCommand(messageBody);
     
-    // Check if message starts with "REPORT"
-    if (parts[0] !== 'REPORT') {
-      console.error('❌ Invalid SMS format. Expected "REPORT" command.');
-      // Return appropriate response format based on webhook source
-      if (webhookSource === 'Telerivet') {
-        return res.status(400).json({ 
-          error: 'Invalid format. Expected: REPORT [TOKEN] [LOCATION] [NOTE]' 
-        });
-      } else {
-        // Twilio format (XML)
-        res.type('text/xml');
-        return res.send(`
-          <?xml version="1.0" encoding="UTF-8"?>
-          <Response>
-            <Message>Invalid format. Expected: REPORT [TOKEN] [LOCATION] [NOTE]</Message>
-          </Response>
-        `);
-      }
+    // ACK, STATUS, STOP, START and HELP from emergency contacts
+    if (CONTACT_COMMANDS.includes(command.command)) {
+      const reply = await handleContactCommand(command.command, fromNumber);
+      return sendSmsReply(res, webhookSource, reply);
     }
-    
-    // Extract QR token (second part)
-    const qrToken = parts[1];
-    if (!qrToken) {
-      console.error('❌ Missing QR token in SMS');
-      if (webhookSource === 'Telerivet') {
-        return res.status(400).json({ 
-          error: 'Missing vehicle token. Please include token after REPORT.' 
-        });
-      } else {
-        res.type('text/xml');
-        return res.send(`
-          <?xml version="1.0" encoding="UTF-8"?>
-          <Response>
-            <Message>Missing vehicle token. Please include token after REPORT.</Message>
-          </Response>
-        `);
-      }
-    }
-    
-    // Extract location and note
-    let lat = null;
-    let lng = null;
-    let manualLocation = null;
-    let helperNote = null;
-    
-    // Check if location is coordinates (numbers) or text
-    if (parts.length >= 4 && !isNaN(parseFloat(parts[2])) && !isNaN(parseFloat(parts[3]))) {
-      // Parse latitude and longitude
-      lat = parseFloat(parts[2]);
-      lng = parseFloat(parts[3]);
-      
-      // Extract note if present (everything after coordinates)
-      if (parts.length > 4) {
-        const noteIndex = parts.indexOf('NOTE');
-        if (noteIndex !== -1 && parts[noteIndex + 1]) {
-          helperNote = parts.slice(noteIndex + 1).join(' ');
-        }
-      }
-    } else {
-      // Check for "LOCATION" keyword (manual location)
-      const locationIndex = parts.indexOf('LOCATION');
-      if (locationIndex !== -1 && parts[locationIndex + 1]) {
-        manualLocation = parts.slice(locationIndex + 1).join(' ');
-        // Check if there's a NOTE after LOCATION
-        const noteIndex = parts.indexOf('NOTE', locationIndex);
-        if (noteIndex !== -1 && parts[noteIndex + 1]) {
-          helperNote = parts.slice(noteIndex + 1).join(' ');
-          // Remove NOTE from manualLocation
-          manualLocation = parts.slice(locationIndex + 1, noteIndex).join(' ');
-        }
-      } else {
-        // Check for "NOTE" keyword
-        const noteIndex = parts.indexOf('NOTE');
-        if (noteIndex !== -1 && parts[noteIndex + 1]) {
-          helperNote = parts.slice(noteIndex + 1).join(' ');
+
+    // Anything that is not a valid report, from a contact or an SMS reporter,
+    // is a reply in an open relay conversation
+    if (command.command !== 'report' || command.error) {
+      const conversation = await findConversationForSms(fromNumber);
+      if (conversation) {
+        const result = await postMessage(conversation.report, conversation.from, messageBody, 'sms');
+        if (webhookSource === 'Telerivet') {
+          return res.json({ success: !result.error, relayed: !result.error, error: result.error });
         }
+        return sendSmsReply(res, webhookSource, result.error || null);
       }
     }
+
+    // Unknown command, missing/mistyped code or bad coordinates: tell the sender what to fix
+    if (command.error) {
+      console.error(`❌ Invalid SMS (${command.error}):`, messageBody);
+      return sendSmsReply(res, webhookSource, command.reply, { status: 400 });
+    }
     
-    // Look up vehicle by QR token
-    const vehicle = await prisma.vehicle.findUnique({
-      where: { qrToken },
+    const { code, lat, lng, manualLocation, helperNote } = command;
+    
+    // Look up vehicle by short code or QR token (see resolveQrToken)
+    const { status: qrStatus, qrCode, vehicle } = await resolveQrToken(code, {
       include: {
-        emergencyContacts: true,
+        emergencyContacts: { orderBy: CONTACT_PRIORITY_ORDER },
+        escalationRules: true,
         user: { 
           select: { 
             id: true, 
-            name: true 
+            name: true,
+            medicalProfile: true
           } 
         }
       }
@@ -540,48 +1081,31 @@ router.post('/sms-webhook', express.urlencoded({ extended: false }), express.jso
     
     // Check if vehicle exists
     if (!vehicle) {
-      console.error('❌ Vehicle not found for token:', qrToken);
-      if (webhookSource === 'Telerivet') {
-        return res.status(404).json({ 
-          error: 'Vehicle not found. Invalid QR code token.' 
-        });
-      } else {
-        res.type('text/xml');
-        return res.send(`
-          <?xml version="1.0" encoding="UTF-8"?>
-          <Response>
-            <Message>Vehicle not found. Invalid QR code token.</Message>
-          </Response>
-        `);
+      console.error('❌ Vehicle not found for code:', code);
+      if (qrStatus === 'revoked') {
+        return sendSmsReply(res, webhookSource, REVOKED_TOKEN_MESSAGE, { status: 410 });
       }
+      return sendSmsReply(res, webhookSource,
+        'Vehicle not found. Check the code printed under the QR sticker and try again.', { status: 404 });
     }
     
     // Check if vehicle has emergency contacts
     if (!vehicle.emergencyContacts || vehicle.emergencyContacts.length === 0) {
       console.error('❌ No emergency contacts for vehicle:', vehicle.licensePlate);
-      if (webhookSource === 'Telerivet') {
-        return res.status(400).json({ 
-          error: 'No emergency contacts configured for this vehicle.' 
-        });
-      } else {
-        res.type('text/xml');
-        return res.send(`
-          <?xml version="1.0" encoding="UTF-8"?>
-          <Response>
-            <Message>No emergency contacts configured for this vehicle.</Message>
-          </Response>
-        `);
-      }
+      return sendSmsReply(res, webhookSource, 'No emergency contacts configured for this vehicle.', { status: 400 });
     }
     
     // Save accident report to database
     const accidentReport = await prisma.accidentReport.create({
       data: {
         vehicleId: vehicle.id,
+        qrCodeId: qrCode.id,
         lat: lat,
         lng: lng,
         manualLocation: manualLocation,
         helperNote: helperNote,
+        reporterPhone: fromNumber || null,
+        source: 'sms',
         // Note: Images not available via SMS, so empty array
         images: { create: [] }
       }
@@ -590,79 +1114,38 @@ router.post('/sms-webhook', express.urlencoded({ extended: false }), express.jso
     console.log('✅ Accident report created:', accidentReport.id);
     
     // Prepare vehicle data for notifications
-    const vehicleData = {
-      licensePlate: vehicle.licensePlate,
-      model: vehicle.model,
-      color: vehicle.color
-    };
+    // Notify emergency contacts in priority order (same preferences as /report-offline)
+    const notifications = await notifyContacts(vehicle, { online: false, reportId: accidentReport.id });
     
-    // Send SMS to all emergency contacts in parallel
-    const smsPromises = vehicle.emergencyContacts.map(contact => {
-      return sendAccidentAlertSMS({
-        vehicle: vehicleData,
-        contact: { 
-          name: contact.name, 
-          phoneNumber: contact.phoneNumber 
-        },
-        lat: lat,
-        lng: lng,
-        imageUrls: [],  // No images via SMS
-        helperNote: helperNote,
-        manualLocation: manualLocation
-      }).catch(err => {
-        // Log error but don't fail entire process
-        console.error(`❌ Failed to send SMS to ${contact.phoneNumber}:`, err);
-        return { success: false, error: err.message };
-      });
+    const successCount = countNotified(notifications);
+    console.log(`✅ Queued alerts for ${successCount}/${vehicle.emergencyContacts.length} emergency contacts`);
+
+    // Escalate to further tiers unless a contact acknowledges in time
+    await scheduleEscalations(accidentReport, vehicle).catch(err => {
+      console.error('❌ Failed to schedule escalations:', err);
     });
     
-    // Wait for all SMS to be sent
-    const results = await Promise.all(smsPromises);
-    
-    // Count successful sends
-    const successCount = results.filter(r => r.success).length;
-    console.log(`✅ Sent SMS to ${successCount}/${vehicle.emergencyContacts.length} emergency contacts`);
-    
-    // Send appropriate response based on webhook source
-    if (webhookSource === 'Telerivet') {
-      // Telerivet expects JSON response
-      return res.json({ 
-        success: true,
-        message: 'Emergency report received. Emergency contacts have been notified.',
+    // The bystander never saw the report page, so every field the owner
+    // shares after a report goes in the reply
+    const medical = formatMedicalSms(visibleMedicalFields(vehicle.user.medicalProfile, { reported: true }));
+    return sendSmsReply(res, webhookSource,
+      'Emergency report received. Emergency contacts have been notified. Reply to this number to message them.' +
+        (medical ? `\n${medical}` : ''), {
         reportId: accidentReport.id,
-        contactsNotified: successCount
+        contactsNotified: successCount,
+        notifications: summarizeNotifications(notifications)
       });
-    } else {
-      // Twilio expects XML response
-      res.type('text/xml');
-      return res.send(`
-        <?xml version="1.0" encoding="UTF-8"?>
-        <Response>
-          <Message>Emergency report received. Emergency contacts have been notified.</Message>
-        </Response>
-      `);
-    }
   } catch (error) {
     console.error('❌ Error processing SMS webhook:', error);
     console.error('   Error stack:', error.stack);
     
-    // Detect webhook source for error response
-    const isTelerivet = req.body.from_number || req.body.content || req.body.event === 'incoming_message';
-    
-    if (isTelerivet) {
+    if (webhookSource === 'Telerivet') {
       return res.status(500).json({ 
         error: 'Error processing report. Please try again later.',
         details: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
-    } else {
-      res.type('text/xml');
-      return res.send(`
-        <?xml version="1.0" encoding="UTF-8"?>
-        <Response>
-          <Message>Error processing report. Please try again later.</Message>
-        </Response>
-      `);
     }
+    return sendSmsReply(res, webhookSource, 'Error processing report. Please try again later.');
   }
 });
 
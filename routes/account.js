@@ -0,0 +1,88 @@
+// Account Routes
+// The owner's account page: emergency medical (ICE) profile shown to
+// bystanders who scan any of their stickers (requires authentication)
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../config/database');
+const { requireAuth } = require('../middleware/auth');
+const {
+  BLOOD_GROUPS,
+  MEDICAL_FIELDS,
+  FIELD_NAMES,
+  VISIBILITIES,
+  MAX_TEXT_LENGTH,
+  medicalProfileFields
+} = require('../services/medicalProfile');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+const medicalProfileValidation = [
+  body('bloodGroup').optional({ checkFalsy: true }).isIn(BLOOD_GROUPS),
+  body('allergies').optional({ checkFalsy: true }).trim().isLength({ max: MAX_TEXT_LENGTH }),
+  body('medications').optional({ checkFalsy: true }).trim().isLength({ max: MAX_TEXT_LENGTH }),
+  body('conditions').optional({ checkFalsy: true }).trim().isLength({ max: MAX_TEXT_LENGTH }),
+  body('organDonor').optional({ checkFalsy: true }).isIn(['yes', 'no']),
+  ...FIELD_NAMES.map(name => body(`${name}Visibility`).optional().isIn(VISIBILITIES))
+];
+
+// Only return to one of the owner's vehicle pages (the editor is linked from there)
+function safeReturnTo(value) {
+  return /^\/vehicles\/\d+$/.test(value || '') ? value : null;
+}
+
+function renderAccount(res, req, profile, { error = null, saved = false } = {}) {
+  res.render('account/index', {
+    user: { name: req.session.userName },
+    profile: profile || { publicFields: [] },
+    fields: MEDICAL_FIELDS,
+    bloodGroups: BLOOD_GROUPS,
+    maxTextLength: MAX_TEXT_LENGTH,
+    returnTo: safeReturnTo(req.query.returnTo || req.body?.returnTo),
+    error,
+    saved
+  });
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const profile = await prisma.medicalProfile.findUnique({
+      where: { userId: req.session.userId }
+    });
+    renderAccount(res, req, profile, { saved: req.query.saved === '1' });
+  } catch (error) {
+    console.error('Error loading account:', error);
+    res.render('error', { message: 'Error loading account', error });
+  }
+});
+
+// Save the medical profile (created on first save)
+router.post('/medical-profile', medicalProfileValidation, async (req, res) => {
+  const fields = medicalProfileFields(req.body);
+  try {
+    if (!validationResult(req).isEmpty()) {
+      return renderAccount(res.status(400), req, fields, {
+        error: 'Invalid input. Please check all fields.'
+      });
+    }
+
+    await prisma.medicalProfile.upsert({
+      where: { userId: req.session.userId },
+      create: { userId: req.session.userId, ...fields },
+      update: fields
+    });
+    console.log(`🩺 Medical profile saved for user ${req.session.userId} (public: ${fields.publicFields.join(', ') || 'none'})`);
+
+    const returnTo = safeReturnTo(req.body.returnTo);
+    res.redirect(returnTo ? `${returnTo}#medical-profile` : '/account?saved=1');
+  } catch (error) {
+    console.error('Error saving medical profile:', error);
+    renderAccount(res.status(500), req, fields, {
+      error: 'Error saving your medical profile. Please try again.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,124 @@
+// Acknowledgement Routes
+// Public: emergency contacts open the signed link from their alert ("I'm on it")
+// and talk to the bystander through the relay conversation
+
+const express = require('express');
+const prisma = require('../config/database');
+const { verifyAckToken, acknowledgeReport } = require('../services/acknowledgements');
+const { cancelEscalations } = require('../services/escalations');
+const { isRelayOpen, listMessages, postMessage } = require('../services/relay');
+const { describeFollowUp } = require('../services/followUps');
+const { pickTriage, triageItems } = require('../services/triage');
+
+const router = express.Router();
+
+// Load the report and contact named by a signed token (null if invalid)
+async function findAckTarget(token) {
+  const target = verifyAckToken(token);
+  if (!target) {
+    return null;
+  }
+
+  const [report, contact] = await Promise.all([
+    prisma.accidentReport.findUnique({
+      where: { id: target.reportId },
+      include: {
+        vehicle: { select: { licensePlate: true, model: true, color: true } },
+        acknowledgements: { orderBy: { createdAt: 'asc' } },
+        updates: { orderBy: { createdAt: 'asc' } }
+      }
+    }),
+    prisma.emergencyContact.findUnique({ where: { id: target.contactId } })
+  ]);
+
+  if (!report || !contact || contact.vehicleId !== report.vehicleId) {
+    return null;
+  }
+  return { report, contact };
+}
+
+async function renderAck(res, token, { report, contact }, messageError = null) {
+  res.render('accidents/acknowledge', {
+    token,
+    report,
+    contact,
+    acknowledged: report.acknowledgements.some(a => a.contactId === contact.id),
+    triage: triageItems(pickTriage(report)),
+    updates: report.updates.map(update => ({ ...update, text: describeFollowUp(update) })),
+    messages: await listMessages(report.id),
+    relayOpen: isRelayOpen(report),
+    messageError
+  });
+}
+
+// Show the report with an "I'm on it" button
+// (a POST, so link previews and scanners cannot acknowledge on their own)
+router.get('/:token', async (req, res) => {
+  try {
+    const target = await findAckTarget(req.params.token);
+
+    if (!target) {
+      return res.status(404).render('error', {
+        message: 'This link is invalid or the report no longer exists.',
+        error: null
+      });
+    }
+
+    await renderAck(res, req.params.token, target);
+  } catch (error) {
+    console.error('Error loading acknowledgement page:', error);
+    res.status(500).render('error', { message: 'Error loading page', error: null });
+  }
+});
+
+router.post('/:token', async (req, res) => {
+  try {
+    const target = await findAckTarget(req.params.token);
+
+    if (!target) {
+      return res.status(404).render('error', {
+        message: 'This link is invalid or the report no longer exists.',
+        error: null
+      });
+    }
+
+    const acknowledgement = await acknowledgeReport(target.report, target.contact);
+
+    // Someone is responding - stop escalating to further tiers
+    await cancelEscalations(target.report.id);
+
+    if (!target.report.acknowledgements.some(a => a.id === acknowledgement.id)) {
+      target.report.acknowledgements.push(acknowledgement);
+    }
+    await renderAck(res, req.params.token, target);
+  } catch (error) {
+    console.error('Error acknowledging report:', error);
+    res.status(500).render('error', { message: 'Error saving your response. Please try again.', error: null });
+  }
+});
+
+// Contact writes to the bystander (relayed without revealing either number)
+router.post('/:token/messages', async (req, res) => {
+  try {
+    const target = await findAckTarget(req.params.token);
+
+    if (!target) {
+      return res.status(404).render('error', {
+        message: 'This link is invalid or the report no longer exists.',
+        error: null
+      });
+    }
+
+    const result = await postMessage(target.report, { sender: 'contact', contact: target.contact }, req.body.body, 'web');
+    if (result.error) {
+      return renderAck(res.status(400), req.params.token, target, result.error);
+    }
+
+    res.redirect(`/ack/${req.params.token}#messages`);
+  } catch (error) {
+    console.error('Error posting relay message:', error);
+    res.status(500).render('error', { message: 'Error sending your message. Please try again.', error: null });
+  }
+});
+
+module.exports = router;
@@ -1,19 +1,25 @@
 // Emergency Contact Routes
-// Handles adding and deleting emergency contacts (API endpoints)
+// Public: contact opt-in confirmation (email link and SMS code)
+// Protected: adding, editing, reordering and deleting emergency contacts (API endpoints)
 
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const prisma = require('../config/database');
 const { requireAuth } = require('../middleware/auth');
+const {
+  sendContactVerification,
+  reserveVerificationResend,
+  confirmByToken,
+  confirmBySmsCode
+} = require('../services/contactVerification');
+const { CONTACT_CHANNELS, preferredChannels } = require('../services/contactAlerts');
 
 const router = express.Router();
 
-router.use(requireAuth);
-
 const isValidE164 = (phone) => /^\+[1-9]\d{1,14}$/.test(phone);
 
-router.post('/add', [
-  body('vehicleId').isInt(),
+// Shared validation rules for adding and updating contacts
+const contactValidation = [
   body('name').trim().notEmpty().isLength({ min: 2, max: 100 }),
   body('phoneNumber').custom((value) => {
     if (!isValidE164(value)) {
@@ -21,7 +27,141 @@ router.post('/add', [
     }
     return true;
   }),
-  body('email').isEmail().normalizeEmail()
+  body('email').isEmail().normalizeEmail(),
+  body('channels').optional().isIn(CONTACT_CHANNELS),
+  body('smsOnOnlineReports').optional().isIn(['on']),
+  body('tier').optional().isInt({ min: 1, max: 5 })
+];
+
+// Normalize submitted contact fields the same way for add and update
+function contactFields({ name, phoneNumber, email, channels, smsOnOnlineReports, tier }) {
+  return {
+    name: name.trim(),
+    phoneNumber: phoneNumber.trim(),
+    email: email.trim().toLowerCase(),
+    channels: channels || 'both',
+    smsOnOnlineReports: smsOnOnlineReports === 'on',
+    tier: tier ? parseInt(tier) : 1
+  };
+}
+
+// Strip verification secrets before sending a contact to the owner's browser
+// (the owner must not be able to confirm on the contact's behalf)
+function publicContact({ verificationToken, smsCodeHash, smsCodeExpiresAt, smsCodeAttempts, ...contact }) {
+  return contact;
+}
+
+// Find a contact belonging to one of the logged-in user's vehicles
+async function findOwnedContact(req) {
+  const contact = await prisma.emergencyContact.findFirst({
+    where: { id: parseInt(req.params.id) },
+    include: { vehicle: true }
+  });
+
+  if (!contact || contact.vehicle.userId !== req.session.userId) {
+    return null;
+  }
+  return contact;
+}
+
+// Send verification without blocking the owner's request (failures are logged)
+// Only channels the contact wants alerts on are verified
+function startVerification(contact, req, vehicle, channels = ['email', 'sms']) {
+  channels = channels.filter(channel => preferredChannels(contact).includes(channel));
+  if (channels.length === 0) {
+    return;
+  }
+
+  sendContactVerification(contact, {
+    vehicle,
+    ownerName: req.session.userName || 'A vehicle owner',
+    channels
+  }).catch(err => {
+    console.error(`Failed to send verification to contact ${contact.id}:`, err);
+  });
+}
+
+// Email link: show a confirm button (a POST, so link scanners cannot confirm on their own)
+router.get('/confirm/:token', async (req, res) => {
+  try {
+    const contact = await prisma.emergencyContact.findUnique({
+      where: { verificationToken: req.params.token },
+      include: { vehicle: { select: { licensePlate: true } } }
+    });
+
+    res.render('contacts/confirm', {
+      contact,
+      token: req.params.token,
+      confirmed: !!(contact && contact.emailVerifiedAt)
+    });
+  } catch (error) {
+    console.error('Error loading contact confirmation:', error);
+    res.status(500).render('error', { message: 'Error loading confirmation page', error: null });
+  }
+});
+
+router.post('/confirm/:token', async (req, res) => {
+  try {
+    const contact = await confirmByToken(req.params.token);
+
+    res.status(contact ? 200 : 404).render('contacts/confirm', {
+      contact,
+      token: req.params.token,
+      confirmed: !!contact
+    });
+  } catch (error) {
+    console.error('Error confirming contact:', error);
+    res.status(500).render('error', { message: 'Error confirming contact', error: null });
+  }
+});
+
+// SMS code: contact enters their phone number and the code they received
+router.get('/confirm-code', (req, res) => {
+  res.render('contacts/confirm-code', { error: null, contact: null, phoneNumber: '' });
+});
+
+router.post('/confirm-code', [
+  body('phoneNumber').trim().custom((value) => {
+    if (!isValidE164(value)) {
+      throw new Error('Phone number must be in E.164 format (e.g., +919876543210)');
+    }
+    return true;
+  }),
+  body('code').trim().matches(/^\d{6}$/)
+], async (req, res) => {
+  const phoneNumber = (req.body.phoneNumber || '').trim();
+
+  try {
+    if (!validationResult(req).isEmpty()) {
+      return res.status(400).render('contacts/confirm-code', {
+        error: 'Please enter your phone number with country code and the 6-digit code.',
+        contact: null,
+        phoneNumber
+      });
+    }
+
+    const contact = await confirmBySmsCode(phoneNumber, req.body.code.trim());
+
+    if (!contact) {
+      return res.status(400).render('contacts/confirm-code', {
+        error: 'That code is incorrect or has expired. Ask the vehicle owner to resend it.',
+        contact: null,
+        phoneNumber
+      });
+    }
+
+    res.render('contacts/confirm-code', { error: null, contact, phoneNumber });
+  } catch (error) {
+    console.error('Error confirming SMS code:', error);
+    res.status(500).render('error', { message: 'Error confirming code', error: null });
+  }
+});
+
+router.use(requireAuth);
+
+router.post('/add', [
+  body('vehicleId').isInt(),
+  ...contactValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -30,42 +170,178 @@ router.post('/add', [
       return res.status(400).json({ error: errorMsg });
     }
 
-    const { vehicleId, name, phoneNumber, email } = req.body;
+    const vehicleId = parseInt(req.body.vehicleId);
 
     // Verify user owns the vehicle
     const vehicle = await prisma.vehicle.findFirst({
-      where: { id: parseInt(vehicleId), userId: req.session.userId }
+      where: { id: vehicleId, userId: req.session.userId }
     });
 
     if (!vehicle) {
       return res.status(404).json({ error: 'Vehicle not found' });
     }
 
+    // New contacts go to the end of the notification order
+    const last = await prisma.emergencyContact.findFirst({
+      where: { vehicleId },
+      orderBy: { priority: 'desc' }
+    });
+
+    const fields = contactFields(req.body);
+
     // Create emergency contact
     const contact = await prisma.emergencyContact.create({
       data: {
-        vehicleId: parseInt(vehicleId),
-        name: name.trim(),
-        phoneNumber: phoneNumber.trim(),
-        email: email.trim().toLowerCase()
+        vehicleId,
+        ...fields,
+        priority: last ? last.priority + 1 : 0
       }
     });
 
-    res.json({ success: true, contact });
+    // Contact stays "pending" until they confirm by email link or SMS code
+    startVerification(contact, req, vehicle);
+
+    res.json({ success: true, contact: publicContact(contact) });
   } catch (error) {
     console.error('Error adding contact:', error);
     res.status(500).json({ error: 'Error adding emergency contact' });
   }
 });
 
-router.post('/:id/delete', async (req, res) => {
+// Reorder contacts: body.contactIds lists every contact of the vehicle, highest priority first
+router.post('/reorder', [
+  body('vehicleId').isInt(),
+  body('contactIds').isArray({ min: 1 }),
+  body('contactIds.*').isInt()
+], async (req, res) => {
   try {
-    const contact = await prisma.emergencyContact.findFirst({
-      where: { id: parseInt(req.params.id) },
-      include: { vehicle: true }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Invalid contact order' });
+    }
+
+    const vehicleId = parseInt(req.body.vehicleId);
+    const contactIds = req.body.contactIds.map(id => parseInt(id));
+
+    const vehicle = await prisma.vehicle.findFirst({
+      where: { id: vehicleId, userId: req.session.userId },
+      include: { emergencyContacts: { select: { id: true } } }
     });
 
-    if (!contact || contact.vehicle.userId !== req.session.userId) {
+    if (!vehicle) {
+      return res.status(404).json({ error: 'Vehicle not found' });
+    }
+
+    // The new order must contain exactly the vehicle's contacts
+    const existingIds = vehicle.emergencyContacts.map(c => c.id).sort((a, b) => a - b);
+    const submittedIds = [...contactIds].sort((a, b) => a - b);
+    if (existingIds.length !== submittedIds.length || existingIds.some((id, i) => id !== submittedIds[i])) {
+      return res.status(400).json({ error: 'Contact list has changed. Please reload the page.' });
+    }
+
+    await prisma.$transaction(contactIds.map((id, index) =>
+      prisma.emergencyContact.update({
+        where: { id },
+        data: { priority: index }
+      })
+    ));
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error reordering contacts:', error);
+    res.status(500).json({ error: 'Error saving contact order' });
+  }
+});
+
+router.post('/:id/update', contactValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const errorMsg = errors.array().map(e => e.msg).join(', ');
+      return res.status(400).json({ error: errorMsg });
+    }
+
+    const contact = await findOwnedContact(req);
+
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const fields = contactFields(req.body);
+
+    // A changed email or phone number must be confirmed again,
+    // and a newly enabled channel that was never confirmed needs a confirmation too
+    const channels = [];
+    const data = { ...fields };
+    if (fields.email !== contact.email) {
+      channels.push('email');
+      data.emailVerifiedAt = null;
+    } else if (!contact.emailVerifiedAt && !preferredChannels(contact).includes('email')) {
+      channels.push('email');
+    }
+    if (fields.phoneNumber !== contact.phoneNumber) {
+      channels.push('sms');
+      data.phoneVerifiedAt = null;
+    } else if (!contact.phoneVerifiedAt && !preferredChannels(contact).includes('sms')) {
+      channels.push('sms');
+    }
+
+    const updated = await prisma.emergencyContact.update({
+      where: { id: contact.id },
+      data
+    });
+
+    if (channels.length > 0) {
+      startVerification(updated, req, contact.vehicle, channels);
+    }
+
+    res.json({ success: true, contact: publicContact(updated) });
+  } catch (error) {
+    console.error('Error updating contact:', error);
+    res.status(500).json({ error: 'Error updating emergency contact' });
+  }
+});
+
+// Resend verification for the channels that are still unconfirmed
+router.post('/:id/resend-verification', async (req, res) => {
+  try {
+    const contact = await findOwnedContact(req);
+
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+
+    const channels = preferredChannels(contact).filter(channel =>
+      channel === 'email' ? !contact.emailVerifiedAt : !contact.phoneVerifiedAt
+    );
+
+    if (channels.length === 0) {
+      return res.status(400).json({ error: 'Contact has already confirmed' });
+    }
+
+    const refused = await reserveVerificationResend(contact);
+    if (refused) {
+      return res.status(429).json({ error: refused });
+    }
+
+    const results = await sendContactVerification(contact, {
+      vehicle: contact.vehicle,
+      ownerName: req.session.userName || 'A vehicle owner',
+      channels
+    });
+
+    res.json({ success: true, results });
+  } catch (error) {
+    console.error('Error resending verification:', error);
+    res.status(500).json({ error: 'Error resending verification' });
+  }
+});
+
+router.post('/:id/delete', async (req, res) => {
+  try {
+    const contact = await findOwnedContact(req);
+
+    if (!contact) {
       return res.status(404).json({ error: 'Contact not found' });
     }
 
@@ -81,4 +357,3 @@ router.post('/:id/delete', async (req, res) => {
 });
 
 module.exports = router;
-
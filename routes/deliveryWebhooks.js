@@ -0,0 +1,68 @@
+// Delivery Webhook Routes
+// Public: SMS, call and email providers post delivery receipts here
+// (see services/deliveryReceipts.js). A "failed" receipt queues a paid
+// fallback send, so every request must carry ?token=<DELIVERY_WEBHOOK_SECRET>;
+// Twilio callbacks may instead be signed (X-Twilio-Signature). Without the
+// secret the other providers' receipts are all rejected
+
+const express = require('express');
+const {
+  parseTwilioReceipt,
+  parseFast2SMSReceipt,
+  parseBrevoReceipt,
+  parseSendGridReceipts,
+  applyReceipts
+} = require('../services/deliveryReceipts');
+const { secretMatches, verifyTwilioSignature, recordWebhookRejection } = require('../services/webhookAuth');
+
+const router = express.Router();
+
+// Returns the rejection reason, or null if the request is trusted
+function verifyDeliveryWebhook(req) {
+  const secret = process.env.DELIVERY_WEBHOOK_SECRET;
+  if (secret && secretMatches(req.query.token, secret)) {
+    return null;
+  }
+  if (req.path === '/twilio' && process.env.TWILIO_AUTH_TOKEN && req.get('X-Twilio-Signature')) {
+    return verifyTwilioSignature(req);
+  }
+  if (!secret) {
+    return 'DELIVERY_WEBHOOK_SECRET is not configured';
+  }
+  return req.query.token ? 'Invalid token' : 'Missing token';
+}
+
+async function requireWebhookToken(req, res, next) {
+  const reason = verifyDeliveryWebhook(req);
+  if (!reason) {
+    return next();
+  }
+  await recordWebhookRejection(req, {
+    webhook: 'delivery',
+    source: req.path.replace(/^\//, ''),
+    reason
+  });
+  res.status(403).send('Forbidden');
+}
+
+// Providers retry on a 5xx, so only errors on our side return one
+function receiptHandler(provider, parse) {
+  return async (req, res) => {
+    try {
+      await applyReceipts(provider, parse(req.body || {}));
+      res.status(204).end();
+    } catch (error) {
+      console.error(`❌ Error handling ${provider} delivery receipt:`, error);
+      res.status(500).send('Error');
+    }
+  };
+}
+
+router.use(requireWebhookToken);
+
+router.post('/twilio', receiptHandler('Twilio', parseTwilioReceipt));
+router.post('/fast2sms', receiptHandler('Fast2SMS', parseFast2SMSReceipt));
+router.post('/brevo', receiptHandler('Brevo', parseBrevoReceipt));
+router.post('/sendgrid', receiptHandler('SendGrid', parseSendGridReceipts));
+
+module.exports = router;
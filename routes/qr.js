@@ -1,14 +1,78 @@
 // QR Code Routes
 // Public: Accident reporting page (via QR scan)
-// Protected: QR code generation and download
+// Protected: QR sticker management, generation and download
 
 const express = require('express');
 const QRCode = require('qrcode');
+const sharp = require('sharp');
+const { body, validationResult } = require('express-validator');
 const prisma = require('../config/database');
 const { requireAuth } = require('../middleware/auth');
+const {
+  DEFAULT_QR_LABEL,
+  generateQrToken,
+  ensureSmsCode,
+  resolveQrToken,
+  markQrCodeScanned,
+  getQrCodeReportStats
+} = require('../services/qrCodes');
+const { generateSmsCode, formatSmsCode } = require('../services/smsCodes');
+const { visibleMedicalFields } = require('../services/medicalProfile');
 
 const router = express.Router();
 
+const qrImageOptions = {
+  width: 500,
+  margin: 2,
+  color: { dark: '#000000', light: '#FFFFFF' }
+};
+
+function buildHelpUrl(token) {
+  const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+  return `${baseUrl}/qr/help?v=${token}`;
+}
+
+const CAPTION_HEIGHT = 70;
+
+// Sticker PNG: the QR code with its SMS code printed underneath, so a
+// bystander without mobile data can text a report without scanning
+async function renderStickerPng(qrCode) {
+  const qrCodeBuffer = await QRCode.toBuffer(buildHelpUrl(qrCode.token), {
+    type: 'png',
+    ...qrImageOptions
+  });
+  if (!qrCode.smsCode) {
+    return qrCodeBuffer;
+  }
+
+  const caption = Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${qrImageOptions.width}" height="${CAPTION_HEIGHT}">` +
+    `<text x="50%" y="45%" text-anchor="middle" dominant-baseline="middle" font-family="monospace" font-size="36" font-weight="bold">` +
+    `SMS code: ${formatSmsCode(qrCode.smsCode)}</text></svg>`
+  );
+  return sharp(qrCodeBuffer)
+    .extend({ bottom: CAPTION_HEIGHT, background: '#FFFFFF' })
+    .composite([{ input: caption, gravity: 'south' }])
+    .png()
+    .toBuffer();
+}
+
+// Find a vehicle owned by the logged-in user, with its active stickers
+function findOwnedVehicle(req) {
+  return prisma.vehicle.findFirst({
+    where: {
+      id: parseInt(req.params.vehicleId),
+      userId: req.session.userId
+    },
+    include: {
+      qrCodes: {
+        where: { revokedAt: null },
+        orderBy: { createdAt: 'asc' }
+      }
+    }
+  });
+}
+
 router.get('/help', async (req, res) => {
   try {
     const { v: qrToken } = req.query;
@@ -21,16 +85,21 @@ router.get('/help', async (req, res) => {
     }
 
     // Find vehicle by QR token (public endpoint - no authentication required)
-    const vehicle = await prisma.vehicle.findUnique({
-      where: { qrToken },
+    const { status, qrCode, vehicle } = await resolveQrToken(qrToken, {
       select: {
         id: true,
         licensePlate: true,
         model: true,
-        color: true
+        color: true,
+        user: { select: { medicalProfile: true } }
       }
     });
 
+    // Sticker was replaced by the owner - tell the bystander instead of a generic error
+    if (status === 'revoked') {
+      return res.status(410).render('qr/revoked');
+    }
+
     if (!vehicle) {
       return res.status(404).render('error', {
         message: 'Invalid QR code. Vehicle not found.',
@@ -38,16 +107,25 @@ router.get('/help', async (req, res) => {
       });
     }
 
+    await markQrCodeScanned(qrCode.id);
+    const smsCode = await ensureSmsCode(qrCode);
+
     // Get SMS number from environment variables
     const twilioSmsNumber = process.env.TWILIO_SMS_NUMBER || process.env.TWILIO_FROM_NUMBER || null;
-    
+
     res.render('accidents/report', {
       vehicle: {
         licensePlate: vehicle.licensePlate,
         model: vehicle.model || 'Unknown',
         color: vehicle.color || 'Unknown'
       },
+      // Public fields only: this page is cached by the service worker for offline scans
+      // (the page shows the rest once a report is received, see report.ejs)
+      medical: visibleMedicalFields(vehicle.user.medicalProfile),
+      moreMedicalAfterReport: visibleMedicalFields(vehicle.user.medicalProfile, { reported: true }).length >
+        visibleMedicalFields(vehicle.user.medicalProfile).length,
       qrToken,
+      smsCode,
       googleMapsApiKey: process.env.GOOGLE_MAPS_API_KEY || null,
       twilioSmsNumber: twilioSmsNumber
     });
@@ -60,31 +138,29 @@ router.get('/help', async (req, res) => {
   }
 });
 
-router.get('/:vehicleId/download', requireAuth, async (req, res) => {
+// Download one sticker as PNG (defaults to the first active sticker)
+router.get('/:vehicleId/download/:codeId?', requireAuth, async (req, res) => {
   try {
-    const vehicle = await prisma.vehicle.findFirst({
-      where: {
-        id: parseInt(req.params.vehicleId),
-        userId: req.session.userId
-      }
-    });
+    const vehicle = await findOwnedVehicle(req);
 
     if (!vehicle) {
       return res.status(404).render('error', { message: 'Vehicle not found' });
     }
 
-    // Generate QR code containing the accident reporting URL
-    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
-    const helpUrl = `${baseUrl}/qr/help?v=${vehicle.qrToken}`;
-    const qrCodeBuffer = await QRCode.toBuffer(helpUrl, {
-      type: 'png',
-      width: 500,
-      margin: 2,
-      color: { dark: '#000000', light: '#FFFFFF' }
-    });
+    const qrCode = req.params.codeId
+      ? vehicle.qrCodes.find(code => code.id === parseInt(req.params.codeId))
+      : vehicle.qrCodes[0];
+
+    if (!qrCode) {
+      return res.status(404).render('error', { message: 'QR sticker not found', error: null });
+    }
 
+    // QR code containing the accident reporting URL, with the SMS code below it
+    const qrCodeBuffer = await renderStickerPng({ ...qrCode, smsCode: await ensureSmsCode(qrCode) });
+
+    const filename = `qr-${vehicle.licensePlate}-${qrCode.label}`.replace(/[^A-Za-z0-9-]+/g, '-');
     res.setHeader('Content-Type', 'image/png');
-    res.setHeader('Content-Disposition', `attachment; filename="qr-${vehicle.licensePlate.replace(/\s+/g, '-')}.png"`);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.png"`);
     res.send(qrCodeBuffer);
   } catch (error) {
     console.error('Error generating QR code:', error);
@@ -97,31 +173,40 @@ router.get('/:vehicleId/download', requireAuth, async (req, res) => {
 
 router.get('/:vehicleId/preview', requireAuth, async (req, res) => {
   try {
-    const vehicle = await prisma.vehicle.findFirst({
-      where: {
-        id: parseInt(req.params.vehicleId),
-        userId: req.session.userId
-      }
-    });
+    const vehicle = await findOwnedVehicle(req);
 
     if (!vehicle) {
       return res.status(404).render('error', { message: 'Vehicle not found' });
     }
 
-    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
-    const helpUrl = `${baseUrl}/qr/help?v=${vehicle.qrToken}`;
-    const qrCodeDataUrl = await QRCode.toDataURL(helpUrl, {
-      width: 500,
-      margin: 2,
-      color: { dark: '#000000', light: '#FFFFFF' }
+    const revokedCount = await prisma.vehicleQrCode.count({
+      where: { vehicleId: vehicle.id, revokedAt: { not: null } }
     });
 
+    const reportStats = await getQrCodeReportStats(vehicle.qrCodes.map(qrCode => qrCode.id));
+
+    // Render each active sticker separately
+    const stickers = await Promise.all(vehicle.qrCodes.map(async (qrCode) => {
+      const helpUrl = buildHelpUrl(qrCode.token);
+      return {
+        id: qrCode.id,
+        label: qrCode.label,
+        smsCode: formatSmsCode(await ensureSmsCode(qrCode)),
+        createdAt: qrCode.createdAt,
+        lastScannedAt: qrCode.lastScannedAt,
+        stats: reportStats[qrCode.id],
+        helpUrl,
+        qrCodeDataUrl: await QRCode.toDataURL(helpUrl, qrImageOptions),
+        downloadUrl: `/qr/${vehicle.id}/download/${qrCode.id}`
+      };
+    }));
+
     res.render('qr/preview', {
       user: { name: req.session.userName },
       vehicle,
-      qrCodeDataUrl,
-      helpUrl,
-      downloadUrl: `/qr/${vehicle.id}/download`
+      stickers,
+      revokedCount,
+      error: req.query.error || null
     });
   } catch (error) {
     console.error('Error loading QR preview:', error);
@@ -132,5 +217,111 @@ router.get('/:vehicleId/preview', requireAuth, async (req, res) => {
   }
 });
 
-module.exports = router;
+// Add another sticker (e.g. helmet, glovebox) with its own token
+router.post('/:vehicleId/codes', requireAuth, [
+  body('label').trim().notEmpty().isLength({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    const vehicle = await findOwnedVehicle(req);
 
+    if (!vehicle) {
+      return res.status(404).render('error', { message: 'Vehicle not found' });
+    }
+
+    if (!validationResult(req).isEmpty()) {
+      return res.redirect(`/qr/${vehicle.id}/preview?error=${encodeURIComponent('Sticker label must be 1-50 characters.')}`);
+    }
+
+    await prisma.vehicleQrCode.create({
+      data: {
+        vehicleId: vehicle.id,
+        token: generateQrToken(),
+        smsCode: generateSmsCode(),
+        label: req.body.label
+      }
+    });
+
+    res.redirect(`/qr/${vehicle.id}/preview`);
+  } catch (error) {
+    console.error('Error adding QR sticker:', error);
+    res.status(500).render('error', {
+      message: 'Error adding QR sticker',
+      error: process.env.NODE_ENV === 'development' ? error : null
+    });
+  }
+});
+
+// Rotate a sticker: issues a new token with the same label and revokes the old one
+// Used when a sticker is lost, abused or the vehicle changes hands
+router.post('/:vehicleId/codes/:codeId/rotate', requireAuth, async (req, res) => {
+  try {
+    const vehicle = await findOwnedVehicle(req);
+
+    if (!vehicle) {
+      return res.status(404).render('error', { message: 'Vehicle not found' });
+    }
+
+    const qrCode = vehicle.qrCodes.find(code => code.id === parseInt(req.params.codeId));
+    if (!qrCode) {
+      return res.status(404).render('error', { message: 'QR sticker not found', error: null });
+    }
+
+    await prisma.$transaction([
+      prisma.vehicleQrCode.update({
+        where: { id: qrCode.id },
+        data: { revokedAt: new Date() }
+      }),
+      prisma.vehicleQrCode.create({
+        data: {
+          vehicleId: vehicle.id,
+          token: generateQrToken(),
+          smsCode: generateSmsCode(),
+          label: qrCode.label || DEFAULT_QR_LABEL
+        }
+      })
+    ]);
+
+    res.redirect(`/qr/${vehicle.id}/preview`);
+  } catch (error) {
+    console.error('Error rotating QR code:', error);
+    res.status(500).render('error', {
+      message: 'Error rotating QR code',
+      error: process.env.NODE_ENV === 'development' ? error : null
+    });
+  }
+});
+
+// Revoke a sticker without replacing it (at least one sticker must stay active)
+router.post('/:vehicleId/codes/:codeId/revoke', requireAuth, async (req, res) => {
+  try {
+    const vehicle = await findOwnedVehicle(req);
+
+    if (!vehicle) {
+      return res.status(404).render('error', { message: 'Vehicle not found' });
+    }
+
+    const qrCode = vehicle.qrCodes.find(code => code.id === parseInt(req.params.codeId));
+    if (!qrCode) {
+      return res.status(404).render('error', { message: 'QR sticker not found', error: null });
+    }
+
+    if (vehicle.qrCodes.length === 1) {
+      return res.redirect(`/qr/${vehicle.id}/preview?error=${encodeURIComponent('Your last sticker cannot be removed. Use "Replace" instead.')}`);
+    }
+
+    await prisma.vehicleQrCode.update({
+      where: { id: qrCode.id },
+      data: { revokedAt: new Date() }
+    });
+
+    res.redirect(`/qr/${vehicle.id}/preview`);
+  } catch (error) {
+    console.error('Error revoking QR sticker:', error);
+    res.status(500).render('error', {
+      message: 'Error removing QR sticker',
+      error: process.env.NODE_ENV === 'development' ? error : null
+    });
+  }
+});
+
+module.exports = router;
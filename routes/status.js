@@ -0,0 +1,44 @@
+// Status Routes
+// Admin view of notification provider health, next to /health. Requires
+// ADMIN_STATUS_TOKEN, passed as ?token=<token> or "Authorization: Bearer <token>"
+
+const express = require('express');
+const { providerHealth } = require('../services/notificationProviders');
+const { secretMatches } = require('../services/webhookAuth');
+// Loading the email and SMS services registers their providers
+require('../services/email');
+require('../services/sms');
+
+const router = express.Router();
+
+function requireAdminToken(req, res, next) {
+  const secret = process.env.ADMIN_STATUS_TOKEN;
+  if (!secret) {
+    return res.status(404).json({ error: 'Status endpoint is disabled. Set ADMIN_STATUS_TOKEN to enable it.' });
+  }
+  const bearer = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!secretMatches(req.query.token || bearer, secret)) {
+    console.warn(`⚠️  Rejected provider status request from ${req.ip}`);
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  next();
+}
+
+// Counters and circuit breaker state per provider
+// ?live=1 also runs each provider's health check (calls the provider APIs)
+router.get('/providers', requireAdminToken, async (req, res) => {
+  try {
+    const providers = await providerHealth({ live: req.query.live === '1' });
+    const unhealthy = providers.filter(p => p.configured && (p.circuit === 'open' || p.ok === false));
+    res.status(200).json({
+      status: unhealthy.length > 0 ? 'degraded' : 'ok',
+      timestamp: new Date().toISOString(),
+      providers
+    });
+  } catch (error) {
+    console.error('❌ Error reading provider health:', error);
+    res.status(500).json({ error: 'Error reading provider health' });
+  }
+});
+
+module.exports = router;
@@ -3,14 +3,38 @@
 
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { v4: uuidv4 } = require('uuid');
 const prisma = require('../config/database');
 const { requireAuth } = require('../middleware/auth');
+const { DEFAULT_QR_LABEL, generateQrToken } = require('../services/qrCodes');
+const { generateSmsCode } = require('../services/smsCodes');
+const { ESCALATION_ACTIONS } = require('../services/escalations');
+const { REPORT_STATUSES, STATUS_LABELS, canTransition } = require('../services/reportStatus');
+const { visibleMedicalFields } = require('../services/medicalProfile');
+const { smsOptOutsFor } = require('../services/smsOptOuts');
 
 const router = express.Router();
 
 router.use(requireAuth);
 
+// Shared validation rules for adding and editing vehicles
+const vehicleValidation = [
+  body('licensePlate').trim().notEmpty().isLength({ min: 1, max: 50 }),
+  body('model').optional().trim().isLength({ max: 100 }),
+  body('color').optional().trim().isLength({ max: 50 }),
+  body('skipUnverifiedContacts').optional().isIn(['on'])
+];
+
+// Normalize submitted vehicle fields the same way for add and edit
+// (an unchecked checkbox is simply missing from the form body)
+function vehicleFields({ licensePlate, model, color, skipUnverifiedContacts }) {
+  return {
+    licensePlate: licensePlate.trim().toUpperCase(),
+    model: model ? model.trim() : null,
+    color: color ? color.trim() : null,
+    skipUnverifiedContacts: skipUnverifiedContacts === 'on'
+  };
+}
+
 router.get('/', async (req, res) => {
   try {
     const vehicles = await prisma.vehicle.findMany({
@@ -36,27 +60,21 @@ router.get('/add', (req, res) => {
   res.render('vehicles/add', { error: null });
 });
 
-router.post('/add', [
-  body('licensePlate').trim().notEmpty().isLength({ min: 1, max: 50 }),
-  body('model').optional().trim().isLength({ max: 100 }),
-  body('color').optional().trim().isLength({ max: 50 })
-], async (req, res) => {
+router.post('/add', vehicleValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.render('vehicles/add', { error: 'Invalid input. Please check all fields.' });
     }
 
-    const { licensePlate, model, color } = req.body;
-
-    // Create vehicle with unique QR token
+    // Create vehicle with its first QR sticker
     const vehicle = await prisma.vehicle.create({
       data: {
         userId: req.session.userId,
-        licensePlate: licensePlate.trim().toUpperCase(),
-        model: model ? model.trim() : null,
-        color: color ? color.trim() : null,
-        qrToken: uuidv4() // Generate secure random token
+        ...vehicleFields(req.body),
+        qrCodes: {
+          create: { token: generateQrToken(), smsCode: generateSmsCode(), label: DEFAULT_QR_LABEL }
+        }
       }
     });
 
@@ -69,6 +87,9 @@ router.post('/add', [
 
 router.get('/:id', async (req, res) => {
   try {
+    // Optional report filter, e.g. ?status=new
+    const statusFilter = REPORT_STATUSES.includes(req.query.status) ? req.query.status : null;
+
     const vehicle = await prisma.vehicle.findFirst({
       where: {
         id: parseInt(req.params.id),
@@ -76,13 +97,24 @@ router.get('/:id', async (req, res) => {
       },
       include: {
         emergencyContacts: {
-          orderBy: { createdAt: 'desc' }
+          orderBy: [{ priority: 'asc' }, { createdAt: 'asc' }]
         },
         accidentReports: {
+          where: statusFilter ? { status: statusFilter } : {},
           orderBy: { createdAt: 'desc' },
           include: {
-            images: true
+            images: true,
+            qrCode: { select: { label: true } },
+            escalationJobs: { orderBy: { runAt: 'asc' } },
+            acknowledgements: { orderBy: { createdAt: 'asc' } },
+            statusChanges: { orderBy: { createdAt: 'asc' } }
           }
+        },
+        changes: {
+          orderBy: { createdAt: 'desc' }
+        },
+        escalationRules: {
+          orderBy: [{ delayMinutes: 'asc' }, { tier: 'asc' }]
         }
       }
     });
@@ -91,10 +123,30 @@ router.get('/:id', async (req, res) => {
       return res.status(404).render('error', { message: 'Vehicle not found' });
     }
 
+    const statusGroups = await prisma.accidentReport.groupBy({
+      by: ['status'],
+      where: { vehicleId: vehicle.id },
+      _count: { _all: true }
+    });
+    const statusCounts = Object.fromEntries(statusGroups.map(group => [group.status, group._count._all]));
+    const medicalProfile = await prisma.medicalProfile.findUnique({
+      where: { userId: req.session.userId }
+    });
+    // Contacts whose number replied STOP
+    const smsOptOuts = await smsOptOutsFor(vehicle.emergencyContacts.map(contact => contact.phoneNumber));
+
     res.render('vehicles/detail', {
       user: { name: req.session.userName },
       vehicle,
-      baseUrl: process.env.BASE_URL || 'http://localhost:3000'
+      baseUrl: process.env.BASE_URL || 'http://localhost:3000',
+      error: req.query.error || null,
+      statusFilter,
+      statusCounts,
+      medicalFields: visibleMedicalFields(medicalProfile, { reported: true })
+        .map(field => ({ ...field, public: medicalProfile.publicFields.includes(field.name) })),
+      smsOptOuts,
+      statusLabels: STATUS_LABELS,
+      nextStatuses: status => REPORT_STATUSES.filter(next => canTransition(status, next))
     });
   } catch (error) {
     console.error('Error fetching vehicle:', error);
@@ -102,6 +154,141 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+router.get('/:id/edit', async (req, res) => {
+  try {
+    const vehicle = await prisma.vehicle.findFirst({
+      where: { id: parseInt(req.params.id), userId: req.session.userId }
+    });
+
+    if (!vehicle) {
+      return res.status(404).render('error', { message: 'Vehicle not found' });
+    }
+
+    res.render('vehicles/edit', {
+      user: { name: req.session.userName },
+      vehicle,
+      error: null
+    });
+  } catch (error) {
+    console.error('Error loading vehicle for edit:', error);
+    res.render('error', { message: 'Error loading vehicle', error });
+  }
+});
+
+// Edit vehicle in place: keeps QR token, contacts and reports intact
+router.post('/:id/edit', vehicleValidation, async (req, res) => {
+  const vehicleId = parseInt(req.params.id);
+  let vehicle = null;
+
+  try {
+    vehicle = await prisma.vehicle.findFirst({
+      where: { id: vehicleId, userId: req.session.userId }
+    });
+
+    if (!vehicle) {
+      return res.status(404).render('error', { message: 'Vehicle not found' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.render('vehicles/edit', {
+        user: { name: req.session.userName },
+        vehicle: { ...vehicle, ...req.body },
+        error: 'Invalid input. Please check all fields.'
+      });
+    }
+
+    const updates = vehicleFields(req.body);
+
+    // Record one history entry per changed field
+    const changes = Object.keys(updates)
+      .filter(field => updates[field] !== vehicle[field])
+      .map(field => ({
+        vehicleId,
+        field,
+        oldValue: vehicle[field] === null ? null : String(vehicle[field]),
+        newValue: updates[field] === null ? null : String(updates[field])
+      }));
+
+    if (changes.length > 0) {
+      await prisma.$transaction([
+        prisma.vehicle.update({ where: { id: vehicleId }, data: updates }),
+        prisma.vehicleChange.createMany({ data: changes })
+      ]);
+    }
+
+    res.redirect(`/vehicles/${vehicleId}`);
+  } catch (error) {
+    console.error('Error updating vehicle:', error);
+    res.render('vehicles/edit', {
+      user: { name: req.session.userName },
+      vehicle: { ...(vehicle || { id: vehicleId }), ...req.body },
+      error: 'Error updating vehicle. Please try again.'
+    });
+  }
+});
+
+// Escalation rules: "after N minutes without acknowledgement, alert tier T by SMS/email/call"
+router.post('/:id/escalations', [
+  body('delayMinutes').isInt({ min: 1, max: 1440 }),
+  body('tier').isInt({ min: 1, max: 5 }),
+  body('action').isIn(ESCALATION_ACTIONS)
+], async (req, res) => {
+  try {
+    const vehicleId = parseInt(req.params.id);
+    const vehicle = await prisma.vehicle.findFirst({
+      where: { id: vehicleId, userId: req.session.userId }
+    });
+
+    if (!vehicle) {
+      return res.status(404).render('error', { message: 'Vehicle not found' });
+    }
+
+    if (!validationResult(req).isEmpty()) {
+      const message = 'Escalation rules need a delay of 1-1440 minutes, a tier of 1-5 and an action.';
+      return res.redirect(`/vehicles/${vehicleId}?error=${encodeURIComponent(message)}#escalation`);
+    }
+
+    await prisma.escalationRule.create({
+      data: {
+        vehicleId,
+        delayMinutes: parseInt(req.body.delayMinutes),
+        tier: parseInt(req.body.tier),
+        action: req.body.action
+      }
+    });
+
+    res.redirect(`/vehicles/${vehicleId}#escalation`);
+  } catch (error) {
+    console.error('Error adding escalation rule:', error);
+    res.render('error', { message: 'Error adding escalation rule', error });
+  }
+});
+
+router.post('/:id/escalations/:ruleId/delete', async (req, res) => {
+  try {
+    const vehicleId = parseInt(req.params.id);
+    const rule = await prisma.escalationRule.findFirst({
+      where: {
+        id: parseInt(req.params.ruleId),
+        vehicle: { id: vehicleId, userId: req.session.userId }
+      }
+    });
+
+    if (!rule) {
+      return res.status(404).render('error', { message: 'Escalation rule not found', error: null });
+    }
+
+    // Already scheduled steps for past reports still run; only future reports change
+    await prisma.escalationRule.delete({ where: { id: rule.id } });
+
+    res.redirect(`/vehicles/${vehicleId}#escalation`);
+  } catch (error) {
+    console.error('Error deleting escalation rule:', error);
+    res.render('error', { message: 'Error deleting escalation rule', error });
+  }
+});
+
 router.post('/:id/delete', async (req, res) => {
   try {
     const vehicleId = parseInt(req.params.id);
@@ -7,6 +7,12 @@ const session = require('express-session');
 const pgSession = require('connect-pg-simple')(session);
 const path = require('path');
 
+// Sessions and signed links (acknowledgements, bystander status) rely on a
+// secret; the development fallback below is public, so never run on it
+if (process.env.NODE_ENV === 'production' && !process.env.SESSION_SECRET) {
+  throw new Error('SESSION_SECRET must be set in production');
+}
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -47,12 +53,23 @@ const vehicleRoutes = require('./routes/vehicles');
 const contactRoutes = require('./routes/contacts');
 const accidentRoutes = require('./routes/accidents');
 const qrRoutes = require('./routes/qr');
+const acknowledgementRoutes = require('./routes/acknowledgements');
+const deliveryWebhookRoutes = require('./routes/deliveryWebhooks');
+const statusRoutes = require('./routes/status');
+const accountRoutes = require('./routes/account');
+const { startEscalationWorker } = require('./services/escalations');
+const { startOutboxWorker } = require('./services/notificationOutbox');
 
 app.use('/auth', authRoutes);
 app.use('/vehicles', vehicleRoutes);
+app.use('/account', accountRoutes);
 app.use('/contacts', contactRoutes);
 app.use('/accidents', accidentRoutes);
 app.use('/qr', qrRoutes);
+app.use('/ack', acknowledgementRoutes);
+// Short acknowledgement links used in alert SMS
+app.get('/a/:token', (req, res) => res.redirect(`/ack/${encodeURIComponent(req.params.token)}`));
+app.use('/webhooks/delivery', deliveryWebhookRoutes);
 
 // Health Check Endpoint: For UptimeRobot to keep server awake
 // This endpoint is pinged every 10-12 minutes to prevent Render free tier spin-down
@@ -65,6 +82,9 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Provider Status: email/SMS provider counters and circuit breakers (admin token)
+app.use('/health', statusRoutes);
+
 // Test Route: For mobile connectivity testing
 app.get('/test', (req, res) => {
   res.send(`
@@ -102,4 +122,9 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Local: http://localhost:${PORT}`);
   console.log(`Network: http://${process.env.BASE_URL?.replace('http://', '').split(':')[0] || 'YOUR_IP'}:${PORT}`);
+
+  // Pending escalations are stored in Postgres, so they resume after a restart
+  startEscalationWorker();
+  // Queued alerts (and retries) are sent by the outbox worker
+  startOutboxWorker();
 });
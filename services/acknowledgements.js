@@ -0,0 +1,136 @@
+// Acknowledgement Service
+// Signed per-contact "I'm on it" links in alert emails/SMS, signed status
+// links so the bystander can see when a contact has responded, and the
+// bystander's private follow-up link for adding to their report
+
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const { changeReportStatus } = require('./reportStatus');
+
+const SIGNATURE_LENGTH = 16; // base64url chars (96 bits), keeps SMS links short
+
+// The built-in key is public, so it only signs links in development
+// (server.js refuses to start in production without SESSION_SECRET)
+function getSigningSecret() {
+  const secret = process.env.ACK_SECRET || process.env.SESSION_SECRET;
+  if (secret) {
+    return secret;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('ACK_SECRET or SESSION_SECRET must be set in production');
+  }
+  return 'change-this-secret-key';
+}
+
+function getBaseUrl() {
+  return process.env.BASE_URL || 'http://localhost:3000';
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', getSigningSecret())
+    .update(payload)
+    .digest('base64url')
+    .slice(0, SIGNATURE_LENGTH);
+}
+
+function signatureMatches(payload, signature) {
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature || '');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Token format: <reportId>.<contactId>.<signature>
+function createAckToken(reportId, contactId) {
+  return `${reportId}.${contactId}.${sign(`ack:${reportId}.${contactId}`)}`;
+}
+
+// Returns { reportId, contactId } or null when the token was tampered with
+function verifyAckToken(token) {
+  const match = /^(\d+)\.(\d+)\.([A-Za-z0-9_-]+)$/.exec(token || '');
+  if (!match || !signatureMatches(`ack:${match[1]}.${match[2]}`, match[3])) {
+    return null;
+  }
+  return { reportId: parseInt(match[1]), contactId: parseInt(match[2]) };
+}
+
+function buildAckUrl(reportId, contactId) {
+  return `${getBaseUrl()}/ack/${createAckToken(reportId, contactId)}`;
+}
+
+// Shorter form of the same link for alert SMS, so it fits in one 160-character
+// part: no scheme (phones link bare domains) and the /a redirect (see server.js)
+function buildSmsAckUrl(reportId, contactId) {
+  return `${getBaseUrl().replace(/^https?:\/\//, '')}/a/${createAckToken(reportId, contactId)}`;
+}
+
+// Token format: <reportId>.<signature> (read-only status for the bystander)
+function createStatusToken(reportId) {
+  return `${reportId}.${sign(`status:${reportId}`)}`;
+}
+
+function verifyStatusToken(token) {
+  const match = /^(\d+)\.([A-Za-z0-9_-]+)$/.exec(token || '');
+  if (!match || !signatureMatches(`status:${match[1]}`, match[2])) {
+    return null;
+  }
+  return parseInt(match[1]);
+}
+
+// Token format: <reportId>.<signature>, signed for a different purpose than the
+// status token, so the read-only link cannot be used to post follow-ups
+function createFollowUpToken(reportId) {
+  return `${reportId}.${sign(`followup:${reportId}`)}`;
+}
+
+function verifyFollowUpToken(token) {
+  const match = /^(\d+)\.([A-Za-z0-9_-]+)$/.exec(token || '');
+  if (!match || !signatureMatches(`followup:${match[1]}`, match[2])) {
+    return null;
+  }
+  return parseInt(match[1]);
+}
+
+// Record that a contact acknowledged a report (repeat clicks are ignored)
+// The report keeps the time of the first acknowledgement, and a new report
+// moves to "acknowledged"
+async function acknowledgeReport(report, contact) {
+  const reportId = report.id;
+  const acknowledgement = await prisma.reportAcknowledgement.upsert({
+    where: {
+      accidentReportId_contactId: { accidentReportId: reportId, contactId: contact.id }
+    },
+    create: {
+      accidentReportId: reportId,
+      contactId: contact.id,
+      contactName: contact.name
+    },
+    update: {}
+  });
+
+  await prisma.accidentReport.updateMany({
+    where: { id: reportId, acknowledgedAt: null },
+    data: { acknowledgedAt: acknowledgement.createdAt }
+  });
+
+  if (report.status === 'new') {
+    await changeReportStatus(report, 'acknowledged', {
+      actor: { userId: null, name: `${contact.name} (contact)` }
+    });
+  }
+
+  console.log(`✅ Report ${reportId} acknowledged by contact ${contact.id}`);
+  return acknowledgement;
+}
+
+module.exports = {
+  getSigningSecret,
+  createAckToken,
+  verifyAckToken,
+  buildAckUrl,
+  buildSmsAckUrl,
+  createStatusToken,
+  verifyStatusToken,
+  createFollowUpToken,
+  verifyFollowUpToken,
+  acknowledgeReport
+};
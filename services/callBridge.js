@@ -0,0 +1,128 @@
+// Call Bridge Service
+// "Call family" from the bystander's thank-you page: connects the bystander
+// to the highest-priority contact through the Twilio number and logs the call
+// against the report. Neither phone number is shown to the other side.
+// Twilio dials the number the bystander types in, so calls are limited per
+// report, per sticker and per calling number (toll fraud)
+
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const { bridgeCall } = require('./voice');
+const { preferredChannels } = require('./contactAlerts');
+const { isVerifiedFor } = require('./contactVerification');
+const { getSigningSecret } = require('./acknowledgements');
+
+const MAX_CALLS_PER_REPORT = 3;
+const CALL_COOLDOWN_MS = 60 * 1000;
+const LIMIT_WINDOW_MS = 60 * 60 * 1000;
+const MAX_CALLS_PER_STICKER = 5; // per LIMIT_WINDOW_MS, across all reports from the sticker
+const MAX_CALLS_PER_CALLER = 3; // per LIMIT_WINDOW_MS, across all stickers
+
+// Needs Twilio Voice (see services/voice.js)
+function callBridgeEnabled() {
+  return !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN &&
+    (process.env.TWILIO_VOICE_NUMBER || process.env.TWILIO_FROM_NUMBER));
+}
+
+// Bystander numbers are not stored; a keyed hash is enough to count their calls
+function hashCaller(phoneNumber) {
+  return crypto.createHmac('sha256', getSigningSecret())
+    .update(`caller:${phoneNumber.replace(/[^\d+]/g, '')}`)
+    .digest('hex');
+}
+
+// Highest-priority contact who can take a call
+// vehicle.emergencyContacts must already be in priority order
+function callableContact(vehicle) {
+  return vehicle.emergencyContacts.find(contact =>
+    preferredChannels(contact).length > 0 &&
+    (!vehicle.skipUnverifiedContacts || isVerifiedFor(contact, 'call'))
+  ) || null;
+}
+
+// Reason the call may not be placed yet, or null
+// `call` is this attempt's reserved row. Only rows reserved before it count,
+// so of two parallel requests the later one is refused
+async function callLimitReached(report, callerHash, call) {
+  const since = new Date(Date.now() - LIMIT_WINDOW_MS);
+  const earlier = { id: { lt: call.id } };
+  const [previousCalls, stickerCalls, callerCalls] = await Promise.all([
+    prisma.reportCall.findMany({
+      where: { accidentReportId: report.id, ...earlier },
+      orderBy: { createdAt: 'desc' }
+    }),
+    report.qrCodeId
+      ? prisma.reportCall.count({ where: { accidentReport: { qrCodeId: report.qrCodeId }, createdAt: { gte: since }, ...earlier } })
+      : 0,
+    prisma.reportCall.count({ where: { callerHash, createdAt: { gte: since }, ...earlier } })
+  ]);
+  if (previousCalls.length >= MAX_CALLS_PER_REPORT || stickerCalls >= MAX_CALLS_PER_STICKER) {
+    return 'The call limit for this report has been reached. Please use the messages below.';
+  }
+  if (callerCalls >= MAX_CALLS_PER_CALLER) {
+    return 'Too many calls from this number. Please try again later or use the messages below.';
+  }
+  if (previousCalls[0] && Date.now() - new Date(previousCalls[0].createdAt).getTime() < CALL_COOLDOWN_MS) {
+    return 'A call was just started. Please wait a minute before trying again.';
+  }
+  return null;
+}
+
+// Returns { call } when Twilio accepted the call, or { error } with a message
+// for the bystander (failed attempts are logged too)
+async function startCallBridge({ report, vehicle, bystanderPhone }) {
+  const contact = callableContact(vehicle);
+  if (!contact) {
+    return { error: 'No emergency contact can take calls for this vehicle.' };
+  }
+
+  // Reserve the row before checking the limits, so parallel requests see
+  // each other's attempts
+  const callerHash = hashCaller(bystanderPhone);
+  const reserved = await prisma.reportCall.create({
+    data: {
+      accidentReportId: report.id,
+      contactId: contact.id,
+      contactName: contact.name,
+      status: 'pending',
+      callerHash
+    }
+  });
+
+  const limitError = await callLimitReached(report, callerHash, reserved);
+  if (limitError) {
+    await prisma.reportCall.delete({ where: { id: reserved.id } });
+    console.warn(`⚠️  Report ${report.id}: call bridge refused (${limitError})`);
+    return { error: limitError };
+  }
+
+  let result;
+  try {
+    result = await bridgeCall({ vehicle, bystanderPhone, contact });
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  const call = await prisma.reportCall.update({
+    where: { id: reserved.id },
+    data: {
+      status: result.success ? 'started' : 'failed',
+      provider: result.provider || null,
+      providerCallId: result.callSid || null,
+      error: result.success ? null : result.error
+    }
+  });
+
+  console.log(`📞 Report ${report.id}: bridge call ${call.id} to contact ${contact.id} ${call.status}`);
+  if (!result.success) {
+    return { error: 'The call could not be started. Please try again or use the messages below.' };
+  }
+  return { call };
+}
+
+module.exports = {
+  MAX_CALLS_PER_CALLER,
+  callBridgeEnabled,
+  callableContact,
+  startCallBridge
+};
@@ -0,0 +1,161 @@
+// Contact Alert Service
+// Decides how an accident alert reaches each of a vehicle's emergency contacts,
+// respecting channel preferences and confirmation status, and sends one alert
+// (queuing and retries live in services/notificationOutbox.js)
+
+const { sendAccidentAlertEmail, sendReportUpdateEmail } = require('./email');
+const { sendAccidentAlertSMS, sendReportUpdateSMS } = require('./sms');
+const { sendAccidentAlertCall } = require('./voice');
+// preferredChannels lives with verification (which needs it) and is re-exported here
+const { isVerifiedFor, preferredChannels } = require('./contactVerification');
+const { buildAckUrl, buildSmsAckUrl } = require('./acknowledgements');
+
+// Stored in EmergencyContact.channels
+const CONTACT_CHANNELS = ['both', 'email', 'sms', 'none'];
+
+// Channels to try for one report
+// online: the bystander submitted the full web form (email by default, SMS only if
+//         the contact does not take email or asked for "also SMS on online reports")
+// offline: submitted over cellular/SMS (the server still has internet, so every
+//          preferred channel is used, SMS first)
+function channelsForReport(contact, { online }) {
+  const wanted = preferredChannels(contact);
+  const wantsEmail = wanted.includes('email');
+  const wantsSms = wanted.includes('sms');
+
+  if (online) {
+    const channels = wantsEmail ? ['email'] : [];
+    if (wantsSms && (contact.smsOnOnlineReports || !wantsEmail)) {
+      channels.push('sms');
+    }
+    return channels;
+  }
+
+  const channels = wantsSms ? ['sms'] : [];
+  if (wantsEmail) {
+    channels.push('email');
+  }
+  return channels;
+}
+
+// Contacts alerted as soon as a report comes in: tier 1, plus any tier
+// that no escalation rule covers (so nobody is silently left out)
+function immediateContacts(vehicle) {
+  const escalatedTiers = new Set((vehicle.escalationRules || []).map(rule => rule.tier));
+  return vehicle.emergencyContacts.filter(c => c.tier <= 1 || !escalatedTiers.has(c.tier));
+}
+
+// Twilio posts SMS/call delivery receipts here (routes/deliveryWebhooks.js)
+// Only set when BASE_URL is, since Twilio cannot reach localhost
+function twilioStatusCallbackUrl() {
+  if (!process.env.BASE_URL) {
+    return null;
+  }
+  const secret = process.env.DELIVERY_WEBHOOK_SECRET;
+  return `${process.env.BASE_URL}/webhooks/delivery/twilio${secret ? `?token=${encodeURIComponent(secret)}` : ''}`;
+}
+
+// Signed acknowledgement link for a contact, in the short form for SMS
+function ackUrlFor(channel, reportId, contact) {
+  if (!reportId) {
+    return null;
+  }
+  return channel === 'email' ? buildAckUrl(reportId, contact.id) : buildSmsAckUrl(reportId, contact.id);
+}
+
+// channel: 'email' | 'sms' | 'call' (calls use the phone number, like SMS)
+// Each contact gets their own signed acknowledgement link
+// skipProviders: providers that already failed to deliver this alert
+function sendOnChannel(channel, contact, { reportId, ...details }, { skipProviders = [] } = {}) {
+  const alert = { ...details, ackUrl: ackUrlFor(channel, reportId, contact) };
+  const statusCallback = twilioStatusCallbackUrl();
+  let send;
+  if (channel === 'email') {
+    send = sendAccidentAlertEmail({ ...alert, skipProviders, contact: { name: contact.name, email: contact.email } });
+  } else if (channel === 'call') {
+    send = sendAccidentAlertCall({ ...alert, statusCallback, contact: { name: contact.name, phoneNumber: contact.phoneNumber } });
+  } else {
+    send = sendAccidentAlertSMS({ ...alert, skipProviders, statusCallback, contact: { name: contact.name, phoneNumber: contact.phoneNumber } });
+  }
+
+  return send.catch(err => {
+    console.error(`❌ Failed to send ${channel} alert to contact ${contact.id}:`, err);
+    return { success: false, error: err.message };
+  });
+}
+
+// Send a short update about a report the contact was already alerted to
+// (email or SMS; details include `update`, the text of what changed)
+function sendUpdateOnChannel(channel, contact, { reportId, ...details }, { skipProviders = [] } = {}) {
+  const update = { ...details, ackUrl: ackUrlFor(channel, reportId, contact), skipProviders };
+  const send = channel === 'email'
+    ? sendReportUpdateEmail({ ...update, contact: { name: contact.name, email: contact.email } })
+    : sendReportUpdateSMS({ ...update, statusCallback: twilioStatusCallbackUrl(), contact: { name: contact.name, phoneNumber: contact.phoneNumber } });
+
+  return send.catch(err => {
+    console.error(`❌ Failed to send ${channel} update to contact ${contact.id}:`, err);
+    return { success: false, error: err.message };
+  });
+}
+
+// Work out which channels each contact gets for one alert
+// vehicle must include emergencyContacts (ordered by priority) and escalationRules
+// contacts: defaults to the contacts alerted immediately (see immediateContacts)
+// channel: force one channel for everyone (escalation rules); contacts who chose
+//          "no alerts" are still left out
+// smsOptOuts: numbers that replied STOP (see smsOptOutsFor in services/smsOptOuts.js)
+// Returns one entry per contact: { contact, channels, skipped }
+function planContactChannels(vehicle, { online, contacts = immediateContacts(vehicle), channel: forcedChannel, smsOptOuts = new Map() }) {
+  return contacts.map(contact => {
+    const channels = [];
+    const skipped = [];
+    let wanted = channelsForReport(contact, { online });
+    if (forcedChannel) {
+      wanted = preferredChannels(contact).length > 0 ? [forcedChannel] : [];
+    }
+
+    // Unconfirmed channels are flagged, and skipped when the owner
+    // enabled "only alert confirmed contacts"; SMS is skipped after a STOP reply
+    for (const channel of wanted) {
+      if (channel === 'sms' && smsOptOuts.has(contact.phoneNumber)) {
+        skipped.push(channel);
+      } else if (isVerifiedFor(contact, channel)) {
+        channels.push(channel);
+      } else if (vehicle.skipUnverifiedContacts) {
+        console.warn(`⚠️  Skipping unconfirmed ${channel} for contact ${contact.name} (#${contact.id}) on ${vehicle.licensePlate}`);
+        skipped.push(channel);
+      } else {
+        console.warn(`⚠️  Alerting unconfirmed ${channel} for contact ${contact.name} (#${contact.id}) on ${vehicle.licensePlate}`);
+        channels.push(channel);
+      }
+    }
+
+    return { contact, channels, skipped };
+  });
+}
+
+// Per-contact summary that is safe to return to a bystander (no names, emails or numbers)
+// Alerts are sent by the outbox worker, so channels are queued rather than delivered
+function summarizeNotifications(notifications) {
+  return notifications.map((notification, index) => ({
+    contact: index + 1,
+    channels: notification.channels
+  }));
+}
+
+// Number of contacts queued on at least one channel
+function countNotified(notifications) {
+  return notifications.filter(n => n.channels.length > 0).length;
+}
+
+module.exports = {
+  CONTACT_CHANNELS,
+  preferredChannels,
+  channelsForReport,
+  immediateContacts,
+  planContactChannels,
+  sendOnChannel,
+  sendUpdateOnChannel,
+  summarizeNotifications,
+  countNotified
+};
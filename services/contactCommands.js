@@ -0,0 +1,114 @@
+// Contact SMS Commands
+// Emergency contacts can answer an alert by SMS with a single word:
+//   ACK    - "I'm on it": acknowledges the latest open report, stops escalation
+//   STATUS - status, location and note of the latest report
+//   STOP   - no more SMS from AssistQR to this number (START turns them back on)
+//   HELP   - list of commands
+// Contacts are recognised by the sender's phone number. STOP and START apply
+// to the number, whether it belongs to a contact or not (see services/smsOptOuts.js)
+
+const prisma = require('../config/database');
+const { acknowledgeReport } = require('./acknowledgements');
+const { cancelEscalations } = require('./escalations');
+const { STATUS_LABELS, CLOSED_STATUSES } = require('./reportStatus');
+const { USAGE } = require('./smsCommands');
+const { setSmsOptOut } = require('./smsOptOuts');
+
+const MAX_REPLY_LENGTH = 300; // Two SMS segments
+
+const HELP_REPLY = 'AssistQR: reply ACK if you are on it, STATUS for the latest report, ' +
+  `STOP to stop SMS, START to resume. To report an accident: ${USAGE}`;
+const NOT_A_CONTACT_REPLY = 'This number is not an AssistQR emergency contact. ' +
+  `To report an accident send: ${USAGE}`;
+
+function shorten(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function minutesAgo(date) {
+  const minutes = Math.max(0, Math.round((Date.now() - new Date(date).getTime()) / 60000));
+  if (minutes < 60) {
+    return `${minutes} min ago`;
+  }
+  return minutes < 48 * 60 ? `${Math.round(minutes / 60)} h ago` : `${Math.round(minutes / 1440)} days ago`;
+}
+
+// Latest report for any vehicle this number is a contact of
+// Returns { report, contact } or null
+async function latestReportFor(contacts, { openOnly = false } = {}) {
+  const report = await prisma.accidentReport.findFirst({
+    where: {
+      vehicleId: { in: contacts.map(c => c.vehicleId) },
+      ...(openOnly ? { status: { notIn: CLOSED_STATUSES } } : {})
+    },
+    orderBy: { createdAt: 'desc' },
+    include: { vehicle: { select: { licensePlate: true } } }
+  });
+  return report ? { report, contact: contacts.find(c => c.vehicleId === report.vehicleId) } : null;
+}
+
+async function acknowledgeBySms(contacts) {
+  const latest = await latestReportFor(contacts, { openOnly: true });
+  if (!latest) {
+    return 'AssistQR: there is no open accident report for your vehicles.';
+  }
+  const { report, contact } = latest;
+  await acknowledgeReport(report, contact);
+  // Someone is responding - stop escalating to further tiers
+  await cancelEscalations(report.id);
+  return `AssistQR: thanks, ${report.vehicle.licensePlate} accident marked as acknowledged. ` +
+    'Reply STATUS for details, or text a message to reach the helper.';
+}
+
+async function statusBySms(contacts) {
+  const latest = await latestReportFor(contacts);
+  if (!latest) {
+    return 'AssistQR: there are no accident reports for your vehicles.';
+  }
+  const { report } = latest;
+  let reply = `AssistQR ${report.vehicle.licensePlate}: ${STATUS_LABELS[report.status] || report.status}, ` +
+    `reported ${minutesAgo(report.createdAt)}.`;
+  if (report.lat && report.lng) {
+    reply += ` Location: maps.google.com/?q=${report.lat},${report.lng}`;
+  } else if (report.manualLocation) {
+    reply += ` Location: ${shorten(report.manualLocation, 80)}`;
+  }
+  if (report.helperNote) {
+    reply += ` Note: ${report.helperNote}`;
+  }
+  return shorten(reply, MAX_REPLY_LENGTH);
+}
+
+// Run a contact command from an inbound SMS
+// command: 'ack' | 'status' | 'stop' | 'start' | 'help' (see parseSmsCommand)
+// Returns the reply text to send back, or null for no reply (a repeated STOP
+// or START is not confirmed again)
+async function handleContactCommand(command, phoneNumber) {
+  if (command === 'help') {
+    return HELP_REPLY;
+  }
+  // Carriers expect STOP to work for anyone, contact or not
+  if (command === 'stop') {
+    return await setSmsOptOut(phoneNumber, true)
+      ? 'AssistQR: you will no longer get SMS from us. Email alerts and calls continue if set up. Reply START to resume.'
+      : null;
+  }
+  if (command === 'start') {
+    return await setSmsOptOut(phoneNumber, false)
+      ? 'AssistQR: SMS alerts are on again for this number. Reply STOP to opt out.'
+      : null;
+  }
+
+  const contacts = await prisma.emergencyContact.findMany({
+    where: { phoneNumber },
+    select: { id: true, name: true, vehicleId: true }
+  });
+  if (contacts.length === 0) {
+    return NOT_A_CONTACT_REPLY;
+  }
+  return command === 'ack' ? acknowledgeBySms(contacts) : statusBySms(contacts);
+}
+
+module.exports = {
+  handleContactCommand
+};
@@ -0,0 +1,217 @@
+// Contact Verification Service
+// Emergency contacts must opt in before receiving alerts:
+// an email confirmation link and a one-time SMS code are sent when a contact is added
+
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const { sendEmail, escapeHtml } = require('./email');
+const { sendSMS } = require('./sms');
+const { isSmsOptedOut } = require('./smsOptOuts');
+
+const SMS_CODE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_SMS_CODE_ATTEMPTS = 5;
+const RESEND_COOLDOWN_MS = 5 * 60 * 1000; // Between sends to one contact
+const RESEND_WINDOW_MS = 24 * 60 * 60 * 1000;
+const MAX_RESENDS_PER_WINDOW = 5; // Owner-requested resends per contact per day
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+function getBaseUrl() {
+  return process.env.BASE_URL || 'http://localhost:3000';
+}
+
+// A contact is verified for a channel once they confirmed it
+// channel: 'email' | 'sms' | 'call' (calls use the phone number)
+function isVerifiedFor(contact, channel) {
+  return channel === 'email' ? !!contact.emailVerifiedAt : !!contact.phoneVerifiedAt;
+}
+
+function isVerified(contact) {
+  return !!(contact.emailVerifiedAt || contact.phoneVerifiedAt);
+}
+
+// Channels a contact wants alerts on: 'email' and/or 'sms'
+function preferredChannels(contact) {
+  switch (contact.channels) {
+    case 'email': return ['email'];
+    case 'sms': return ['sms'];
+    case 'none': return [];
+    default: return ['email', 'sms'];
+  }
+}
+
+// "by email and SMS", "by email" or "by SMS", for the request email
+function alertChannelsText(contact) {
+  const labels = { email: 'email', sms: 'SMS' };
+  const channels = preferredChannels(contact).map(channel => labels[channel]);
+  return channels.length > 0 ? ` by ${channels.join(' and ')}` : '';
+}
+
+// Issue fresh credentials and send them (email link + SMS code)
+// channels: which channels to (re)verify, defaults to both. Only the channels
+// sent get new credentials, so re-verifying a changed phone number leaves an
+// unused email link working
+async function sendContactVerification(contact, { vehicle, ownerName, channels = ['email', 'sms'] }) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  const data = { verificationSentAt: new Date() };
+  if (channels.includes('email')) {
+    data.verificationToken = token;
+  }
+  if (channels.includes('sms')) {
+    data.smsCodeHash = hashCode(code);
+    data.smsCodeExpiresAt = new Date(Date.now() + SMS_CODE_TTL_MS);
+    data.smsCodeAttempts = 0;
+  }
+
+  await prisma.emergencyContact.update({ where: { id: contact.id }, data });
+
+  const confirmUrl = `${getBaseUrl()}/contacts/confirm/${token}`;
+  const codeUrl = `${getBaseUrl()}/contacts/confirm-code`;
+  const results = {};
+
+  if (channels.includes('email')) {
+    const alertText = `you will receive an emergency alert${alertChannelsText(contact)}`;
+    // Both names are typed by the owner
+    const contactName = escapeHtml(contact.name);
+    const owner = escapeHtml(ownerName);
+    const subject = `Please confirm: ${ownerName} added you as an emergency contact on AssistQR`;
+    const text = `
+Hello ${contact.name},
+
+${ownerName} has added you as an emergency contact for vehicle ${vehicle.licensePlate} on AssistQR.
+If someone reports an accident involving this vehicle, ${alertText}.
+
+To agree, open this link and confirm:
+${confirmUrl}
+
+If you do not know ${ownerName} or do not want to receive these alerts, simply ignore this email.
+
+Thank you,
+AssistQR - Vehicle Safety System
+    `.trim();
+    const html = `
+        <!DOCTYPE html>
+        <html>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+          <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+            <h2>Emergency contact request</h2>
+            <p>Hello ${contactName},</p>
+            <p><strong>${owner}</strong> has added you as an emergency contact for vehicle <strong>${escapeHtml(vehicle.licensePlate)}</strong> on AssistQR.
+               If someone reports an accident involving this vehicle, ${alertText}.</p>
+            <p><a href="${confirmUrl}" style="display: inline-block; padding: 10px 20px; background-color: #dc3545; color: white; text-decoration: none; border-radius: 5px;">Confirm I agree</a></p>
+            <p style="color: #666; font-size: 12px;">If you do not know ${owner} or do not want to receive these alerts, simply ignore this email.</p>
+          </div>
+        </body>
+        </html>
+      `;
+    results.email = await sendEmail({ to: contact.email, subject, html, text });
+  }
+
+  if (channels.includes('sms') && await isSmsOptedOut(contact.phoneNumber)) {
+    results.sms = { success: false, error: 'Number replied STOP to AssistQR SMS' };
+  } else if (channels.includes('sms')) {
+    // Keep under 160 chars (no emoji)
+    const message = `AssistQR: ${ownerName} added you as emergency contact for ${vehicle.licensePlate}. Code ${code}. Confirm at ${codeUrl}`;
+    results.sms = await sendSMS(contact.phoneNumber, message);
+  }
+
+  console.log(`📨 Verification sent to contact ${contact.id}:`, JSON.stringify(results));
+  return results;
+}
+
+// Count an owner-requested resend, so an owner cannot send unlimited email
+// and SMS to an address or number: one send per RESEND_COOLDOWN_MS and at
+// most MAX_RESENDS_PER_WINDOW a day per contact
+// Returns null when the resend may go ahead, or the reason it may not
+async function reserveVerificationResend(contact) {
+  const now = new Date();
+  if (contact.verificationSentAt && now - contact.verificationSentAt < RESEND_COOLDOWN_MS) {
+    const minutes = Math.ceil((RESEND_COOLDOWN_MS - (now - contact.verificationSentAt)) / 60000);
+    return `A confirmation was sent recently. Please wait ${minutes} minute(s) before resending.`;
+  }
+  const newWindow = !contact.verificationResendsSince || now - contact.verificationResendsSince >= RESEND_WINDOW_MS;
+  if (!newWindow && contact.verificationResends >= MAX_RESENDS_PER_WINDOW) {
+    return 'This confirmation has been resent too many times today. Please try again tomorrow.';
+  }
+
+  // Conditional on the values read above, so parallel requests count once each
+  const { count } = await prisma.emergencyContact.updateMany({
+    where: {
+      id: contact.id,
+      verificationSentAt: contact.verificationSentAt,
+      verificationResends: contact.verificationResends
+    },
+    data: newWindow
+      ? { verificationResends: 1, verificationResendsSince: now, verificationSentAt: now }
+      : { verificationResends: { increment: 1 }, verificationSentAt: now }
+  });
+  return count === 1 ? null : 'A confirmation was sent recently. Please wait a few minutes before resending.';
+}
+
+// Confirm the email channel via the emailed link
+async function confirmByToken(token) {
+  const contact = await prisma.emergencyContact.findUnique({
+    where: { verificationToken: token },
+    include: { vehicle: { select: { licensePlate: true } } }
+  });
+
+  if (!contact) {
+    return null;
+  }
+
+  if (!contact.emailVerifiedAt) {
+    await prisma.emergencyContact.update({
+      where: { id: contact.id },
+      data: { emailVerifiedAt: new Date() }
+    });
+  }
+  return contact;
+}
+
+// Confirm the SMS channel with the one-time code
+// Returns the contact, or null when the code is wrong, expired or locked
+async function confirmBySmsCode(phoneNumber, code) {
+  const candidates = await prisma.emergencyContact.findMany({
+    where: {
+      phoneNumber,
+      smsCodeHash: { not: null },
+      smsCodeExpiresAt: { gt: new Date() },
+      smsCodeAttempts: { lt: MAX_SMS_CODE_ATTEMPTS }
+    },
+    include: { vehicle: { select: { licensePlate: true } } }
+  });
+
+  const codeHash = hashCode(code);
+  const match = candidates.find(contact => contact.smsCodeHash === codeHash);
+
+  if (!match) {
+    // Count the failed attempt against every pending code for this number
+    if (candidates.length > 0) {
+      await prisma.emergencyContact.updateMany({
+        where: { id: { in: candidates.map(c => c.id) } },
+        data: { smsCodeAttempts: { increment: 1 } }
+      });
+    }
+    return null;
+  }
+
+  await prisma.emergencyContact.update({
+    where: { id: match.id },
+    data: { phoneVerifiedAt: new Date(), smsCodeHash: null, smsCodeExpiresAt: null }
+  });
+  return match;
+}
+
+module.exports = {
+  preferredChannels,
+  isVerified,
+  isVerifiedFor,
+  sendContactVerification,
+  reserveVerificationResend,
+  confirmByToken,
+  confirmBySmsCode
+};
@@ -0,0 +1,263 @@
+// Delivery Receipt Service
+// Providers report what happened to an alert after accepting it (delivered,
+// undelivered, bounced). A receipt updates the stored notification, and a
+// failed delivery queues the alert again on the next provider or channel.
+// A receipt for a send that is not recorded yet is kept in pending_receipts
+// and applied when the outbox marks the notification sent
+
+const prisma = require('../config/database');
+const { smsProviders } = require('./sms');
+const { emailProviders } = require('./email');
+const { preferredChannels } = require('./contactAlerts');
+const { isVerifiedFor } = require('./contactVerification');
+const { processOutbox, onNotificationSent } = require('./notificationOutbox');
+const { CLOSED_STATUSES } = require('./reportStatus');
+const { isSmsOptedOut } = require('./smsOptOuts');
+
+// Each parser returns receipts: [{ messageIds, status, error }]
+// status is 'delivered' | 'failed' | 'bounced'; events that are neither
+// final success nor failure (queued, opened, deferred...) are left out
+
+const TWILIO_MESSAGE_STATUSES = { delivered: 'delivered', undelivered: 'failed', failed: 'failed' };
+const TWILIO_CALL_STATUSES = { completed: 'delivered', busy: 'failed', 'no-answer': 'failed', failed: 'failed', canceled: 'failed' };
+
+// Twilio StatusCallback (form-encoded), for both SMS and alert calls
+function parseTwilioReceipt(body) {
+  if (body.MessageSid) {
+    const status = TWILIO_MESSAGE_STATUSES[body.MessageStatus];
+    return status ? [{
+      messageIds: [body.MessageSid],
+      status,
+      error: body.ErrorCode ? `Twilio error ${body.ErrorCode}` : null
+    }] : [];
+  }
+  if (body.CallSid) {
+    const status = TWILIO_CALL_STATUSES[body.CallStatus];
+    return status ? [{
+      messageIds: [body.CallSid],
+      status,
+      error: status === 'failed' ? `Call ${body.CallStatus}` : null
+    }] : [];
+  }
+  return [];
+}
+
+// Fast2SMS delivery report: { request_id, status }
+function parseFast2SMSReceipt(body) {
+  const status = String(body.status || '').toLowerCase();
+  if (!body.request_id) {
+    return [];
+  }
+  if (status === 'delivered') {
+    return [{ messageIds: [body.request_id], status: 'delivered', error: null }];
+  }
+  if (['failed', 'undelivered', 'rejected', 'expired'].includes(status)) {
+    return [{ messageIds: [body.request_id], status: 'failed', error: `Fast2SMS reported ${status}` }];
+  }
+  return [];
+}
+
+const BREVO_EVENTS = {
+  delivered: 'delivered',
+  hard_bounce: 'bounced',
+  invalid_email: 'bounced',
+  blocked: 'bounced',
+  soft_bounce: 'failed',
+  error: 'failed'
+};
+
+// Brevo transactional webhook: { event, 'message-id', reason }
+// The API returns the id with angle brackets, the webhook may not
+function parseBrevoReceipt(body) {
+  const status = BREVO_EVENTS[body.event];
+  const messageId = body['message-id'];
+  if (!status || !messageId) {
+    return [];
+  }
+  const bare = String(messageId).replace(/^<|>$/g, '');
+  return [{
+    messageIds: [bare, `<${bare}>`],
+    status,
+    error: status === 'delivered' ? null : `Brevo: ${body.reason || body.event}`
+  }];
+}
+
+const SENDGRID_EVENTS = { delivered: 'delivered', bounce: 'bounced', dropped: 'failed' };
+
+// SendGrid Event Webhook: array of events; sg_message_id is the
+// X-Message-Id returned on send plus a ".filter..." suffix
+function parseSendGridReceipts(body) {
+  return (Array.isArray(body) ? body : [])
+    .filter(event => SENDGRID_EVENTS[event.event] && event.sg_message_id)
+    .map(event => ({
+      messageIds: [String(event.sg_message_id).split('.')[0]],
+      status: SENDGRID_EVENTS[event.event],
+      error: event.event === 'delivered' ? null : `SendGrid: ${event.reason || event.event}`
+    }));
+}
+
+// Providers still worth trying for this alert on a channel
+function remainingProviders(channel, contact, skipProviders) {
+  let providers;
+  if (channel === 'email') {
+    providers = emailProviders();
+  } else if (channel === 'call') {
+    providers = ['Twilio Voice'];
+  } else {
+    providers = smsProviders(contact.phoneNumber);
+  }
+  return providers.filter(provider => !skipProviders.includes(provider));
+}
+
+// Other channels to try, best first: email <-> SMS, and SMS after a missed call
+// (never SMS to a contact who replied STOP)
+function fallbackChannels(channel, contact, { smsOptedOut }) {
+  const order = channel === 'email' ? ['sms'] : channel === 'call' ? ['sms', 'email'] : ['email'];
+  return order.filter(candidate =>
+    preferredChannels(contact).includes(candidate) && (candidate !== 'sms' || !smsOptedOut)
+  );
+}
+
+// Queue the alert again after a failed delivery: the next provider on the
+// same channel, otherwise a channel this contact has not been tried on yet
+// Returns the new notification, or null when nothing is left to try
+async function queueFallback(notification) {
+  const [report, contact] = await Promise.all([
+    prisma.accidentReport.findUnique({
+      where: { id: notification.accidentReportId },
+      include: { vehicle: true }
+    }),
+    notification.contactId && prisma.emergencyContact.findUnique({ where: { id: notification.contactId } })
+  ]);
+  if (!report || !contact || CLOSED_STATUSES.includes(report.status)) {
+    return null;
+  }
+
+  const base = {
+    accidentReportId: report.id,
+    contactId: contact.id,
+    contactName: contact.name,
+    source: notification.source,
+    body: notification.body,
+    fallbackForId: notification.id
+  };
+
+  const skipProviders = [...notification.skipProviders, notification.provider].filter(Boolean);
+  let data = null;
+  if (remainingProviders(notification.channel, contact, skipProviders).length > 0) {
+    data = { ...base, channel: notification.channel, skipProviders };
+  } else {
+    const attempted = await prisma.notification.findMany({
+      where: {
+        accidentReportId: report.id,
+        contactId: contact.id,
+        // An update notice falls back independently of the original alert
+        source: notification.source === 'update' ? 'update' : { not: 'update' },
+        status: { notIn: ['skipped', 'cancelled'] }
+      },
+      select: { channel: true }
+    });
+    const tried = new Set(attempted.map(n => n.channel));
+    const smsOptedOut = await isSmsOptedOut(contact.phoneNumber);
+    const channel = fallbackChannels(notification.channel, contact, { smsOptedOut }).find(candidate =>
+      !tried.has(candidate) &&
+      (!report.vehicle.skipUnverifiedContacts || isVerifiedFor(contact, candidate))
+    );
+    if (channel) {
+      data = { ...base, channel };
+    }
+  }
+
+  if (!data) {
+    console.warn(`⚠️  Notification ${notification.id}: no provider or channel left to reach contact ${contact.id}`);
+    return null;
+  }
+
+  const fallback = await prisma.notification.create({ data });
+  console.log(`🔁 Notification ${notification.id} failed, queued ${fallback.channel} fallback ${fallback.id}`);
+  // Send right away instead of waiting for the next poll (not awaited)
+  processOutbox();
+  return fallback;
+}
+
+const PENDING_RECEIPT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Keep a receipt nobody matches yet (and drop ones that never matched)
+async function storePendingReceipt(provider, { messageIds, status, error }) {
+  await prisma.pendingReceipt.deleteMany({
+    where: { createdAt: { lt: new Date(Date.now() - PENDING_RECEIPT_TTL_MS) } }
+  });
+  await prisma.pendingReceipt.create({
+    data: { provider, messageIds, status, error: error || null }
+  });
+  console.log(`📭 ${provider} receipt for ${messageIds.join(', ')} (${status}) kept until the send is recorded`);
+}
+
+// Record one receipt against the notification it belongs to
+// Only sent notifications change, so duplicate and out-of-order receipts
+// are ignored. Returns the notification, or null when none matches yet
+async function applyReceipt(provider, { messageIds, status, error }) {
+  const notification = await prisma.notification.findFirst({
+    where: { providerMessageId: { in: messageIds } },
+    orderBy: { id: 'desc' }
+  });
+  if (!notification) {
+    await storePendingReceipt(provider, { messageIds, status, error });
+    return null;
+  }
+  return applyToNotification(provider, notification, { status, error });
+}
+
+async function applyToNotification(provider, notification, { status, error }) {
+  const { count } = await prisma.notification.updateMany({
+    where: { id: notification.id, status: 'sent' },
+    data: status === 'delivered'
+      ? { status, deliveredAt: new Date() }
+      : { status, lastError: error || `${provider} reported ${status}` }
+  });
+  if (count === 0) {
+    return notification;
+  }
+
+  console.log(`📬 Notification ${notification.id} (${notification.channel}) ${status} via ${provider}`);
+  if (status !== 'delivered') {
+    await queueFallback({ ...notification, status });
+  }
+  return notification;
+}
+
+async function applyReceipts(provider, receipts) {
+  for (const receipt of receipts) {
+    await applyReceipt(provider, receipt);
+  }
+}
+
+// Apply receipts that arrived before this notification was marked sent
+async function applyPendingReceipts(notification) {
+  if (!notification.providerMessageId) {
+    return;
+  }
+  const pending = await prisma.pendingReceipt.findMany({
+    where: { messageIds: { has: notification.providerMessageId } },
+    orderBy: { id: 'asc' }
+  });
+  for (const receipt of pending) {
+    // Deleted first, so two workers cannot apply the same receipt
+    const { count } = await prisma.pendingReceipt.deleteMany({ where: { id: receipt.id } });
+    if (count > 0) {
+      await applyToNotification(receipt.provider, notification, receipt);
+    }
+  }
+}
+
+onNotificationSent(applyPendingReceipts);
+
+module.exports = {
+  parseTwilioReceipt,
+  parseFast2SMSReceipt,
+  parseBrevoReceipt,
+  parseSendGridReceipts,
+  applyReceipts,
+  applyPendingReceipts,
+  queueFallback
+};
@@ -1,6 +1,7 @@
 // Email Service
 // Sends emergency alert emails with vehicle details, location, and photos
-// Priority: Brevo API > Brevo SMTP > Mailgun API > Resend API > SendGrid > Nodemailer SMTP
+// Default priority: Brevo API > Brevo SMTP > Mailgun API > Resend API > SendGrid > Nodemailer SMTP
+// (EMAIL_PROVIDERS changes the order, see services/notificationProviders.js)
 
 const nodemailer = require('nodemailer');
 const https = require('https');
@@ -11,6 +12,18 @@ const FormData = require('form-data');
 const fs = require('fs');
 const path = require('path');
 const sharp = require('sharp');
+const { registerProvider, providersFor, sendThroughProviders } = require('./notificationProviders');
+
+// Escape user-supplied text (names, notes, answers) for an HTML email body
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+const { triageItems } = require('./triage');
 
 // Check which email services are configured
 const emailConfig = {
@@ -446,14 +459,126 @@ async function sendViaSendGridAPI({ to, subject, html, text, attachments = [] })
   });
 }
 
-async function sendAccidentAlertEmail({ vehicle, contact, lat, lng, imageUrls = [], helperNote, manualLocation }) {
-  // Check if any email service is configured
-  if (!Object.values(emailConfig).some(v => v)) {
+// Send via Brevo SMTP relay (will likely fail on Render free tier)
+async function sendViaBrevoSMTP({ to, subject, html, text, attachments = [] }) {
+  const info = await brevoSmtpTransporter.sendMail({
+    from: process.env.BREVO_FROM || process.env.BREVO_SMTP_USER,
+    to,
+    subject,
+    html,
+    text,
+    attachments
+  });
+  return { messageId: info.messageId };
+}
+
+// Send via regular SMTP (will likely fail on Render free tier)
+async function sendViaSMTP({ to, subject, html, text, attachments = [], urgent = false }) {
+  const from = process.env.SMTP_FROM_NAME 
+    ? `"${process.env.SMTP_FROM_NAME}" <${process.env.SMTP_FROM || process.env.SMTP_USER}>` 
+    : (process.env.SMTP_FROM || process.env.SMTP_USER);
+  const info = await smtpTransporter.sendMail({
+    from,
+    to,
+    subject,
+    html,
+    text,
+    // Mark emergency alerts as high priority
+    ...(urgent ? {
+      priority: 'high',
+      headers: {
+        'X-Priority': '1',
+        'X-MSMail-Priority': 'High',
+        'Importance': 'high',
+        'Priority': 'urgent'
+      }
+    } : {}),
+    attachments
+  });
+  return { messageId: info.messageId };
+}
+
+// HTTP APIs have no cheap test call, so their health only reflects configuration
+registerProvider({
+  id: 'brevo-api',
+  name: 'Brevo API',
+  channel: 'email',
+  configured: () => Boolean(emailConfig.brevoApi),
+  send: sendViaBrevoAPI
+});
+registerProvider({
+  id: 'brevo-smtp',
+  name: 'Brevo SMTP',
+  channel: 'email',
+  configured: () => Boolean(emailConfig.brevoSmtp && brevoSmtpTransporter),
+  send: sendViaBrevoSMTP,
+  async health() {
+    await brevoSmtpTransporter.verify();
+    return { ok: true, detail: 'SMTP connection verified' };
+  }
+});
+registerProvider({
+  id: 'mailgun',
+  name: 'Mailgun API',
+  channel: 'email',
+  configured: () => Boolean(emailConfig.mailgun),
+  send: sendViaMailgunAPI
+});
+registerProvider({
+  id: 'resend',
+  name: 'Resend API',
+  channel: 'email',
+  configured: () => Boolean(emailConfig.resend),
+  send: sendViaResendAPI
+});
+registerProvider({
+  id: 'sendgrid',
+  name: 'SendGrid API',
+  channel: 'email',
+  configured: () => Boolean(emailConfig.sendgrid),
+  send: sendViaSendGridAPI
+});
+registerProvider({
+  id: 'smtp',
+  name: 'SMTP',
+  channel: 'email',
+  configured: () => Boolean(emailConfig.smtp && smtpTransporter),
+  send: sendViaSMTP,
+  async health() {
+    await smtpTransporter.verify();
+    return { ok: true, detail: `SMTP connection to ${process.env.SMTP_HOST} verified` };
+  }
+});
+
+// Configured email providers in the order sendEmail tries them
+function emailProviders() {
+  return providersFor('email').map(provider => provider.name);
+}
+
+// Send an email through the configured providers, in order
+// skipProviders: provider names to leave out (e.g. one that bounced this alert before)
+async function sendEmail({ to, subject, html, text, attachments = [], urgent = false, skipProviders = [] }) {
+  if (emailProviders().length === 0) {
     const errorMsg = 'No email service configured. Please configure at least one email service (Brevo API, Resend, Mailgun, SendGrid, or SMTP).';
-    console.error('❌ Email not sent to', contact.email, '-', errorMsg);
+    console.error('❌ Email not sent to', to, '-', errorMsg);
     return { success: false, error: errorMsg };
   }
 
+  const result = await sendThroughProviders('email', { to, subject, html, text, attachments, urgent }, { skipProviders });
+  if (!result.success) {
+    console.error(`❌ Failed to send email to ${to}: ${result.error}`);
+    if (/ETIMEDOUT|timeout/i.test(result.error)) {
+      result.error = `Email service connection timeout (${result.error}). This may be due to network restrictions (e.g., Render free tier blocks SMTP).`;
+    }
+  }
+  return result;
+}
+
+
+// ackUrl: this contact's signed "I'm on it" link (see services/acknowledgements.js)
+// triage: structured answers from the report form, shown first (see services/triage.js)
+// skipProviders: see sendEmail
+async function sendAccidentAlertEmail({ vehicle, contact, lat, lng, imageUrls = [], helperNote, manualLocation, triage, ackUrl, skipProviders = [] }) {
   // Log image URLs being passed to email service
   console.log(`📧 Preparing email for ${contact.email} with ${imageUrls.length} image(s):`);
   if (imageUrls.length > 0) {
@@ -487,11 +612,16 @@ async function sendAccidentAlertEmail({ vehicle, contact, lat, lng, imageUrls =
       });
     }
 
+    const triageRows = triageItems(triage);
+    const triageText = triageRows.length > 0
+      ? `Triage (from the helper):\n${triageRows.map(item => `- ${item.label}: ${item.value}${item.urgent ? ' (!)' : ''}`).join('\n')}\n\n`
+      : '';
+
     const subject = `🚨 URGENT: Emergency Alert - Possible Accident Involving Vehicle ${vehicle.licensePlate}`;
     const text = `
 Emergency Alert: Possible Accident Report
 
-Vehicle Information:
+${triageText}Vehicle Information:
 - License Plate: ${vehicle.licensePlate}
 - Model: ${vehicle.model || 'Not specified'}
 - Color: ${vehicle.color || 'Not specified'}
@@ -500,7 +630,7 @@ Time of Report: ${new Date().toLocaleString()}
 
 ${locationText}
 ${helperNote ? `Helper Note: ${helperNote}\n` : ''}${imagesHtml}
-
+${ackUrl ? `\nI'm on it - let the helper and other contacts know you are responding:\n${ackUrl}\n` : ''}
 If you believe this is a false alarm, please contact the vehicle owner directly.
 
 ---
@@ -535,6 +665,12 @@ AssistQR - Vehicle Safety System
               <h1>🚨 Emergency Alert</h1>
             </div>
             <div class="content">
+              ${triageRows.length > 0 ? `
+              <div class="section" style="background-color: #fff3cd; border: 2px solid #dc3545; border-radius: 5px; padding: 10px 15px;">
+                <h3>Triage (from the helper)</h3>
+                ${triageRows.map(item => `<div class="info-row" style="font-size: 18px;${item.urgent ? ' color: #dc3545; font-weight: bold;' : ''}"><span class="label">${escapeHtml(item.label)}:</span> ${escapeHtml(item.value)}</div>`).join('')}
+              </div>
+              ` : ''}
               <div class="section">
                 <h3>Vehicle Information</h3>
                 <div class="info-row"><span class="label">License Plate:</span> ${vehicle.licensePlate}</div>
@@ -546,8 +682,8 @@ AssistQR - Vehicle Safety System
                 <h3>Report Details</h3>
                 <div class="info-row"><span class="label">Time of Report:</span> ${new Date().toLocaleString()}</div>
                 ${mapsLink ? `<div class="info-row"><a href="${mapsLink}" class="button">📍 View Location on Google Maps</a></div>` : ''}
-                ${manualLocation ? `<div class="info-row"><span class="label">Location Description:</span> ${manualLocation}</div>` : ''}
-                ${helperNote ? `<div class="info-row"><span class="label">Helper Note:</span> ${helperNote}</div>` : ''}
+                ${manualLocation ? `<div class="info-row"><span class="label">Location Description:</span> ${escapeHtml(manualLocation)}</div>` : ''}
+                ${helperNote ? `<div class="info-row"><span class="label">Helper Note:</span> ${escapeHtml(helperNote)}</div>` : ''}
               </div>
               
               ${imageUrls.length > 0 ? `
@@ -559,6 +695,13 @@ AssistQR - Vehicle Safety System
               </div>
               ` : ''}
               
+              ${ackUrl ? `
+              <div class="section" style="text-align: center;">
+                <a href="${ackUrl}" class="button" style="background-color: #28a745; font-size: 18px;">✋ I'm on it</a>
+                <p style="color: #666; font-size: 12px;">Let the helper and other contacts know you are responding.</p>
+              </div>
+              ` : ''}
+              
               <div class="footer">
                 <p>If you believe this is a false alarm, please contact the vehicle owner directly.</p>
                 <hr style="border: none; border-top: 1px solid #ddd; margin: 20px 0;">
@@ -577,133 +720,51 @@ AssistQR - Vehicle Safety System
     console.log(`   - Vehicle: ${vehicle.licensePlate}`);
     console.log(`   - Location: ${lat && lng ? `${lat}, ${lng}` : manualLocation || 'Not provided'}`);
     console.log(`   - Photos: ${imageUrls.length} image(s) - using direct URLs in email body`);
+    console.log(`   - Triage: ${triageRows.length > 0 ? 'Yes' : 'No'}`);
     console.log(`   - Helper Note: ${helperNote ? 'Yes' : 'No'}`);
 
-    // Try email services in priority order
-    const emailData = { to: contact.email, subject, html, text, attachments };
-
-    // 1. Try Brevo API (highest priority - works on Render)
-    if (emailConfig.brevoApi) {
-      try {
-        console.log('   🔄 Trying Brevo API...');
-        const result = await sendViaBrevoAPI(emailData);
-        const fromEmail = process.env.BREVO_FROM 
-          ? extractEmail(process.env.BREVO_FROM)
-          : 'noreply@assistqr.com';
-        console.log(`✅ Email sent successfully via Brevo API to ${contact.email}!`);
-        console.log(`   📧 From: ${fromEmail}`);
-        console.log(`   📬 Message ID: ${result.messageId}`);
-        console.log(`   ⚠️  Note: If email not received, check spam folder. Sender email must be verified in Brevo dashboard.`);
-        return { success: true, messageId: result.messageId, provider: 'Brevo API' };
-      } catch (error) {
-        console.warn(`   ⚠️  Brevo API failed: ${error.message}`);
-      }
-    }
-
-    // 2. Try Brevo SMTP (will likely fail on Render free tier)
-    if (emailConfig.brevoSmtp && brevoSmtpTransporter) {
-      try {
-        console.log('   🔄 Trying Brevo SMTP...');
-        const fromEmail = process.env.BREVO_FROM || process.env.BREVO_SMTP_USER;
-        const info = await brevoSmtpTransporter.sendMail({
-          from: fromEmail,
-          to: contact.email,
-          subject,
-          html,
-          text,
-          attachments
-        });
-        console.log(`✅ Email sent successfully via Brevo SMTP to ${contact.email}! Message ID: ${info.messageId}`);
-        return { success: true, messageId: info.messageId, provider: 'Brevo SMTP' };
-      } catch (error) {
-        console.warn(`   ⚠️  Brevo SMTP failed: ${error.message}`);
-      }
-    }
-
-    // 3. Try Mailgun API
-    if (emailConfig.mailgun) {
-      try {
-        console.log('   🔄 Trying Mailgun API...');
-        const result = await sendViaMailgunAPI(emailData);
-        console.log(`✅ Email sent successfully via Mailgun API to ${contact.email}! Message ID: ${result.messageId}`);
-        return { success: true, messageId: result.messageId, provider: 'Mailgun API' };
-      } catch (error) {
-        console.warn(`   ⚠️  Mailgun API failed: ${error.message}`);
-      }
-    }
-
-    // 4. Try Resend API
-    if (emailConfig.resend) {
-      try {
-        console.log('   🔄 Trying Resend API...');
-        const result = await sendViaResendAPI(emailData);
-        console.log(`✅ Email sent successfully via Resend API to ${contact.email}! Message ID: ${result.messageId}`);
-        return { success: true, messageId: result.messageId, provider: 'Resend API' };
-      } catch (error) {
-        console.warn(`   ⚠️  Resend API failed: ${error.message}`);
-      }
-    }
-
-    // 5. Try SendGrid API
-    if (emailConfig.sendgrid) {
-      try {
-        console.log('   🔄 Trying SendGrid API...');
-        const result = await sendViaSendGridAPI(emailData);
-        console.log(`✅ Email sent successfully via SendGrid API to ${contact.email}! Message ID: ${result.messageId}`);
-        return { success: true, messageId: result.messageId, provider: 'SendGrid API' };
-      } catch (error) {
-        console.warn(`   ⚠️  SendGrid API failed: ${error.message}`);
-      }
-    }
-
-    // 6. Try regular SMTP (will likely fail on Render free tier)
-    if (emailConfig.smtp && smtpTransporter) {
-      try {
-        console.log('   🔄 Trying SMTP...');
-        const from = process.env.SMTP_FROM_NAME 
-          ? `"${process.env.SMTP_FROM_NAME}" <${process.env.SMTP_FROM || process.env.SMTP_USER}>` 
-          : (process.env.SMTP_FROM || process.env.SMTP_USER);
-        const info = await smtpTransporter.sendMail({
-          from,
-          to: contact.email,
-          subject,
-          html,
-          text,
-          priority: 'high',
-          headers: {
-            'X-Priority': '1',
-            'X-MSMail-Priority': 'High',
-            'Importance': 'high',
-            'Priority': 'urgent'
-          },
-          attachments
-        });
-        console.log(`✅ Email sent successfully via SMTP to ${contact.email}! Message ID: ${info.messageId}`);
-        return { success: true, messageId: info.messageId, provider: 'SMTP' };
-      } catch (error) {
-        console.warn(`   ⚠️  SMTP failed: ${error.message}`);
-      }
-    }
-
-    // All services failed
-    const errorMsg = 'All email services failed. Please check your email service configuration.';
-    console.error(`❌ Failed to send email to ${contact.email}: ${errorMsg}`);
-    return { success: false, error: errorMsg };
-
+    return sendEmail({ to: contact.email, subject, html, text, attachments, urgent: true, skipProviders });
   } catch (error) {
-    console.error('❌ Error sending email to', contact.email, ':');
-    console.error('   Error message:', error.message);
-    console.error('   Error code:', error.code || 'N/A');
-    
-    let errorMsg = error.message;
-    if (error.code === 'ETIMEDOUT') {
-      errorMsg = 'Email service connection timeout. This may be due to network restrictions (e.g., Render free tier blocks SMTP).';
-    }
-    
-    return { success: false, error: errorMsg, details: error.message };
+    console.error('❌ Error building alert email for', contact.email, ':', error.message);
+    return { success: false, error: error.message };
   }
 }
 
+// Short follow-up to an alert the contact already got, e.g. when a report
+// first sent by SMS is completed with photos (see services/reportMerge.js)
+// update: what changed, e.g. "3 photos and a note added"
+async function sendReportUpdateEmail({ vehicle, contact, update, lat, lng, imageUrls = [], helperNote, ackUrl, skipProviders = [] }) {
+  const mapsLink = (lat && lng) ? `https://www.google.com/maps?q=${lat},${lng}` : '';
+  const subject = `Update: accident report for ${vehicle.licensePlate} - ${update}`;
+  const text = `
+Update to the accident report for ${vehicle.licensePlate}: ${update}.
+
+${mapsLink ? `Location: ${mapsLink}\n` : ''}${helperNote ? `Helper Note: ${helperNote}\n` : ''}${imageUrls.length > 0 ? `\nAccident Photos:\n${imageUrls.map((url, index) => `${index + 1}. ${url}`).join('\n')}\n` : ''}
+${ackUrl ? `\nI'm on it - let the helper and other contacts know you are responding:\n${ackUrl}\n` : ''}
+Thank you,
+AssistQR - Vehicle Safety System
+  `.trim();
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <h2 style="color: #dc3545;">Update: ${vehicle.licensePlate}</h2>
+      <p><strong>${update}</strong> to the accident report you were alerted about.</p>
+      ${mapsLink ? `<p><a href="${mapsLink}">📍 View Location on Google Maps</a></p>` : ''}
+      ${helperNote ? `<p><strong>Helper Note:</strong> ${escapeHtml(helperNote)}</p>` : ''}
+      ${imageUrls.map((url, index) => `<img src="${url}" alt="Accident photo ${index + 1}" style="max-width: 100%; height: auto; margin: 10px 0; border: 2px solid #ddd; border-radius: 5px; display: block;" />`).join('')}
+      ${ackUrl ? `<p><a href="${ackUrl}" style="display: inline-block; padding: 10px 20px; background-color: #28a745; color: white; text-decoration: none; border-radius: 5px;">✋ I'm on it</a></p>` : ''}
+      <p style="color: #666; font-size: 11px;">Please do not reply to this email address; it is not monitored.</p>
+    </div>
+  `;
+
+  console.log(`📧 Sending update email to: ${contact.email} - ${update}`);
+  return sendEmail({ to: contact.email, subject, html, text, skipProviders });
+}
+
 module.exports = {
-  sendAccidentAlertEmail
+  escapeHtml,
+  emailProviders,
+  sendEmail,
+  sendAccidentAlertEmail,
+  sendReportUpdateEmail
 };
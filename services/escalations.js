@@ -0,0 +1,194 @@
+// Escalation Service
+// Persistent scheduler for escalation rules: "if no contact acknowledges within
+// N minutes, alert tier T by SMS / email / call". Jobs live in the escalation_jobs
+// table so pending escalations survive restarts and Render spin-downs.
+
+const prisma = require('../config/database');
+const { summarizeNotifications } = require('./contactAlerts');
+const { notifyContacts } = require('./notificationOutbox');
+const { CLOSED_STATUSES } = require('./reportStatus');
+
+const ESCALATION_ACTIONS = ['sms', 'email', 'call'];
+
+const POLL_INTERVAL_MS = parseInt(process.env.ESCALATION_POLL_MS) || 30 * 1000;
+const BATCH_SIZE = 10;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 60 * 1000;
+const STALE_LOCK_MS = 5 * 60 * 1000; // Job left "running" by a crashed process
+
+const CONTACT_PRIORITY_ORDER = [{ priority: 'asc' }, { createdAt: 'asc' }];
+
+let pollTimer = null;
+let polling = false;
+
+// Create one job per escalation rule of the vehicle, relative to the report time
+// vehicle must include escalationRules
+async function scheduleEscalations(accidentReport, vehicle) {
+  const rules = vehicle.escalationRules || [];
+  if (rules.length === 0) {
+    return 0;
+  }
+
+  const reportedAt = accidentReport.createdAt ? new Date(accidentReport.createdAt) : new Date();
+  await prisma.escalationJob.createMany({
+    data: rules.map(rule => ({
+      accidentReportId: accidentReport.id,
+      ruleId: rule.id,
+      tier: rule.tier,
+      action: rule.action,
+      runAt: new Date(reportedAt.getTime() + rule.delayMinutes * 60 * 1000)
+    }))
+  });
+
+  console.log(`⏰ Scheduled ${rules.length} escalation step(s) for report ${accidentReport.id}`);
+  return rules.length;
+}
+
+// Stop pending escalations for a report (e.g. once a contact acknowledged)
+async function cancelEscalations(accidentReportId) {
+  const { count } = await prisma.escalationJob.updateMany({
+    where: { accidentReportId, status: 'pending' },
+    data: { status: 'cancelled', completedAt: new Date() }
+  });
+  return count;
+}
+
+// Claim due jobs; the status condition makes each claim atomic,
+// so two server instances never run the same job
+async function claimDueJobs() {
+  const now = new Date();
+  const candidates = await prisma.escalationJob.findMany({
+    where: {
+      OR: [
+        { status: 'pending', runAt: { lte: now } },
+        { status: 'running', lockedAt: { lt: new Date(now.getTime() - STALE_LOCK_MS) } }
+      ]
+    },
+    orderBy: { runAt: 'asc' },
+    take: BATCH_SIZE
+  });
+
+  const claimed = [];
+  for (const job of candidates) {
+    const { count } = await prisma.escalationJob.updateMany({
+      where: { id: job.id, status: job.status, lockedAt: job.lockedAt },
+      data: { status: 'running', lockedAt: now, attempts: { increment: 1 } }
+    });
+    if (count === 1) {
+      claimed.push({ ...job, attempts: job.attempts + 1 });
+    }
+  }
+  return claimed;
+}
+
+// Alert contacts in the rule's tier, unless the report was acknowledged meanwhile
+async function runJob(job) {
+  const report = await prisma.accidentReport.findUnique({
+    where: { id: job.accidentReportId },
+    include: {
+      vehicle: {
+        include: {
+          emergencyContacts: { orderBy: CONTACT_PRIORITY_ORDER }
+        }
+      }
+    }
+  });
+
+  if (!report || report.acknowledgedAt || CLOSED_STATUSES.includes(report.status)) {
+    await prisma.escalationJob.update({
+      where: { id: job.id },
+      data: { status: 'cancelled', completedAt: new Date() }
+    });
+    console.log(`⏰ Escalation ${job.id} cancelled (report ${report ? report.status : 'deleted'})`);
+    return;
+  }
+
+  const { vehicle } = report;
+  const contacts = vehicle.emergencyContacts.filter(c => c.tier === job.tier);
+
+  const notifications = await notifyContacts(vehicle, {
+    online: false,
+    reportId: report.id,
+    contacts,
+    channel: job.action,
+    source: 'escalation'
+  });
+
+  await prisma.escalationJob.update({
+    where: { id: job.id },
+    data: {
+      status: 'done',
+      completedAt: new Date(),
+      lastError: null,
+      result: summarizeNotifications(notifications)
+    }
+  });
+  console.log(`⏰ Escalation ${job.id}: ${job.action} to ${contacts.length} tier ${job.tier} contact(s) for report ${report.id}`);
+}
+
+// Failed jobs are retried a few times, then marked failed
+async function failJob(job, error) {
+  console.error(`❌ Escalation ${job.id} failed (attempt ${job.attempts}):`, error.message);
+  const retry = job.attempts < MAX_ATTEMPTS;
+  await prisma.escalationJob.update({
+    where: { id: job.id },
+    data: {
+      status: retry ? 'pending' : 'failed',
+      runAt: retry ? new Date(Date.now() + RETRY_DELAY_MS * job.attempts) : job.runAt,
+      lockedAt: null,
+      lastError: error.message,
+      completedAt: retry ? null : new Date()
+    }
+  });
+}
+
+async function processDueEscalations() {
+  if (polling) {
+    return;
+  }
+  polling = true;
+
+  try {
+    const jobs = await claimDueJobs();
+    for (const job of jobs) {
+      if (job.attempts > MAX_ATTEMPTS) {
+        await failJob(job, new Error('Too many attempts'));
+        continue;
+      }
+      try {
+        await runJob(job);
+      } catch (error) {
+        await failJob(job, error);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error polling escalation jobs:', error);
+  } finally {
+    polling = false;
+  }
+}
+
+// Poll for due escalations (started once from server.js)
+function startEscalationWorker() {
+  if (pollTimer) {
+    return;
+  }
+  pollTimer = setInterval(processDueEscalations, POLL_INTERVAL_MS);
+  pollTimer.unref();
+  console.log(`✅ Escalation worker started (every ${POLL_INTERVAL_MS / 1000}s)`);
+  processDueEscalations();
+}
+
+function stopEscalationWorker() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+module.exports = {
+  ESCALATION_ACTIONS,
+  scheduleEscalations,
+  cancelEscalations,
+  processDueEscalations,
+  startEscalationWorker,
+  stopEscalationWorker
+};
@@ -0,0 +1,114 @@
+// Bystander Follow-up Service
+// After submitting, the bystander keeps a private link (thank-you page) to add
+// to their report: a note such as "ambulance arrived" or "taken to City
+// Hospital", more photos, or a corrected location. Each follow-up is stored
+// for the report timeline and sent to the contacts as a short update notice
+
+const prisma = require('../config/database');
+const { CLOSED_STATUSES } = require('./reportStatus');
+const { queueReportUpdate } = require('./notificationOutbox');
+const { removeUploadedImage } = require('./s3');
+
+const MAX_NOTE_LENGTH = 500;
+const MAX_UPDATES_PER_REPORT = 20; // Caps update SMS costs if the link is abused
+const FOLLOW_UP_WINDOW_MS = 24 * 60 * 60 * 1000; // Same as the relay conversation
+
+// Follow-ups are accepted until the report is closed or a day has passed
+function isFollowUpOpen(report) {
+  return !CLOSED_STATUSES.includes(report.status) &&
+    Date.now() - new Date(report.createdAt).getTime() < FOLLOW_UP_WINDOW_MS;
+}
+
+// Text of the update notice, e.g.
+// 'Helper: "taken to City Hospital". 2 photos added. Location corrected: maps.google.com/?q=...'
+function describeFollowUp({ note, photoCount, lat, lng, manualLocation }) {
+  const parts = [];
+  if (note) {
+    parts.push(`Helper: "${note}"`);
+  }
+  if (photoCount > 0) {
+    parts.push(`${photoCount} photo${photoCount === 1 ? '' : 's'} added`);
+  }
+  if (lat !== null && lng !== null) {
+    parts.push(`Location corrected: maps.google.com/?q=${lat},${lng}`);
+  } else if (manualLocation) {
+    parts.push(`Location corrected: ${manualLocation}`);
+  }
+  return parts.join('. ');
+}
+
+// Store a follow-up and queue the update for the contacts
+// followUp: { note, images, lat, lng, manualLocation }, images as from
+// uploadedImages(); they are deleted again if the follow-up is not stored
+// Returns { update } or { error } (closed, empty, too many updates)
+async function addFollowUp(report, { note, images = [], lat = null, lng = null, manualLocation }) {
+  const discardImages = () => Promise.all(images.map(image => removeUploadedImage(image.imageUrl)));
+  const refuse = async error => {
+    await discardImages();
+    return { error };
+  };
+
+  if (!isFollowUpOpen(report)) {
+    return refuse('This report is closed to updates.');
+  }
+
+  const text = note?.trim().slice(0, MAX_NOTE_LENGTH) || null;
+  const location = manualLocation?.trim() || null;
+  const hasCoordinates = lat !== null && lng !== null;
+  if (!text && images.length === 0 && !hasCoordinates && !location) {
+    return refuse('Add a note, a photo or a location.');
+  }
+
+  const count = await prisma.reportUpdate.count({ where: { accidentReportId: report.id } });
+  if (count >= MAX_UPDATES_PER_REPORT) {
+    return refuse('Too many updates on this report. Please call the emergency services directly.');
+  }
+
+  // The corrected location replaces the report's, so alerts and the owner's
+  // map show where the accident really is
+  const correction = {};
+  if (hasCoordinates) {
+    Object.assign(correction, { lat, lng });
+  }
+  if (location) {
+    correction.manualLocation = location;
+  }
+
+  let update;
+  try {
+    [update] = await prisma.$transaction([
+      prisma.reportUpdate.create({
+        data: {
+          accidentReportId: report.id,
+          note: text,
+          photoCount: images.length,
+          lat: hasCoordinates ? lat : null,
+          lng: hasCoordinates ? lng : null,
+          manualLocation: location
+        }
+      }),
+      prisma.accidentReport.update({
+        where: { id: report.id },
+        data: {
+          ...correction,
+          images: { create: images.map(({ imageUrl, fingerprint }) => ({ imageUrl, fingerprint })) }
+        }
+      })
+    ]);
+  } catch (error) {
+    await discardImages();
+    throw error;
+  }
+  console.log(`📝 Follow-up ${update.id} on report ${report.id}: note=${!!text}, photos=${images.length}, location=${hasCoordinates || !!location}`);
+
+  // A note is news even to contacts whose alert has not gone out yet
+  await queueReportUpdate(report.id, describeFollowUp(update), { includeQueued: !!text });
+  return { update };
+}
+
+module.exports = {
+  MAX_NOTE_LENGTH,
+  isFollowUpOpen,
+  describeFollowUp,
+  addFollowUp
+};
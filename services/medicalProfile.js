@@ -0,0 +1,78 @@
+// Medical Profile Service
+// The owner's optional emergency medical (ICE) profile: blood group, allergies,
+// medications, conditions and organ donor status, for first responders at the
+// scene. Each field is either public (shown on the sticker's report page, and
+// so in the page cached for offline scans) or shown only after a report is
+// received: on the thank-you page, in the report page once a queued report has
+// synced, and in the SMS reply to a report sent by SMS. The cached page never
+// carries them, so they stay behind an actual report
+
+const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+const MEDICAL_FIELDS = [
+  { name: 'bloodGroup', label: 'Blood group' },
+  { name: 'allergies', label: 'Allergies' },
+  { name: 'medications', label: 'Medications' },
+  { name: 'conditions', label: 'Medical conditions' },
+  { name: 'organDonor', label: 'Organ donor' }
+];
+
+const FIELD_NAMES = MEDICAL_FIELDS.map(field => field.name);
+
+// Stored in MedicalProfile.publicFields; every other field waits for a report
+const VISIBILITIES = ['public', 'after_report'];
+
+const MAX_TEXT_LENGTH = 500;
+
+function displayValue(name, value) {
+  if (name === 'organDonor') {
+    return value ? 'Yes' : 'No';
+  }
+  return value;
+}
+
+// Filled-in fields a bystander may see: [{ name, label, value }]
+// reported: a report has been submitted, so "after_report" fields are shown too
+function visibleMedicalFields(profile, { reported = false } = {}) {
+  if (!profile) {
+    return [];
+  }
+  return MEDICAL_FIELDS
+    .filter(({ name }) => profile[name] !== null && profile[name] !== undefined && profile[name] !== '')
+    .filter(({ name }) => reported || profile.publicFields.includes(name))
+    .map(({ name, label }) => ({ name, label, value: displayValue(name, profile[name]) }));
+}
+
+// One line for an SMS reply, e.g. "Medical: Blood group O+; Allergies: Penicillin"
+// Returns '' when there is nothing to show
+function formatMedicalSms(fields) {
+  if (fields.length === 0) {
+    return '';
+  }
+  return `Medical: ${fields.map(({ label, value }) => `${label}: ${value}`).join('; ')}`;
+}
+
+// MedicalProfile fields from the edit form; values are assumed to have passed
+// validation (see routes/account.js). Each field has a "<name>Visibility" select
+function medicalProfileFields(body) {
+  const text = value => (value && value.trim() ? value.trim() : null);
+  return {
+    bloodGroup: BLOOD_GROUPS.includes(body.bloodGroup) ? body.bloodGroup : null,
+    allergies: text(body.allergies),
+    medications: text(body.medications),
+    conditions: text(body.conditions),
+    organDonor: body.organDonor === 'yes' ? true : body.organDonor === 'no' ? false : null,
+    publicFields: FIELD_NAMES.filter(name => body[`${name}Visibility`] === 'public')
+  };
+}
+
+module.exports = {
+  BLOOD_GROUPS,
+  MEDICAL_FIELDS,
+  FIELD_NAMES,
+  VISIBILITIES,
+  MAX_TEXT_LENGTH,
+  visibleMedicalFields,
+  formatMedicalSms,
+  medicalProfileFields
+};
@@ -0,0 +1,317 @@
+// Notification Outbox
+// Alerts are written to the notifications table first and sent by a background
+// worker, so report routes return immediately and an alert survives provider
+// outages and restarts. Failed sends are retried with exponential backoff.
+
+const prisma = require('../config/database');
+const { planContactChannels, sendOnChannel, sendUpdateOnChannel } = require('./contactAlerts');
+const { CLOSED_STATUSES } = require('./reportStatus');
+const { pickTriage } = require('./triage');
+const { isSmsOptedOut, smsOptOutsFor } = require('./smsOptOuts');
+
+const POLL_INTERVAL_MS = parseInt(process.env.OUTBOX_POLL_MS) || 15 * 1000;
+const BATCH_SIZE = 20;
+const MAX_ATTEMPTS = 6;
+const BASE_RETRY_DELAY_MS = 30 * 1000; // 30s, 1m, 2m, 4m, 8m
+const STALE_LOCK_MS = 5 * 60 * 1000; // Row left "sending" by a crashed process
+const OPTED_OUT_ERROR = 'Contact replied STOP to SMS alerts';
+
+let pollTimer = null;
+let polling = false;
+let wakeRequested = false;
+
+// Called with each notification once it is marked sent, e.g. to apply a
+// delivery receipt that arrived first (see services/deliveryReceipts.js)
+const sentListeners = [];
+
+function onNotificationSent(listener) {
+  sentListeners.push(listener);
+}
+
+// Delay before the next attempt after `attempts` failed ones
+function retryDelay(attempts) {
+  return BASE_RETRY_DELAY_MS * Math.pow(2, attempts - 1);
+}
+
+// Queue an alert for a vehicle's contacts and wake the worker
+// vehicle must include emergencyContacts (ordered by priority) and escalationRules
+// options: { online, reportId, contacts, channel, source } (see planContactChannels)
+// Returns one entry per contact: { contactId, name, channels, skipped }
+async function notifyContacts(vehicle, { online, reportId, contacts, channel, source = 'report' }) {
+  const smsOptOuts = await smsOptOutsFor((contacts || vehicle.emergencyContacts).map(contact => contact.phoneNumber));
+  const plan = planContactChannels(vehicle, { online, contacts, channel, smsOptOuts });
+
+  const rows = plan.flatMap(({ contact, channels, skipped }) => [
+    ...channels.map(channelName => ({
+      accidentReportId: reportId,
+      contactId: contact.id,
+      contactName: contact.name,
+      channel: channelName,
+      source
+    })),
+    ...skipped.map(channelName => ({
+      accidentReportId: reportId,
+      contactId: contact.id,
+      contactName: contact.name,
+      channel: channelName,
+      status: 'skipped',
+      source,
+      lastError: channelName === 'sms' && smsOptOuts.has(contact.phoneNumber)
+        ? OPTED_OUT_ERROR
+        : 'Contact has not confirmed this channel'
+    }))
+  ]);
+
+  if (rows.length > 0) {
+    await prisma.notification.createMany({ data: rows });
+    console.log(`📮 Queued ${rows.length} notification(s) for report ${reportId}`);
+    // Send right away instead of waiting for the next poll (not awaited)
+    processOutbox();
+  }
+
+  return plan.map(({ contact, channels, skipped }) => ({
+    contactId: contact.id,
+    name: contact.name,
+    channels,
+    skipped
+  }));
+}
+
+// Queue a short update (e.g. "3 photos added") for contacts already alerted
+// about a report, on the channel the alert reached them on (email preferred;
+// a call is followed up by SMS). Contacts whose alert is still queued get
+// nothing extra, since their alert is built from the report when it is sent,
+// unless includeQueued is set (for news the alert does not carry)
+// Returns the number of updates queued
+async function queueReportUpdate(reportId, body, { includeQueued = false } = {}) {
+  const alerts = await prisma.notification.findMany({
+    where: { accidentReportId: reportId, source: { not: 'update' }, contactId: { not: null } },
+    select: { contactId: true, contactName: true, channel: true, status: true }
+  });
+
+  const byContact = new Map();
+  for (const alert of alerts) {
+    const entry = byContact.get(alert.contactId) || { contactName: alert.contactName, reached: new Set(), waiting: new Set() };
+    if (['sent', 'delivered'].includes(alert.status)) {
+      entry.reached.add(alert.channel);
+    } else if (['pending', 'sending'].includes(alert.status)) {
+      entry.waiting.add(alert.channel);
+    }
+    byContact.set(alert.contactId, entry);
+  }
+
+  const rows = [...byContact.entries()]
+    .filter(([, entry]) => includeQueued ? entry.reached.size + entry.waiting.size > 0 : entry.reached.size > 0 && entry.waiting.size === 0)
+    .map(([contactId, entry]) => {
+      const channels = entry.reached.size > 0 ? entry.reached : entry.waiting;
+      return {
+        accidentReportId: reportId,
+        contactId,
+        contactName: entry.contactName,
+        channel: channels.has('email') ? 'email' : 'sms',
+        source: 'update',
+        body
+      };
+    });
+
+  if (rows.length > 0) {
+    await prisma.notification.createMany({ data: rows });
+    console.log(`📮 Queued ${rows.length} update notice(s) for report ${reportId}: ${body}`);
+    processOutbox();
+  }
+  return rows.length;
+}
+
+// Claim due notifications; the status condition makes each claim atomic,
+// so two server instances never send the same alert
+async function claimDueNotifications() {
+  const now = new Date();
+  const candidates = await prisma.notification.findMany({
+    where: {
+      OR: [
+        { status: 'pending', nextAttemptAt: { lte: now } },
+        { status: 'sending', lockedAt: { lt: new Date(now.getTime() - STALE_LOCK_MS) } }
+      ]
+    },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: BATCH_SIZE
+  });
+
+  const claimed = [];
+  for (const notification of candidates) {
+    const { count } = await prisma.notification.updateMany({
+      where: { id: notification.id, status: notification.status, lockedAt: notification.lockedAt },
+      data: { status: 'sending', lockedAt: now, attempts: { increment: 1 } }
+    });
+    if (count === 1) {
+      claimed.push({ ...notification, attempts: notification.attempts + 1 });
+    }
+  }
+  return claimed;
+}
+
+// Report details for the alert text (cached per batch: one report has many rows)
+async function loadReport(reportId, cache) {
+  if (!cache.has(reportId)) {
+    cache.set(reportId, prisma.accidentReport.findUnique({
+      where: { id: reportId },
+      include: { images: true, vehicle: true }
+    }));
+  }
+  return cache.get(reportId);
+}
+
+async function sendNotification(notification, reportCache) {
+  const report = await loadReport(notification.accidentReportId, reportCache);
+
+  // Closed reports (resolved / false alarm) no longer need alerting
+  if (!report || CLOSED_STATUSES.includes(report.status)) {
+    await prisma.notification.update({
+      where: { id: notification.id },
+      data: { status: 'cancelled', lockedAt: null }
+    });
+    return;
+  }
+
+  const contact = notification.contactId && await prisma.emergencyContact.findUnique({
+    where: { id: notification.contactId }
+  });
+  if (!contact) {
+    await prisma.notification.update({
+      where: { id: notification.id },
+      data: { status: 'failed', lockedAt: null, lastError: 'Contact was deleted' }
+    });
+    return;
+  }
+
+  // The contact may have replied STOP after this alert was queued
+  if (notification.channel === 'sms' && await isSmsOptedOut(contact.phoneNumber)) {
+    await prisma.notification.update({
+      where: { id: notification.id },
+      data: { status: 'skipped', lockedAt: null, lastError: OPTED_OUT_ERROR }
+    });
+    return;
+  }
+
+  const { vehicle } = report;
+  const details = {
+    reportId: report.id,
+    vehicle: {
+      licensePlate: vehicle.licensePlate,
+      model: vehicle.model,
+      color: vehicle.color
+    },
+    lat: report.lat,
+    lng: report.lng,
+    imageUrls: report.images.map(image => image.imageUrl),
+    helperNote: report.helperNote,
+    manualLocation: report.manualLocation,
+    triage: pickTriage(report)
+  };
+  const options = { skipProviders: notification.skipProviders };
+  const result = notification.source === 'update'
+    ? await sendUpdateOnChannel(notification.channel, contact, { ...details, update: notification.body }, options)
+    : await sendOnChannel(notification.channel, contact, details, options);
+
+  // The number is opted out even if this contact row does not show it yet
+  if (result.optedOut) {
+    await prisma.notification.update({
+      where: { id: notification.id },
+      data: { status: 'skipped', lockedAt: null, lastError: OPTED_OUT_ERROR }
+    });
+    return;
+  }
+  if (!result.success) {
+    throw new Error(result.error || 'Unknown delivery error');
+  }
+
+  const sent = await prisma.notification.update({
+    where: { id: notification.id },
+    data: {
+      status: 'sent',
+      sentAt: new Date(),
+      lockedAt: null,
+      lastError: null,
+      provider: result.provider || null,
+      providerMessageId: result.messageId || result.messageSid || result.requestId || result.callSid || null
+    }
+  });
+  for (const listener of sentListeners) {
+    await Promise.resolve(listener(sent)).catch(error => {
+      console.error(`❌ Notification ${sent.id}: sent listener failed:`, error);
+    });
+  }
+}
+
+// Failed sends go back to pending with a growing delay, until MAX_ATTEMPTS
+async function failNotification(notification, error) {
+  const retry = notification.attempts < MAX_ATTEMPTS;
+  console.error(`❌ Notification ${notification.id} (${notification.channel}) failed, attempt ${notification.attempts}${retry ? '' : ', giving up'}:`, error.message);
+  await prisma.notification.update({
+    where: { id: notification.id },
+    data: {
+      status: retry ? 'pending' : 'failed',
+      nextAttemptAt: retry ? new Date(Date.now() + retryDelay(notification.attempts)) : notification.nextAttemptAt,
+      lockedAt: null,
+      lastError: error.message
+    }
+  });
+}
+
+async function processOutbox() {
+  if (polling) {
+    wakeRequested = true;
+    return;
+  }
+  polling = true;
+
+  try {
+    do {
+      wakeRequested = false;
+      const notifications = await claimDueNotifications();
+      const reportCache = new Map();
+      for (const notification of notifications) {
+        if (notification.attempts > MAX_ATTEMPTS) {
+          await failNotification(notification, new Error('Too many attempts'));
+          continue;
+        }
+        try {
+          await sendNotification(notification, reportCache);
+        } catch (error) {
+          await failNotification(notification, error);
+        }
+      }
+      // A full batch may mean more are due
+      wakeRequested = wakeRequested || notifications.length === BATCH_SIZE;
+    } while (wakeRequested);
+  } catch (error) {
+    console.error('❌ Error processing notification outbox:', error);
+  } finally {
+    polling = false;
+  }
+}
+
+// Poll for due notifications (started once from server.js)
+function startOutboxWorker() {
+  if (pollTimer) {
+    return;
+  }
+  pollTimer = setInterval(processOutbox, POLL_INTERVAL_MS);
+  pollTimer.unref();
+  console.log(`✅ Notification outbox worker started (every ${POLL_INTERVAL_MS / 1000}s)`);
+  processOutbox();
+}
+
+function stopOutboxWorker() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+module.exports = {
+  notifyContacts,
+  queueReportUpdate,
+  processOutbox,
+  onNotificationSent,
+  startOutboxWorker,
+  stopOutboxWorker
+};
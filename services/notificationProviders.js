@@ -0,0 +1,314 @@
+// Notification Provider Registry
+// Email and SMS providers register here with a uniform interface:
+//   { id, name, channel, configured(), supports(recipient), send(message), health() }
+// send(message) resolves to { messageId } or throws; health() resolves to
+// { ok, detail }. The order providers are tried in comes from configuration:
+//   EMAIL_PROVIDERS  e.g. "brevo-api,sendgrid,smtp"
+//   SMS_PROVIDERS    e.g. "fast2sms,twilio"
+//   SMS_ROUTES       per country code, e.g. "+91=fast2sms,twilio;+44=twilio"
+// Without configuration every configured provider is tried in registration
+// order. The built-in "console" and "file" providers send nothing and are
+// only used when listed, for development and tests. They record recipients,
+// codes and signed links in the clear, so they are never registered in
+// production, and the file is kept out of the publicly served uploads/
+//
+// Each provider has success/failure counters and a circuit breaker: after
+// PROVIDER_FAILURE_THRESHOLD failed sends in a row it is moved to the end of
+// the order for PROVIDER_COOLDOWN_MS, then gets one trial send ("half-open").
+// Counters live in memory, per process, and reset on restart
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CHANNELS = ['email', 'sms'];
+const DEFAULT_OUTPUT_FILE = path.join('logs', 'notifications.jsonl');
+const LOCAL_PROVIDER_IDS = ['console', 'file'];
+
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_COOLDOWN_MS = 5 * 60 * 1000;
+
+const providers = [];
+const stats = new Map(); // `${channel}:${id}` -> counters and circuit state
+const warnedUnknown = new Set(); // Warn once per mistyped id, not on every send
+
+// Add a provider (a later registration with the same id and channel replaces it)
+// Returns null for a local provider in production, which is refused
+function registerProvider(provider) {
+  if (LOCAL_PROVIDER_IDS.includes(provider.id) && process.env.NODE_ENV === 'production') {
+    console.warn(`⚠️  ${provider.channel} provider "${provider.id}" is for development only and is not registered in production`);
+    return null;
+  }
+  const existing = providers.findIndex(p => p.id === provider.id && p.channel === provider.channel);
+  const entry = {
+    configured: () => true,
+    supports: () => true,
+    health: async () => ({ ok: true, detail: 'No health check' }),
+    ...provider
+  };
+  if (existing >= 0) {
+    providers[existing] = entry;
+  } else {
+    providers.push(entry);
+  }
+  return entry;
+}
+
+function failureThreshold() {
+  return parseInt(process.env.PROVIDER_FAILURE_THRESHOLD) || DEFAULT_FAILURE_THRESHOLD;
+}
+
+function cooldownMs() {
+  return parseInt(process.env.PROVIDER_COOLDOWN_MS) || DEFAULT_COOLDOWN_MS;
+}
+
+function statsFor(provider) {
+  const key = `${provider.channel}:${provider.id}`;
+  if (!stats.has(key)) {
+    stats.set(key, {
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null,
+      openedAt: null,
+      totalLatencyMs: 0
+    });
+  }
+  return stats.get(key);
+}
+
+// 'closed' (healthy), 'open' (skipped until the cooldown ends) or
+// 'half-open' (cooldown over, the next send is a trial)
+function circuitState(provider) {
+  const entry = statsFor(provider);
+  if (!entry.openedAt) {
+    return 'closed';
+  }
+  return Date.now() - entry.openedAt.getTime() < cooldownMs() ? 'open' : 'half-open';
+}
+
+function recordSuccess(provider, latencyMs) {
+  const entry = statsFor(provider);
+  if (entry.openedAt) {
+    console.log(`🟢 ${provider.name} recovered, circuit closed`);
+  }
+  entry.successes += 1;
+  entry.consecutiveFailures = 0;
+  entry.lastSuccessAt = new Date();
+  entry.openedAt = null;
+  entry.totalLatencyMs += latencyMs;
+}
+
+function recordFailure(provider, error) {
+  const entry = statsFor(provider);
+  const state = circuitState(provider);
+  entry.failures += 1;
+  entry.consecutiveFailures += 1;
+  entry.lastFailureAt = new Date();
+  entry.lastError = error.message;
+  // A failed trial send re-opens the circuit for another cooldown
+  if (state === 'half-open' || (state === 'closed' && entry.consecutiveFailures >= failureThreshold())) {
+    entry.openedAt = new Date();
+    console.warn(`🔴 ${provider.name} failed ${entry.consecutiveFailures} time(s) in a row, skipping it for ${Math.round(cooldownMs() / 1000)}s`);
+  }
+}
+
+function parseList(value) {
+  return String(value || '').split(',').map(id => id.trim().toLowerCase()).filter(Boolean);
+}
+
+// Digits of a phone number with its country code; numbers typed without one
+// (10 digits) get SMS_DEFAULT_COUNTRY_CODE, India by default
+function countryDigits(phoneNumber) {
+  const digits = String(phoneNumber || '').replace(/\D/g, '').replace(/^00/, '');
+  if (!String(phoneNumber || '').trim().startsWith('+') && digits.length === 10) {
+    return `${(process.env.SMS_DEFAULT_COUNTRY_CODE || '+91').replace(/\D/g, '')}${digits}`;
+  }
+  return digits;
+}
+
+// SMS_ROUTES as [{ prefix, ids }], longest country code first
+function smsRoutes() {
+  return String(process.env.SMS_ROUTES || '')
+    .split(';')
+    .map(rule => rule.split('='))
+    .filter(([prefix, ids]) => prefix && ids && prefix.replace(/\D/g, ''))
+    .map(([prefix, ids]) => ({ prefix: prefix.replace(/\D/g, ''), ids: parseList(ids) }))
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+}
+
+// Provider ids to try for a channel (and SMS recipient), from configuration
+function configuredOrder(channel, recipient) {
+  if (channel === 'sms' && recipient) {
+    const digits = countryDigits(recipient);
+    const route = smsRoutes().find(rule => digits.startsWith(rule.prefix));
+    if (route) {
+      return route.ids;
+    }
+  }
+  const order = parseList(process.env[`${channel.toUpperCase()}_PROVIDERS`]);
+  if (order.length > 0) {
+    return order;
+  }
+  // Built-in providers never send unless asked for
+  return providers
+    .filter(p => p.channel === channel && !LOCAL_PROVIDER_IDS.includes(p.id))
+    .map(p => p.id);
+}
+
+// Providers that will be tried, in order, for a message on a channel
+// recipient: email address or phone number (SMS routing and supports())
+// skipProviders: provider names to leave out (e.g. one that failed this alert)
+function providersFor(channel, recipient, { skipProviders = [] } = {}) {
+  return configuredOrder(channel, recipient)
+    .map(id => {
+      const provider = providers.find(p => p.channel === channel && p.id === id);
+      if (!provider && !warnedUnknown.has(`${channel}:${id}`)) {
+        warnedUnknown.add(`${channel}:${id}`);
+        console.warn(`⚠️  Unknown ${channel} provider "${id}" in configuration`);
+      }
+      return provider;
+    })
+    .filter(provider => provider &&
+      provider.configured() &&
+      provider.supports(recipient) &&
+      !skipProviders.includes(provider.name));
+}
+
+// Providers with an open circuit go last: still tried if everything else
+// fails, since an alert must not be dropped
+function orderByCircuit(candidates) {
+  const open = candidates.filter(provider => circuitState(provider) === 'open');
+  return [...candidates.filter(provider => !open.includes(provider)), ...open];
+}
+
+// Try each provider in order until one accepts the message
+// message: email { to, subject, html, text, attachments, urgent }
+//          sms   { to, body, statusCallback }
+// Returns { success, messageId, provider } or { success: false, error }
+async function sendThroughProviders(channel, message, { skipProviders = [] } = {}) {
+  const candidates = orderByCircuit(providersFor(channel, message.to, { skipProviders }));
+  if (candidates.length === 0) {
+    return { success: false, error: `No ${channel === 'sms' ? 'SMS' : channel} provider configured for ${message.to}` };
+  }
+
+  let lastError = null;
+  for (const provider of candidates) {
+    try {
+      console.log(`   🔄 Trying ${provider.name}...`);
+      const startedAt = Date.now();
+      const result = await provider.send(message);
+      recordSuccess(provider, Date.now() - startedAt);
+      console.log(`✅ ${channel === 'sms' ? 'SMS' : 'Email'} sent via ${provider.name} to ${message.to}${result.messageId ? ` (${result.messageId})` : ''}`);
+      return { success: true, messageId: result.messageId || null, provider: provider.name };
+    } catch (error) {
+      console.warn(`   ⚠️  ${provider.name} failed: ${error.message}`);
+      recordFailure(provider, error);
+      lastError = error;
+    }
+  }
+  return { success: false, error: lastError.message };
+}
+
+// Counters and circuit state of every registered provider, for the status page
+// live: also run each configured provider's health() check (may call its API)
+async function providerHealth({ live = false } = {}) {
+  return Promise.all(providers.map(async provider => {
+    const { totalLatencyMs, openedAt, ...counters } = statsFor(provider);
+    const circuit = circuitState(provider);
+    const status = {
+      id: provider.id,
+      name: provider.name,
+      channel: provider.channel,
+      configured: provider.configured(),
+      circuit,
+      reopensAt: circuit === 'open' ? new Date(openedAt.getTime() + cooldownMs()) : null,
+      ...counters,
+      averageLatencyMs: counters.successes > 0 ? Math.round(totalLatencyMs / counters.successes) : null
+    };
+    if (!live) {
+      return status;
+    }
+    if (!status.configured) {
+      return { ...status, ok: false, detail: 'Not configured' };
+    }
+    try {
+      return { ...status, ...(await provider.health()) };
+    } catch (error) {
+      return { ...status, ok: false, detail: error.message };
+    }
+  }));
+}
+
+// Folders server.js serves to anyone
+const SERVED_DIRS = ['uploads', 'public'].map(dir => path.join(__dirname, '..', dir));
+
+// NOTIFICATION_FILE, refused when it points into a served folder
+function notificationFile() {
+  const file = path.resolve(process.env.NOTIFICATION_FILE || DEFAULT_OUTPUT_FILE);
+  if (SERVED_DIRS.some(dir => file.startsWith(`${dir}${path.sep}`))) {
+    throw new Error(`NOTIFICATION_FILE must not be in a publicly served folder (${file})`);
+  }
+  return file;
+}
+
+function localMessageId(prefix) {
+  return `${prefix}-${crypto.randomUUID()}`;
+}
+
+// Built-in providers, one per channel (development and tests only)
+if (process.env.NODE_ENV !== 'production') {
+  for (const channel of CHANNELS) {
+    // Prints the message to the server log
+    registerProvider({
+      id: 'console',
+      name: 'Console',
+      channel,
+      async send(message) {
+        const { attachments, html, ...printable } = message;
+        console.log(`📝 [console ${channel}] ${JSON.stringify(printable)}`);
+        return { messageId: localMessageId('console') };
+      },
+      async health() {
+        return { ok: true, detail: 'Logs messages' };
+      }
+    });
+
+    // Appends the message as a JSON line to NOTIFICATION_FILE (tests can read it back)
+    registerProvider({
+      id: 'file',
+      name: 'File',
+      channel,
+      async send(message) {
+        const file = notificationFile();
+        const messageId = localMessageId('file');
+        const { attachments = [], ...rest } = message;
+        const line = JSON.stringify({
+          messageId,
+          channel,
+          ...rest,
+          attachments: attachments.map(a => a.filename || a.name || 'attachment'),
+          createdAt: new Date().toISOString()
+        });
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, `${line}\n`);
+        return { messageId };
+      },
+      async health() {
+        const file = notificationFile();
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.access(path.dirname(file), fs.constants.W_OK);
+        return { ok: true, detail: `Writes to ${file}` };
+      }
+    });
+  }
+}
+
+module.exports = {
+  registerProvider,
+  providersFor,
+  sendThroughProviders,
+  providerHealth
+};
@@ -0,0 +1,102 @@
+// QR Code Service
+// Looks up vehicle QR stickers by token and tracks when they are scanned
+
+const { v4: uuidv4 } = require('uuid');
+const prisma = require('../config/database');
+const { generateSmsCode, normalizeSmsCode } = require('./smsCodes');
+
+const DEFAULT_QR_LABEL = 'Main sticker';
+
+// A sticker with this many false alarms is flagged as possibly abused
+const FALSE_ALARM_WARNING_THRESHOLD = 3;
+
+// Generate secure random token for a new sticker
+function generateQrToken() {
+  return uuidv4();
+}
+
+// Existing stickers are backfilled by prisma/migrate-qr-codes.sql; this covers
+// a database where it has not been run yet. Only an empty code is filled, so
+// parallel scans all end up showing the same one
+async function ensureSmsCode(qrCode) {
+  if (qrCode.smsCode) {
+    return qrCode.smsCode;
+  }
+  await prisma.vehicleQrCode.updateMany({
+    where: { id: qrCode.id, smsCode: null },
+    data: { smsCode: generateSmsCode() }
+  });
+  const { smsCode } = await prisma.vehicleQrCode.findUnique({
+    where: { id: qrCode.id },
+    select: { smsCode: true }
+  });
+  return smsCode;
+}
+
+// Resolve a scanned token, or a short code from an SMS, to its sticker and vehicle
+// Returns { status: 'active' | 'revoked' | 'unknown', qrCode, vehicle }
+// vehicleQuery is passed through to Prisma (e.g. { include: { emergencyContacts: true } })
+async function resolveQrToken(token, vehicleQuery = {}) {
+  if (!token) {
+    return { status: 'unknown', qrCode: null, vehicle: null };
+  }
+
+  const smsCode = normalizeSmsCode(token);
+  const qrCode = await prisma.vehicleQrCode.findUnique({
+    where: smsCode ? { smsCode } : { token },
+    include: { vehicle: Object.keys(vehicleQuery).length > 0 ? vehicleQuery : true }
+  });
+
+  if (!qrCode) {
+    return { status: 'unknown', qrCode: null, vehicle: null };
+  }
+
+  if (qrCode.revokedAt) {
+    return { status: 'revoked', qrCode, vehicle: null };
+  }
+
+  return { status: 'active', qrCode, vehicle: qrCode.vehicle };
+}
+
+// Record a scan (failures are logged, never block the bystander)
+async function markQrCodeScanned(qrCodeId) {
+  try {
+    await prisma.vehicleQrCode.update({
+      where: { id: qrCodeId },
+      data: { lastScannedAt: new Date() }
+    });
+  } catch (error) {
+    console.error('Error recording QR scan:', error);
+  }
+}
+
+// Abuse statistics per sticker: total reports and reports marked as false alarm
+// Returns { [qrCodeId]: { reports, falseAlarms, flagged } }
+async function getQrCodeReportStats(qrCodeIds) {
+  const groups = await prisma.accidentReport.groupBy({
+    by: ['qrCodeId', 'status'],
+    where: { qrCodeId: { in: qrCodeIds } },
+    _count: { _all: true }
+  });
+
+  const stats = Object.fromEntries(qrCodeIds.map(id => [id, { reports: 0, falseAlarms: 0, flagged: false }]));
+  for (const group of groups) {
+    const entry = stats[group.qrCodeId];
+    entry.reports += group._count._all;
+    if (group.status === 'false_alarm') {
+      entry.falseAlarms += group._count._all;
+    }
+    entry.flagged = entry.falseAlarms >= FALSE_ALARM_WARNING_THRESHOLD;
+  }
+  return stats;
+}
+
+module.exports = {
+  DEFAULT_QR_LABEL,
+  FALSE_ALARM_WARNING_THRESHOLD,
+  generateQrToken,
+  ensureSmsCode,
+  resolveQrToken,
+  markQrCodeScanned,
+  getQrCodeReportStats
+};
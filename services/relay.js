@@ -0,0 +1,197 @@
+// Relay Service
+// Two-way masked conversation between the bystander and the emergency contacts
+// of a report. Messages go through AssistQR, so neither side sees the other's
+// phone number: contacts reply by SMS or from their alert link, the bystander
+// reads and writes on the thank-you page (or by SMS when they reported by SMS)
+
+const prisma = require('../config/database');
+const { sendSMS } = require('./sms');
+const { sendEmail } = require('./email');
+const { preferredChannels } = require('./contactAlerts');
+const { buildAckUrl } = require('./acknowledgements');
+const { CLOSED_STATUSES } = require('./reportStatus');
+const { isSmsOptedOut } = require('./smsOptOuts');
+
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_MESSAGES_PER_REPORT = 100; // Caps relay SMS costs if someone spams the thread
+const RELAY_WINDOW_MS = 24 * 60 * 60 * 1000; // Conversation closes a day after the report
+
+// Shown to the bystander instead of the contact's name (contacts stay private)
+const CONTACT_LABEL = 'Emergency contact';
+const BYSTANDER_LABEL = 'Helper';
+
+// The conversation stays open until the report is closed or a day has passed
+function isRelayOpen(report) {
+  return !CLOSED_STATUSES.includes(report.status) &&
+    Date.now() - new Date(report.createdAt).getTime() < RELAY_WINDOW_MS;
+}
+
+function shorten(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+// Messages after a given id, oldest first (afterId lets pages poll for new ones)
+async function listMessages(reportId, { afterId = 0 } = {}) {
+  return prisma.reportMessage.findMany({
+    where: { accidentReportId: reportId, id: { gt: afterId } },
+    orderBy: { id: 'asc' }
+  });
+}
+
+// Contacts who were alerted about the report (later tiers join once escalated)
+async function alertedContacts(report) {
+  const notified = await prisma.notification.findMany({
+    where: { accidentReportId: report.id, status: { in: ['sent', 'delivered'] }, contactId: { not: null } },
+    select: { contactId: true },
+    distinct: ['contactId']
+  });
+  if (notified.length === 0) {
+    return [];
+  }
+  return prisma.emergencyContact.findMany({
+    where: { id: { in: notified.map(n => n.contactId) }, vehicleId: report.vehicleId }
+  });
+}
+
+// Forward a bystander message to each alerted contact on their preferred channel
+async function forwardToContacts(report, message) {
+  const contacts = await alertedContacts(report);
+  const plate = report.vehicle ? report.vehicle.licensePlate : 'the vehicle';
+
+  const results = await Promise.all(contacts.map(async contact => {
+    const replyUrl = buildAckUrl(report.id, contact.id);
+    const channels = preferredChannels(contact);
+    try {
+      if (channels.includes('sms') && !(await isSmsOptedOut(contact.phoneNumber))) {
+        const text = `AssistQR ${plate}: Helper says "${shorten(message.body, 200)}" Reply to this SMS or at ${replyUrl}`;
+        return await sendSMS(contact.phoneNumber, text);
+      }
+      if (channels.includes('email')) {
+        const escaped = message.body.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        return await sendEmail({
+          to: contact.email,
+          subject: `Message from the helper at the ${plate} accident`,
+          text: `The person who reported the accident involving ${plate} wrote:\n\n${message.body}\n\nReply here: ${replyUrl}`,
+          html: `<p>The person who reported the accident involving <strong>${plate}</strong> wrote:</p>` +
+            `<blockquote style="border-left: 4px solid #ccc; padding-left: 1em;">${escaped}</blockquote>` +
+            `<p><a href="${replyUrl}">Open the conversation to reply</a></p>`,
+          urgent: true
+        });
+      }
+      return { success: false, error: 'Contact has alerts turned off' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }));
+
+  const delivered = results.filter(r => r.success).length;
+  console.log(`💬 Report ${report.id}: helper message relayed to ${delivered}/${contacts.length} contact(s)`);
+}
+
+// Forward a contact's reply to a bystander who reported by SMS
+// (web bystanders see it on their thank-you page instead)
+async function forwardToBystander(report, message) {
+  if (!report.reporterPhone) {
+    return;
+  }
+  const text = `AssistQR: ${CONTACT_LABEL} replies "${shorten(message.body, 300)}" Reply to this number to answer.`;
+  const result = await sendSMS(report.reporterPhone, text).catch(error => ({ success: false, error: error.message }));
+  if (result.optedOut) {
+    console.log(`📵 Report ${report.id}: helper opted out of SMS, reply kept on the report page only`);
+  } else if (!result.success) {
+    console.error(`❌ Report ${report.id}: could not relay reply to the helper:`, result.error);
+  }
+}
+
+// Store a message and relay it to the other side
+// from: { sender: 'bystander' } or { sender: 'contact', contact }
+// report must include vehicle (for the plate in relayed texts)
+// Returns the message, or { error } when the conversation is closed or full
+async function postMessage(report, from, body, channel) {
+  const text = (body || '').trim().slice(0, MAX_MESSAGE_LENGTH);
+  if (!text) {
+    return { error: 'Message is empty.' };
+  }
+  if (!isRelayOpen(report)) {
+    return { error: 'This conversation has closed.' };
+  }
+
+  const count = await prisma.reportMessage.count({ where: { accidentReportId: report.id } });
+  if (count >= MAX_MESSAGES_PER_REPORT) {
+    return { error: 'This conversation has reached its message limit.' };
+  }
+
+  const message = await prisma.reportMessage.create({
+    data: {
+      accidentReportId: report.id,
+      sender: from.sender,
+      contactId: from.sender === 'contact' ? from.contact.id : null,
+      senderName: from.sender === 'contact' ? from.contact.name : BYSTANDER_LABEL,
+      body: text,
+      channel
+    }
+  });
+
+  console.log(`💬 Report ${report.id}: ${from.sender} message ${message.id} (${channel})`);
+
+  // Relaying must not fail the request that posted the message
+  const forward = from.sender === 'contact' ? forwardToBystander : forwardToContacts;
+  await forward(report, message).catch(error => {
+    console.error(`❌ Report ${report.id}: relay failed:`, error);
+  });
+
+  return { message };
+}
+
+// Messages as the bystander sees them (contact names hidden)
+function bystanderView(message) {
+  return {
+    id: message.id,
+    fromHelper: message.sender === 'bystander',
+    name: message.sender === 'bystander' ? 'You' : CONTACT_LABEL,
+    body: message.body,
+    createdAt: message.createdAt
+  };
+}
+
+// Find the open conversation an inbound SMS belongs to, by the sender's number
+// Emergency contacts are matched first, then bystanders who reported by SMS
+// Returns { report, from } or null
+async function findConversationForSms(phoneNumber) {
+  if (!phoneNumber) {
+    return null;
+  }
+  const since = new Date(Date.now() - RELAY_WINDOW_MS);
+  const openReport = { status: { notIn: CLOSED_STATUSES }, createdAt: { gte: since } };
+
+  const contacts = await prisma.emergencyContact.findMany({
+    where: { phoneNumber },
+    select: { id: true, name: true, vehicleId: true, phoneNumber: true }
+  });
+  if (contacts.length > 0) {
+    const report = await prisma.accidentReport.findFirst({
+      where: { ...openReport, vehicleId: { in: contacts.map(c => c.vehicleId) } },
+      orderBy: { createdAt: 'desc' },
+      include: { vehicle: { select: { licensePlate: true } } }
+    });
+    if (report) {
+      const contact = contacts.find(c => c.vehicleId === report.vehicleId);
+      return { report, from: { sender: 'contact', contact } };
+    }
+  }
+
+  const report = await prisma.accidentReport.findFirst({
+    where: { ...openReport, reporterPhone: phoneNumber },
+    orderBy: { createdAt: 'desc' },
+    include: { vehicle: { select: { licensePlate: true } } }
+  });
+  return report ? { report, from: { sender: 'bystander' } } : null;
+}
+
+module.exports = {
+  isRelayOpen,
+  listMessages,
+  postMessage,
+  bystanderView,
+  findConversationForSms
+};
@@ -0,0 +1,159 @@
+// Report Merge Service
+// A bystander without data may first report by SMS or /report-offline (no
+// photos), then have the full report from the page's offline queue sync once
+// data returns. That later submission is merged into the first report instead
+// of creating a second one: photos, note and location are added, and contacts
+// who were already alerted get a short update instead of a new emergency alert
+//
+// The two are matched by idempotency key (same page), or for a report sent
+// from the phone's SMS app, by sticker within MERGE_WINDOW_MS
+
+const prisma = require('../config/database');
+const { CLOSED_STATUSES } = require('./reportStatus');
+const { queueReportUpdate } = require('./notificationOutbox');
+const { formatTriageSms } = require('./triage');
+const { removeUploadedImage } = require('./s3');
+
+const MERGE_WINDOW_MS = 30 * 60 * 1000;
+
+// Reports sent without photos, which a later full report can add to
+const MERGEABLE_SOURCES = ['offline', 'sms'];
+
+function canMerge(report) {
+  return MERGEABLE_SOURCES.includes(report.source) && !report.mergedAt && !CLOSED_STATUSES.includes(report.status);
+}
+
+// Recent SMS-first report for the same sticker, not yet merged
+// Reports that carry an idempotency key came from a page, which would have
+// sent the same key again, so only key-less ones are matched this way
+async function findRecentReportToMerge(qrCodeId) {
+  return prisma.accidentReport.findFirst({
+    where: {
+      qrCodeId,
+      source: { in: MERGEABLE_SOURCES },
+      idempotencyKey: null,
+      mergedAt: null,
+      status: { notIn: CLOSED_STATUSES },
+      createdAt: { gte: new Date(Date.now() - MERGE_WINDOW_MS) }
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+// Short description of what a merge added, e.g. "3 photos and a note added"
+function describeAdditions({ photos, note, location, triage }) {
+  const parts = [];
+  if (photos > 0) {
+    parts.push(`${photos} photo${photos === 1 ? '' : 's'}`);
+  }
+  if (note) {
+    parts.push(photos > 0 ? 'a note' : 'a note from the helper');
+  }
+  if (location) {
+    parts.push('the exact location');
+  }
+  if (triage) {
+    parts.push(`triage answers (${triage})`);
+  }
+  if (parts.length === 0) {
+    return null;
+  }
+  const last = parts.pop();
+  return `${parts.length ? `${parts.join(', ')} and ${last}` : last} added`;
+}
+
+// Add the later submission to the report
+// submission: { images, lat, lng, manualLocation, helperNote, triage, idempotencyKey }
+// images: uploaded photos as [{ imageUrl, fingerprint }] (see services/s3.js)
+// Returns { merged: false } if another request merged first, otherwise
+// { merged: true, added } with added = { photos, note, location, triage }
+// Uploaded photos that are not attached (duplicates, a lost race, a failed
+// merge) are deleted again
+async function mergeIntoReport(report, { images = [], lat, lng, manualLocation, helperNote, triage = {}, idempotencyKey }) {
+  let result;
+  try {
+    // Claim and update together: a failed update must leave the report
+    // mergeable, or the retried sync would be turned away and its data lost
+    result = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.accidentReport.updateMany({
+        where: { id: report.id, mergedAt: null },
+        data: { mergedAt: new Date() }
+      });
+      if (count === 0) {
+        return { merged: false, newImages: [] };
+      }
+
+      // /report-offline may already have uploaded some of the same photos over cellular
+      const existing = await tx.accidentImage.findMany({
+        where: { accidentReportId: report.id, fingerprint: { not: null } },
+        select: { fingerprint: true }
+      });
+      const seen = new Set(existing.map(image => image.fingerprint));
+      const newImages = images.filter(image => {
+        if (image.fingerprint && seen.has(image.fingerprint)) {
+          return false;
+        }
+        seen.add(image.fingerprint);
+        return true;
+      });
+
+      const data = {};
+      const added = { photos: newImages.length, note: false, location: false, triage: null };
+      const note = helperNote?.trim();
+      if (note && !(report.helperNote || '').includes(note)) {
+        data.helperNote = report.helperNote ? `${report.helperNote}\n${note}` : note;
+        added.note = true;
+      }
+      if (lat !== null && lng !== null && (report.lat === null || report.lng === null)) {
+        Object.assign(data, { lat, lng });
+        added.location = true;
+      }
+      // Triage answers the first report left open
+      const answered = Object.fromEntries(Object.entries(triage)
+        .filter(([field, value]) => value !== null && (report[field] === null || report[field] === undefined)));
+      if (Object.keys(answered).length > 0) {
+        Object.assign(data, answered);
+        added.triage = formatTriageSms(answered);
+      }
+      if (!report.manualLocation && manualLocation?.trim()) {
+        data.manualLocation = manualLocation.trim();
+      }
+      // Later replays of this sync then find the report by key
+      if (!report.idempotencyKey && idempotencyKey) {
+        data.idempotencyKey = idempotencyKey;
+      }
+
+      await tx.accidentReport.update({
+        where: { id: report.id },
+        data: {
+          ...data,
+          images: { create: newImages }
+        }
+      });
+      return { merged: true, added, newImages };
+    });
+  } catch (error) {
+    await Promise.all(images.map(image => removeUploadedImage(image.imageUrl)));
+    throw error;
+  }
+
+  const attached = new Set(result.newImages);
+  await Promise.all(images.filter(image => !attached.has(image)).map(image => removeUploadedImage(image.imageUrl)));
+  if (!result.merged) {
+    return { merged: false };
+  }
+
+  const { added } = result;
+  console.log(`🔗 Merged full report into report ${report.id}: ${JSON.stringify(added)}`);
+  const summary = describeAdditions(added);
+  if (summary) {
+    await queueReportUpdate(report.id, summary);
+  }
+  return { merged: true, added };
+}
+
+module.exports = {
+  canMerge,
+  findRecentReportToMerge,
+  mergeIntoReport
+};
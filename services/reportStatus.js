@@ -0,0 +1,76 @@
+// Report Status Service
+// Lifecycle of an accident report: new -> acknowledged -> resolved / false alarm
+// Every transition is recorded in report_status_changes
+
+const prisma = require('../config/database');
+
+const REPORT_STATUSES = ['new', 'acknowledged', 'resolved', 'false_alarm'];
+
+const STATUS_LABELS = {
+  new: 'New',
+  acknowledged: 'Acknowledged',
+  resolved: 'Resolved',
+  false_alarm: 'False alarm'
+};
+
+// Closed reports can be reopened if they were closed by mistake
+const ALLOWED_TRANSITIONS = {
+  new: ['acknowledged', 'resolved', 'false_alarm'],
+  acknowledged: ['resolved', 'false_alarm'],
+  resolved: ['new'],
+  false_alarm: ['new']
+};
+
+// Statuses that end the alerting (no more escalation)
+const CLOSED_STATUSES = ['resolved', 'false_alarm'];
+
+function canTransition(fromStatus, toStatus) {
+  return (ALLOWED_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+// Move a report to a new status and record who did it
+// actor: { userId, name } (userId is null for contacts acting via their alert link)
+// Returns the updated report, or null if the transition is not allowed
+// (or someone else changed the status first)
+async function changeReportStatus(report, toStatus, { actor, note = null }) {
+  if (!canTransition(report.status, toStatus)) {
+    return null;
+  }
+
+  const changed = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.accidentReport.updateMany({
+      where: { id: report.id, status: report.status },
+      data: { status: toStatus }
+    });
+    if (count === 0) {
+      return false;
+    }
+
+    await tx.reportStatusChange.create({
+      data: {
+        accidentReportId: report.id,
+        fromStatus: report.status,
+        toStatus,
+        note,
+        userId: actor.userId || null,
+        actorName: actor.name
+      }
+    });
+    return true;
+  });
+
+  if (!changed) {
+    return null;
+  }
+
+  console.log(`📋 Report ${report.id}: ${report.status} -> ${toStatus} by ${actor.name}`);
+  return { ...report, status: toStatus };
+}
+
+module.exports = {
+  REPORT_STATUSES,
+  STATUS_LABELS,
+  CLOSED_STATUSES,
+  canTransition,
+  changeReportStatus
+};
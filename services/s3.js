@@ -1,6 +1,8 @@
 // File Storage Service (S3)
 // Handles file uploads to AWS S3 or falls back to local storage
 
+const crypto = require('crypto');
+const fs = require('fs');
 const AWS = require('aws-sdk');
 const multer = require('multer');
 const multerS3 = require('multer-s3');
@@ -9,6 +11,7 @@ const { v4: uuidv4 } = require('uuid');
 
 const BUCKET_NAME = process.env.S3_BUCKET;
 const S3_CONFIGURED = !!(process.env.S3_ACCESS_KEY_ID && process.env.S3_SECRET_ACCESS_KEY && BUCKET_NAME);
+const uploadsDir = path.join(__dirname, '..', 'uploads', 'accidents');
 
 let s3 = null;
 let upload = null;
@@ -49,8 +52,6 @@ if (S3_CONFIGURED) {
   });
 } else {
   // Fallback to local file storage if S3 is not configured (for development)
-  const fs = require('fs');
-  const uploadsDir = path.join(__dirname, '..', 'uploads', 'accidents');
   if (!fs.existsSync(uploadsDir)) {
     fs.mkdirSync(uploadsDir, { recursive: true });
   }
@@ -101,9 +102,53 @@ function getFileUrl(key) {
   }
 }
 
+// Content fingerprint of an uploaded file, so the same photo sent twice can be
+// recognised: the S3 ETag (an MD5 of the content), or a SHA-256 of the local file
+async function fileFingerprint(file) {
+  if (file.etag) {
+    return `etag:${file.etag.replace(/"/g, '')}`;
+  }
+  if (!file.path) {
+    return null;
+  }
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(file.path)) {
+    hash.update(chunk);
+  }
+  return `sha256:${hash.digest('hex')}`;
+}
+
+// Uploaded files as AccidentImage rows: [{ imageUrl, fingerprint }]
+async function uploadedImages(files = []) {
+  const images = [];
+  for (const file of files) {
+    const imageUrl = file.location || getFileUrl(file.filename || file.key);
+    if (imageUrl) {
+      images.push({ imageUrl, fingerprint: await fileFingerprint(file).catch(() => null) });
+    }
+  }
+  return images;
+}
+
+// Delete an uploaded photo that will not be attached to a report (never throws)
+async function removeUploadedImage(imageUrl) {
+  try {
+    const { pathname } = new URL(imageUrl);
+    if (S3_CONFIGURED) {
+      await s3.deleteObject({ Bucket: BUCKET_NAME, Key: decodeURIComponent(pathname.slice(1)) }).promise();
+    } else {
+      await fs.promises.unlink(path.join(uploadsDir, path.basename(pathname)));
+    }
+  } catch (error) {
+    console.error('❌ Could not remove uploaded image', imageUrl, '-', error.message);
+  }
+}
+
 module.exports = {
   uploadMultiple,
   getFileUrl,
+  uploadedImages,
+  removeUploadedImage,
   s3
 };
 
@@ -1,17 +1,21 @@
 // SMS Service
 // Sends emergency alert SMS notifications via Fast2SMS (India) or Twilio (International)
+// Both register with the provider registry, which picks the order per number
+// (see services/notificationProviders.js)
 
-const twilio = require('twilio');
 const https = require('https');
+const { getTwilioClient } = require('./twilioClient');
+const { registerProvider, providersFor, sendThroughProviders } = require('./notificationProviders');
+const { formatTriageSms } = require('./triage');
+const { isSmsOptedOut } = require('./smsOptOuts');
 
-// Initialize Twilio client (only if Twilio is configured)
+// Twilio client (only if Twilio is configured)
 let twilioClient = null;
-if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_FROM_NUMBER) {
-  twilioClient = twilio(
-    process.env.TWILIO_ACCOUNT_SID,
-    process.env.TWILIO_AUTH_TOKEN
-  );
-  console.log('✅ Twilio SMS service is ready');
+if (process.env.TWILIO_FROM_NUMBER) {
+  twilioClient = getTwilioClient();
+  if (twilioClient) {
+    console.log('✅ Twilio SMS service is ready');
+  }
 }
 
 // Initialize Fast2SMS (India - no DLT registration needed)
@@ -115,7 +119,7 @@ async function sendViaFast2SMS(phoneNumber, message) {
             console.log(`      2. Spam/filtered messages folder`);
             console.log(`      3. Carrier may be blocking promotional SMS`);
             console.log(`      4. Check Fast2SMS dashboard for delivery status`);
-            resolve({ success: true, requestId: response.request_id });
+            resolve({ success: true, requestId: response.request_id, provider: 'Fast2SMS' });
           } else {
             const errorMsg = response.message || 'Unknown error from Fast2SMS';
             console.error(`❌ Fast2SMS error: ${errorMsg}`);
@@ -143,7 +147,8 @@ async function sendViaFast2SMS(phoneNumber, message) {
 }
 
 // Send SMS via Twilio (International)
-async function sendViaTwilio(phoneNumber, message) {
+// statusCallback: URL Twilio posts delivery receipts to (optional)
+async function sendViaTwilio(phoneNumber, message, statusCallback = null) {
   if (!twilioClient) {
     throw new Error('Twilio not configured');
   }
@@ -151,13 +156,89 @@ async function sendViaTwilio(phoneNumber, message) {
   const messageResult = await twilioClient.messages.create({
     body: message,
     from: process.env.TWILIO_FROM_NUMBER,
-    to: phoneNumber
+    to: phoneNumber,
+    ...(statusCallback ? { statusCallback } : {})
   });
 
-  return { success: true, messageSid: messageResult.sid };
+  return { success: true, messageSid: messageResult.sid, provider: 'Twilio' };
+}
+
+// Fast2SMS wallet balance doubles as an API key check
+function fast2SMSWallet() {
+  return new Promise((resolve, reject) => {
+    const req = https.request({
+      hostname: 'www.fast2sms.com',
+      path: '/dev/wallet',
+      method: 'POST',
+      headers: { authorization: FAST2SMS_API_KEY }
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        try {
+          const response = JSON.parse(data);
+          if (response.return === true) {
+            resolve(response.wallet);
+          } else {
+            reject(new Error(response.message || `Fast2SMS returned ${res.statusCode}`));
+          }
+        } catch (parseError) {
+          reject(new Error('Failed to parse Fast2SMS response'));
+        }
+      });
+    });
+    req.on('error', reject);
+    req.setTimeout(10000, () => req.destroy(new Error('Fast2SMS request timeout')));
+    req.end();
+  });
+}
+
+// Fast2SMS only delivers to Indian numbers, so it is skipped for others
+// whatever the configured order
+registerProvider({
+  id: 'fast2sms',
+  name: 'Fast2SMS',
+  channel: 'sms',
+  configured: () => Boolean(FAST2SMS_API_KEY),
+  supports: isIndianNumber,
+  async send({ to, body }) {
+    const result = await sendViaFast2SMS(to, body);
+    return { messageId: result.requestId };
+  },
+  async health() {
+    const wallet = await fast2SMSWallet();
+    return { ok: true, detail: `Wallet balance ${wallet}` };
+  }
+});
+
+registerProvider({
+  id: 'twilio',
+  name: 'Twilio',
+  channel: 'sms',
+  configured: () => Boolean(twilioClient),
+  async send({ to, body, statusCallback }) {
+    const result = await sendViaTwilio(to, body, statusCallback);
+    return { messageId: result.messageSid };
+  },
+  async health() {
+    const account = await twilioClient.api.v2010.accounts(process.env.TWILIO_ACCOUNT_SID).fetch();
+    return { ok: account.status === 'active', detail: `Account ${account.status}` };
+  }
+});
+
+// Shorten text to at most `length` characters, ending in "..." when cut
+// Returns '' when there is no text or too little room to say anything
+function fitSmsText(text, length) {
+  if (!text || length <= 5) {
+    return '';
+  }
+  return text.length > length ? `${text.substring(0, length - 3)}...` : text;
 }
 
-async function sendAccidentAlertSMS({ vehicle, contact, lat, lng, imageUrls = [], helperNote, manualLocation }) {
+// ackUrl: this contact's signed "I'm on it" link (see services/acknowledgements.js)
+// options: { skipProviders, statusCallback } (see sendSMS)
+// triage: structured answers, encoded compactly on the first line (see services/triage.js)
+async function sendAccidentAlertSMS({ vehicle, contact, lat, lng, imageUrls = [], helperNote, manualLocation, triage, ackUrl, skipProviders = [], statusCallback = null }) {
   // Build shortened Google Maps link (without https://www. to save characters)
   let mapsLink = '';
   if (lat && lng) {
@@ -166,16 +247,16 @@ async function sendAccidentAlertSMS({ vehicle, contact, lat, lng, imageUrls = []
 
   // Build concise SMS message (NO EMOJI to avoid Unicode encoding - target: under 160 chars)
   // Removing emoji prevents Unicode encoding which limits to 70 chars per SMS instead of 160
-  let message = `EMERGENCY ALERT\n`;
-  
+  // Triage answers share the first line, which is never truncated
+  // e.g. "EMERGENCY ALERT Inj:2 Consc:N Fire:Y Amb:N"
+  const triageText = formatTriageSms(triage);
+  const header = `EMERGENCY ALERT${triageText ? ` ${triageText}` : ''}`;
+
   // Compact vehicle info on one line
-  message += `${vehicle.licensePlate}`;
-  if (vehicle.model) message += ` ${vehicle.model}`;
-  if (vehicle.color) message += ` ${vehicle.color}`;
-  message += `\n`;
-  
+  let vehicleLine = [vehicle.licensePlate, vehicle.model, vehicle.color].filter(Boolean).join(' ');
+
   // Shortened timestamp (remove seconds, use shorter date format)
-  const timeStr = new Date().toLocaleString('en-IN', { 
+  let timeStr = new Date().toLocaleString('en-IN', { 
     timeZone: 'Asia/Kolkata',
     day: '2-digit',
     month: '2-digit',
@@ -183,56 +264,34 @@ async function sendAccidentAlertSMS({ vehicle, contact, lat, lng, imageUrls = []
     hour: '2-digit',
     minute: '2-digit'
   });
-  message += `${timeStr}\n`;
-  
-  // Location (maps link or manual location)
-  // Reserve space for footer (13 chars) - max 45 chars for location
-  if (mapsLink) {
-    message += `${mapsLink}\n`;
-  } else if (manualLocation) {
-    // Truncate location to max 45 chars (accounting for footer)
-    const shortLoc = manualLocation.length > 45 ? manualLocation.substring(0, 42) + '...' : manualLocation;
-    message += `${shortLoc}\n`;
+
+  // Location (maps link or manual location, max 45 chars) and helper note (max 30 chars)
+  let location = mapsLink || fitSmsText(manualLocation, 45);
+  let note = fitSmsText(helperNote, 30);
+
+  // Footer: the contact's "I'm on it" link (short SMS form, see
+  // buildSmsAckUrl), or "From AssistQR" (14 chars including newline)
+  const footer = ackUrl ? `\nOn it? ${ackUrl}` : `\nFrom AssistQR`;
+
+  const build = () => [header, vehicleLine, timeStr, location, note].filter(Boolean).join('\n') + footer;
+  const spaceFor = text => 160 - (build().length - text.length);
+
+  // Over one part: give up the least urgent details first. The note is trimmed,
+  // then the model/color (the contact knows the vehicle by its plate), then the
+  // timestamp (the phone shows when the SMS arrived), and only then the location
+  if (build().length > 160) {
+    note = fitSmsText(note, spaceFor(note));
   }
-  
-  // Helper note (truncate to 30 chars max to leave room for footer)
-  if (helperNote) {
-    const shortNote = helperNote.length > 30 ? helperNote.substring(0, 27) + '...' : helperNote;
-    message += `${shortNote}`;
+  if (build().length > 160) {
+    vehicleLine = vehicle.licensePlate;
   }
-
-  // Add footer "From AssistQR" (13 chars including newline)
-  const footer = `\nFrom AssistQR`;
-  
-  // Final check: if adding footer exceeds 160, truncate more aggressively
-  if (message.length + footer.length > 160) {
-    const maxLength = 160 - footer.length; // Reserve space for footer
-    // Truncate from the end, keeping essential parts
-    const essentialParts = message.split('\n');
-    let truncatedMessage = essentialParts[0] + '\n'; // "EMERGENCY ALERT"
-    truncatedMessage += essentialParts[1] + '\n'; // Vehicle info
-    truncatedMessage += essentialParts[2] + '\n'; // Timestamp
-    
-    // Add location/note with remaining space
-    let remainingSpace = maxLength - truncatedMessage.length;
-    if (essentialParts[3]) { // Location or note
-      const part3 = essentialParts[3].length > remainingSpace 
-        ? essentialParts[3].substring(0, remainingSpace - 3) + '...' 
-        : essentialParts[3];
-      truncatedMessage += part3;
-      remainingSpace -= part3.length;
-    }
-    if (essentialParts[4] && remainingSpace > 5) { // Note if present
-      const part4 = essentialParts[4].length > remainingSpace 
-        ? essentialParts[4].substring(0, remainingSpace - 3) + '...' 
-        : essentialParts[4];
-      truncatedMessage += part4;
-    }
-    message = truncatedMessage;
+  if (build().length > 160) {
+    timeStr = '';
   }
-  
-  // Add footer
-  message += footer;
+  if (build().length > 160) {
+    location = fitSmsText(location, spaceFor(location));
+  }
+  const message = build();
 
   console.log(`📱 Sending SMS to: ${contact.phoneNumber} (${contact.name || 'Unknown'})`);
   console.log(`   - Message length: ${message.length} characters`);
@@ -245,41 +304,48 @@ async function sendAccidentAlertSMS({ vehicle, contact, lat, lng, imageUrls = []
   console.log(`   - Location: ${lat && lng ? `${lat}, ${lng}` : manualLocation || 'Not provided'}`);
   console.log(`   - Photos: ${imageUrls.length} image(s)`);
   console.log(`   - Helper Note: ${helperNote ? 'Yes' : 'No'}`);
+  console.log(`   - Triage: ${triageText || 'Not answered'}`);
 
-  // Try Fast2SMS first for Indian numbers, fallback to Twilio
-  try {
-    if (isIndianNumber(contact.phoneNumber) && FAST2SMS_API_KEY) {
-      console.log('   - Using Fast2SMS (India - Quick SMS, no DLT)');
-      const result = await sendViaFast2SMS(contact.phoneNumber, message);
-      return result;
-    } else if (twilioClient) {
-      console.log('   - Using Twilio (International)');
-      const result = await sendViaTwilio(contact.phoneNumber, message);
-      return result;
-    } else {
-      const errorMsg = 'No SMS service configured. Please configure Fast2SMS (for India) or Twilio (for International).';
-      console.error('❌ SMS not sent to', contact.phoneNumber, '-', errorMsg);
-      return { success: false, error: errorMsg };
-    }
-  } catch (error) {
-    console.error('❌ Error sending SMS to', contact.phoneNumber, ':');
-    console.error('   Error message:', error.message);
-    
-    // Try fallback if Fast2SMS fails and Twilio is available
-    if (isIndianNumber(contact.phoneNumber) && FAST2SMS_API_KEY && twilioClient) {
-      console.log('   - Fast2SMS failed, trying Twilio as fallback...');
-      try {
-        const result = await sendViaTwilio(contact.phoneNumber, message);
-        return result;
-      } catch (twilioError) {
-        console.error('   - Twilio fallback also failed:', twilioError.message);
-      }
-    }
-    
-    return { success: false, error: error.message };
+  return sendSMS(contact.phoneNumber, message, { skipProviders, statusCallback });
+}
+
+// Short follow-up to an alert the contact already got, e.g. when a report
+// first sent by SMS is completed with photos (see services/reportMerge.js)
+// update: what changed, e.g. "3 photos and a note added"
+async function sendReportUpdateSMS({ vehicle, contact, update, ackUrl, skipProviders = [], statusCallback = null }) {
+  let message = `AssistQR ${vehicle.licensePlate} update: ${update}`;
+  if (ackUrl) {
+    message += `\nDetails: ${ackUrl}`;
+  }
+  console.log(`📱 Sending update SMS to: ${contact.phoneNumber} (${contact.name || 'Unknown'}) - ${update}`);
+  return sendSMS(contact.phoneNumber, message, { skipProviders, statusCallback });
+}
+
+// Configured SMS providers for a number, in the order sendSMS tries them
+function smsProviders(phoneNumber) {
+  return providersFor('sms', phoneNumber).map(provider => provider.name);
+}
+
+// Send an SMS through the providers configured for the number, in order
+// (by default Fast2SMS first for Indian numbers, then Twilio)
+// skipProviders: provider names to leave out (e.g. one that failed to deliver this alert)
+// statusCallback: Twilio delivery receipt URL
+// Numbers that replied STOP get nothing: { success: false, optedOut: true }
+async function sendSMS(phoneNumber, message, { skipProviders = [], statusCallback = null } = {}) {
+  if (await isSmsOptedOut(phoneNumber)) {
+    console.log(`📵 SMS not sent to ${phoneNumber}: opted out (STOP)`);
+    return { success: false, optedOut: true, error: 'Recipient opted out of SMS (replied STOP)' };
+  }
+  const result = await sendThroughProviders('sms', { to: phoneNumber, body: message, statusCallback }, { skipProviders });
+  if (!result.success) {
+    console.error('❌ SMS not sent to', phoneNumber, '-', result.error);
   }
+  return result;
 }
 
 module.exports = {
-  sendAccidentAlertSMS
+  smsProviders,
+  sendSMS,
+  sendAccidentAlertSMS,
+  sendReportUpdateSMS
 };
@@ -0,0 +1,56 @@
+// SMS Code Service
+// Short per-sticker codes that bystanders type into an SMS report instead of
+// the 36-character QR token, e.g. "K7M2-Q9XM". Crockford base32 (no I, L, O
+// or U, which are easily confused when typed by hand) plus one check character
+
+const crypto = require('crypto');
+
+const SMS_CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const SMS_CODE_DATA_LENGTH = 7;
+const SMS_CODE_LENGTH = SMS_CODE_DATA_LENGTH + 1;
+
+// Luhn mod 32 check character: catches any single mistyped character
+// and most swaps of neighbouring characters
+function smsCodeCheckCharacter(data) {
+  let sum = 0;
+  for (let i = data.length - 1, factor = 2; i >= 0; i--, factor = 3 - factor) {
+    const addend = factor * SMS_CODE_ALPHABET.indexOf(data[i]);
+    sum += Math.floor(addend / 32) + (addend % 32);
+  }
+  return SMS_CODE_ALPHABET[(32 - (sum % 32)) % 32];
+}
+
+// Generate a short code for a new sticker, e.g. "K7M2Q9XM"
+function generateSmsCode() {
+  let data = '';
+  for (let i = 0; i < SMS_CODE_DATA_LENGTH; i++) {
+    data += SMS_CODE_ALPHABET[crypto.randomInt(32)];
+  }
+  return data + smsCodeCheckCharacter(data);
+}
+
+// Canonical form of a typed code (case, spaces, dashes and look-alike
+// letters are forgiven), or null if it is not a valid code
+function normalizeSmsCode(input) {
+  const code = String(input || '')
+    .toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+  if (code.length !== SMS_CODE_LENGTH || [...code].some(char => !SMS_CODE_ALPHABET.includes(char))) {
+    return null;
+  }
+  return smsCodeCheckCharacter(code.slice(0, -1)) === code.slice(-1) ? code : null;
+}
+
+// "K7M2Q9XM" -> "K7M2-Q9XM" for printing under the sticker
+function formatSmsCode(code) {
+  return code ? `${code.slice(0, 4)}-${code.slice(4)}` : null;
+}
+
+module.exports = {
+  SMS_CODE_LENGTH,
+  generateSmsCode,
+  normalizeSmsCode,
+  formatSmsCode
+};
@@ -0,0 +1,286 @@
+// SMS Command Parser
+// Turns inbound SMS webhooks (Twilio or Telerivet) into commands. Bystanders
+// type these by hand, so keywords are case-insensitive, punctuation is
+// forgiven, and a location may be coordinates, a maps link or a plus code.
+// Errors carry a reply that tells the sender exactly what to fix
+//
+//   REPORT <CODE> [LOCATION <place> | <lat>,<lng> | <maps link> | <plus code>] [NOTE <text>]
+//
+// Emergency contacts reply with a single word: ACK, STATUS, STOP, START or HELP
+// (see services/contactCommands.js)
+
+const { SMS_CODE_LENGTH, normalizeSmsCode } = require('./smsCodes');
+
+const MAX_LOCATION_LENGTH = 500; // Same limits as the web report form
+const MAX_NOTE_LENGTH = 1000;
+
+const USAGE = 'REPORT <code under the QR sticker> <location> NOTE <what happened>';
+
+// Single-word commands, with the synonyms carriers treat as STOP/START
+// ("yes" is left out: it is a common answer in a relay conversation)
+const WORD_COMMANDS = {
+  ack: 'ack',
+  acknowledge: 'ack',
+  status: 'status',
+  stop: 'stop',
+  stopall: 'stop',
+  unsubscribe: 'stop',
+  cancel: 'stop',
+  end: 'stop',
+  quit: 'stop',
+  start: 'start',
+  unstop: 'start',
+  help: 'help',
+  info: 'help'
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const REPORT_KEYWORD = /^[^\p{L}\p{N}]*report\b[\s:,.;-]*/iu;
+const LOCATION_KEYWORD = /^(?:location|loc|at)\b[\s:,.-]*/i;
+const NOTE_KEYWORD = /(?:^|\s)(?:note|msg|message)\b[\s:,.-]*/i;
+const URL_PATTERN = /(?:https?:\/\/|geo:)\S+/i;
+const COORDINATES_PATTERN = /(^|[^\d.])([-+]?\d{1,2}\.\d+)°?\s*[,;/\s]\s*([-+]?\d{1,3}\.\d+)°?(?!\.?\d)/;
+
+// Open Location Code ("plus code") alphabet
+const PLUS_CODE_ALPHABET = '23456789CFGHJMPQRVWX';
+const FULL_PLUS_CODE = /(?:^|\s)([23456789CFGHJMPQRVWX]{8}\+[23456789CFGHJMPQRVWX]{2,})(?=$|[\s,.;])/i;
+const SHORT_PLUS_CODE = /(?:^|\s)[23456789CFGHJMPQRVWX]{4,6}\+[23456789CFGHJMPQRVWX]{2,}(?=$|[\s,.;])/i;
+
+// Coordinates inside a maps link: Google (?q=, ?query=, @lat,lng), Apple (?ll=),
+// OpenStreetMap (mlat/mlon, #map=zoom/lat/lng) and geo: URIs
+const MAP_URL_COORDINATES = [
+  /[?&](?:q|query|ll|sll|daddr|destination|center)=(?:loc:)?([-+]?\d+(?:\.\d+)?)\s*,\s*([-+]?\d+(?:\.\d+)?)/i,
+  /@([-+]?\d+\.\d+),([-+]?\d+\.\d+)/,
+  /^geo:([-+]?\d+(?:\.\d+)?),([-+]?\d+(?:\.\d+)?)/i,
+  /[?&]mlat=([-+]?\d+(?:\.\d+)?)&mlon=([-+]?\d+(?:\.\d+)?)/i,
+  /#map=\d+\/([-+]?\d+(?:\.\d+)?)\/([-+]?\d+(?:\.\d+)?)/i
+];
+
+// Pull sender, recipient and text out of a webhook body
+// Twilio sends: From, Body, To (form-urlencoded)
+// Telerivet sends: event, from_number, content, phone_id (JSON or form-urlencoded)
+// Returns { source: 'Twilio' | 'Telerivet' | 'Unknown', fromNumber, messageBody, toNumber }
+function parseWebhookPayload(body = {}) {
+  if (body.From && body.Body !== undefined) {
+    return { source: 'Twilio', fromNumber: body.From, messageBody: body.Body, toNumber: body.To };
+  }
+  if (body.from_number && body.content !== undefined) {
+    return {
+      source: 'Telerivet',
+      fromNumber: body.from_number,
+      messageBody: body.content,
+      toNumber: body.phone_id || body.to_number
+    };
+  }
+  if (body.event === 'incoming_message' || body.event === 'message_received') {
+    return {
+      source: 'Telerivet',
+      fromNumber: body.from_number || body.from,
+      messageBody: body.content || body.message || body.body,
+      toNumber: body.phone_id || body.to_number || body.to
+    };
+  }
+  return {
+    source: 'Unknown',
+    fromNumber: body.from_number || body.From || body.from,
+    messageBody: body.content || body.Body || body.body || body.message,
+    toNumber: body.phone_id || body.To || body.to_number || body.to
+  };
+}
+
+function validCoordinates(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+}
+
+// Centre of a full plus code such as "7JCMV8H9+5Q", or null
+function decodePlusCode(code) {
+  const digits = code.toUpperCase().replace('+', '');
+  const values = [...digits].map(char => PLUS_CODE_ALPHABET.indexOf(char));
+  if (digits.length < 10 || values.includes(-1) || values[0] > 8 || values[1] > 17) {
+    return null;
+  }
+
+  let lat = -90;
+  let lng = -180;
+  let latSize = 20;
+  let lngSize = 20;
+  for (let i = 0; i < 10; i += 2) {
+    if (i > 0) {
+      latSize /= 20;
+      lngSize /= 20;
+    }
+    lat += values[i] * latSize;
+    lng += values[i + 1] * lngSize;
+  }
+  // Each further digit picks a cell in a 4 x 5 (lng x lat) grid
+  for (const value of values.slice(10)) {
+    latSize /= 5;
+    lngSize /= 4;
+    lat += Math.floor(value / 4) * latSize;
+    lng += (value % 4) * lngSize;
+  }
+  return { lat: +(lat + latSize / 2).toFixed(6), lng: +(lng + lngSize / 2).toFixed(6) };
+}
+
+function coordinatesFromUrl(url) {
+  let decoded = url;
+  try {
+    decoded = decodeURIComponent(url);
+  } catch (error) {
+    // Keep the raw URL if it is not valid percent-encoding
+  }
+  for (const pattern of MAP_URL_COORDINATES) {
+    const match = decoded.match(pattern);
+    if (match && validCoordinates(parseFloat(match[1]), parseFloat(match[2]))) {
+      return { lat: parseFloat(match[1]), lng: parseFloat(match[2]) };
+    }
+  }
+  return null;
+}
+
+function tidy(text) {
+  return text.replace(/\s+/g, ' ').replace(/^[\s,.;:-]+|[\s,;:-]+$/g, '');
+}
+
+// Find a location in free text
+// Returns { lat, lng, manualLocation, rest, error } where rest is the text
+// that was not part of the location
+function parseLocation(text, { keyword = false } = {}) {
+  const url = text.match(URL_PATTERN);
+  if (url) {
+    const link = url[0].replace(/[),.;]+$/, '');
+    const rest = tidy(text.replace(link, ' '));
+    const coordinates = coordinatesFromUrl(link);
+    // Short links (maps.app.goo.gl) cannot be resolved offline: pass the link on
+    return coordinates ? { ...coordinates, rest } : { manualLocation: link, rest };
+  }
+
+  const fullPlusCode = text.match(FULL_PLUS_CODE);
+  if (fullPlusCode) {
+    const coordinates = decodePlusCode(fullPlusCode[1]);
+    if (coordinates) {
+      return { ...coordinates, rest: tidy(text.replace(fullPlusCode[1], ' ')) };
+    }
+  }
+
+  // Short plus codes need the nearby town to decode, which maps apps understand
+  if (SHORT_PLUS_CODE.test(text)) {
+    return { manualLocation: tidy(text), rest: '' };
+  }
+
+  const coordinates = text.match(COORDINATES_PATTERN);
+  if (coordinates) {
+    const lat = parseFloat(coordinates[2]);
+    const lng = parseFloat(coordinates[3]);
+    if (!validCoordinates(lat, lng)) {
+      return { error: 'invalid_coordinates' };
+    }
+    return { lat, lng, rest: tidy(text.replace(coordinates[0], coordinates[1] + ' ')) };
+  }
+
+  return keyword ? { manualLocation: tidy(text), rest: '' } : { rest: tidy(text) };
+}
+
+// Read the vehicle code after REPORT: a short sticker code (also typed as
+// two groups of 4) or a full QR token
+// Returns { code, rest } or { error, received }
+function parseVehicleCode(text) {
+  const tokens = text.split(/\s+/).filter(Boolean);
+  const clean = token => (token || '').replace(/^[^\w]+|[^\w]+$/g, '');
+  const first = clean(tokens[0]);
+
+  if (!first || LOCATION_KEYWORD.test(first) || NOTE_KEYWORD.test(` ${first}`)) {
+    return { error: 'missing_code' };
+  }
+  if (UUID_PATTERN.test(first)) {
+    return { code: first.toLowerCase(), rest: tokens.slice(1).join(' ') };
+  }
+  if (normalizeSmsCode(first)) {
+    return { code: normalizeSmsCode(first), rest: tokens.slice(1).join(' ') };
+  }
+  const joined = first + clean(tokens[1]);
+  if (first.length === SMS_CODE_LENGTH / 2 && normalizeSmsCode(joined)) {
+    return { code: normalizeSmsCode(joined), rest: tokens.slice(2).join(' ') };
+  }
+  // Coordinates or a link straight after REPORT: the code was left out
+  if (/^[-+]?\d{1,3}\.\d/.test(first) || URL_PATTERN.test(tokens[0])) {
+    return { error: 'missing_code' };
+  }
+  return { error: 'invalid_code', received: tokens[0].slice(0, 40) };
+}
+
+const ERROR_REPLIES = {
+  empty: () => `Empty message. To report an accident send: ${USAGE}`,
+  unknown_command: () => `Unknown command. To report an accident send: ${USAGE}`,
+  missing_code: () => `Please add the code printed under the QR sticker, e.g. REPORT K7M2-Q9XM 12.9716,77.5946 NOTE car crash. Format: ${USAGE}`,
+  invalid_code: ({ received }) => `"${received}" is not a valid vehicle code. Check the 8-character code printed under the QR sticker (letters and digits, e.g. K7M2-Q9XM) and send again.`,
+  invalid_coordinates: () => 'Those coordinates are out of range. Send latitude first, then longitude, e.g. 12.9716,77.5946, or write LOCATION followed by a place name.'
+};
+
+function withReply(result) {
+  return { ...result, reply: ERROR_REPLIES[result.error](result) };
+}
+
+// Parse the text of an inbound SMS
+// Returns one of:
+//   { command: 'report', code, lat, lng, manualLocation, helperNote }
+//   { command: 'report', error, reply }  - REPORT with something to fix
+//   { command: 'ack' | 'status' | 'stop' | 'start' | 'help' }
+//   { command: null, error, reply }      - not a command (may be a relay reply)
+function parseSmsCommand(text) {
+  const message = String(text || '').trim();
+  if (!message) {
+    return withReply({ command: null, error: 'empty' });
+  }
+
+  const word = message.toLowerCase().replace(/^[^\p{L}]+|[^\p{L}]+$/gu, '');
+  if (WORD_COMMANDS[word]) {
+    return { command: WORD_COMMANDS[word] };
+  }
+
+  const keyword = message.match(REPORT_KEYWORD);
+  if (!keyword) {
+    return withReply({ command: null, error: 'unknown_command' });
+  }
+
+  const vehicle = parseVehicleCode(message.slice(keyword[0].length));
+  if (vehicle.error) {
+    return withReply({ command: 'report', ...vehicle });
+  }
+
+  // Everything after NOTE is the note; before it, the location
+  let locationText = vehicle.rest;
+  let note = '';
+  const noteKeyword = locationText.match(NOTE_KEYWORD);
+  if (noteKeyword) {
+    note = locationText.slice(noteKeyword.index + noteKeyword[0].length);
+    locationText = locationText.slice(0, noteKeyword.index);
+  }
+
+  const locationKeyword = locationText.trim().match(LOCATION_KEYWORD);
+  const location = parseLocation(
+    locationKeyword ? locationText.trim().slice(locationKeyword[0].length) : locationText,
+    { keyword: Boolean(locationKeyword) }
+  );
+  if (location.error) {
+    return withReply({ command: 'report', error: location.error });
+  }
+
+  // Text around the coordinates without a keyword is kept as part of the note
+  const helperNote = tidy([location.rest, note].filter(Boolean).join(' '));
+  return {
+    command: 'report',
+    code: vehicle.code,
+    lat: location.lat ?? null,
+    lng: location.lng ?? null,
+    manualLocation: location.manualLocation ? location.manualLocation.slice(0, MAX_LOCATION_LENGTH) : null,
+    helperNote: helperNote ? helperNote.slice(0, MAX_NOTE_LENGTH) : null
+  };
+}
+
+module.exports = {
+  USAGE,
+  parseWebhookPayload,
+  parseSmsCommand,
+  decodePlusCode
+};
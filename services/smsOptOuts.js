@@ -0,0 +1,49 @@
+// SMS Opt-Outs
+// A STOP reply applies to the phone number, whoever sent it: an emergency
+// contact or a bystander who reported by SMS. sendSMS (services/sms.js) checks
+// it before every outbound SMS; this table is the only record of it
+
+const prisma = require('../config/database');
+
+// When the number opted out, or null
+async function smsOptOutFor(phoneNumber) {
+  if (!phoneNumber) {
+    return null;
+  }
+  const optOut = await prisma.smsOptOut.findUnique({ where: { phoneNumber } });
+  return optOut ? optOut.createdAt : null;
+}
+
+async function isSmsOptedOut(phoneNumber) {
+  return (await smsOptOutFor(phoneNumber)) !== null;
+}
+
+// Opt-outs among several numbers, e.g. a vehicle's contacts: Map of number -> time
+async function smsOptOutsFor(phoneNumbers) {
+  const numbers = [...new Set(phoneNumbers.filter(Boolean))];
+  if (numbers.length === 0) {
+    return new Map();
+  }
+  const optOuts = await prisma.smsOptOut.findMany({ where: { phoneNumber: { in: numbers } } });
+  return new Map(optOuts.map(optOut => [optOut.phoneNumber, optOut.createdAt]));
+}
+
+// Opt the number out (STOP) or back in (START)
+// Returns true when this changed anything, false if it was already so
+async function setSmsOptOut(phoneNumber, optedOut) {
+  const { count } = optedOut
+    ? await prisma.smsOptOut.createMany({ data: [{ phoneNumber }], skipDuplicates: true })
+    : await prisma.smsOptOut.deleteMany({ where: { phoneNumber } });
+  if (count === 0) {
+    return false;
+  }
+  console.log(`📵 ${phoneNumber} ${optedOut ? 'opted out of' : 'opted back in to'} SMS`);
+  return true;
+}
+
+module.exports = {
+  smsOptOutFor,
+  isSmsOptedOut,
+  smsOptOutsFor,
+  setSmsOptOut
+};
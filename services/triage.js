@@ -0,0 +1,90 @@
+// Triage Answers
+// Structured questions on the report form, so contacts and responders see at
+// a glance how serious the accident is: people injured, rider conscious, fire
+// or fuel leak, ambulance called. Every answer is optional; a yes/no question
+// left blank or answered "not sure" is stored as null (unknown)
+
+const MAX_INJURED = 50;
+
+// Form values for the yes/no questions
+const ANSWERS = ['yes', 'no', 'unknown'];
+
+const YES_NO_FIELDS = ['riderConscious', 'fireOrFuelLeak', 'ambulanceCalled'];
+
+function parseAnswer(value) {
+  if (value === 'yes') {
+    return true;
+  }
+  return value === 'no' ? false : null;
+}
+
+// AccidentReport fields from a form or sync body; values are assumed to have
+// passed validation (see routes/accidents.js)
+function parseTriage(body) {
+  const injured = parseInt(body.injuredCount);
+  return {
+    injuredCount: Number.isInteger(injured) && injured >= 0 ? Math.min(injured, MAX_INJURED) : null,
+    riderConscious: parseAnswer(body.riderConscious),
+    fireOrFuelLeak: parseAnswer(body.fireOrFuelLeak),
+    ambulanceCalled: parseAnswer(body.ambulanceCalled)
+  };
+}
+
+// Triage fields of a stored report
+function pickTriage(report) {
+  return {
+    injuredCount: report.injuredCount ?? null,
+    riderConscious: report.riderConscious ?? null,
+    fireOrFuelLeak: report.fireOrFuelLeak ?? null,
+    ambulanceCalled: report.ambulanceCalled ?? null
+  };
+}
+
+function hasTriage(triage) {
+  return !!triage && Object.values(triage).some(value => value !== null && value !== undefined);
+}
+
+// Compact form for the alert SMS, unknown answers left out:
+// "Inj:2 Consc:N Fire:Y Amb:N"
+function formatTriageSms(triage) {
+  if (!hasTriage(triage)) {
+    return '';
+  }
+  const yesNo = value => (value ? 'Y' : 'N');
+  return [
+    triage.injuredCount !== null && triage.injuredCount !== undefined && `Inj:${triage.injuredCount}`,
+    typeof triage.riderConscious === 'boolean' && `Consc:${yesNo(triage.riderConscious)}`,
+    typeof triage.fireOrFuelLeak === 'boolean' && `Fire:${yesNo(triage.fireOrFuelLeak)}`,
+    typeof triage.ambulanceCalled === 'boolean' && `Amb:${yesNo(triage.ambulanceCalled)}`
+  ].filter(Boolean).join(' ');
+}
+
+// Labelled answers for emails and pages: [{ label, value, urgent }]
+// urgent marks answers that call for immediate action
+function triageItems(triage) {
+  if (!hasTriage(triage)) {
+    return [];
+  }
+  const answer = value => (value === null || value === undefined ? 'Not sure' : value ? 'Yes' : 'No');
+  return [
+    {
+      label: 'People injured',
+      value: triage.injuredCount === null || triage.injuredCount === undefined ? 'Not sure' : String(triage.injuredCount),
+      urgent: triage.injuredCount > 0
+    },
+    { label: 'Rider conscious', value: answer(triage.riderConscious), urgent: triage.riderConscious === false },
+    { label: 'Fire or fuel leak', value: answer(triage.fireOrFuelLeak), urgent: triage.fireOrFuelLeak === true },
+    { label: 'Ambulance called', value: answer(triage.ambulanceCalled), urgent: triage.ambulanceCalled === false }
+  ];
+}
+
+module.exports = {
+  ANSWERS,
+  YES_NO_FIELDS,
+  MAX_INJURED,
+  parseTriage,
+  pickTriage,
+  hasTriage,
+  formatTriageSms,
+  triageItems
+};
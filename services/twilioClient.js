@@ -0,0 +1,41 @@
+// Twilio Client
+// One Twilio REST client shared by the SMS and voice services
+// TWILIO_API_BASE_URL points every request at another host (e.g. a local fake
+// of the Twilio API for testing call bridging without placing real calls)
+
+const twilio = require('twilio');
+
+let client;
+
+// Rewrites https://<product>.twilio.com/... to the configured base URL
+function createRedirectingHttpClient(baseUrl) {
+  const requestClient = new twilio.RequestClient();
+  return {
+    request(opts) {
+      const uri = new URL(opts.uri);
+      return requestClient.request({ ...opts, uri: `${baseUrl.replace(/\/$/, '')}${uri.pathname}${uri.search}` });
+    }
+  };
+}
+
+// Returns null when TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN are not set
+function getTwilioClient() {
+  if (client !== undefined) {
+    return client;
+  }
+
+  client = null;
+  if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
+    const baseUrl = process.env.TWILIO_API_BASE_URL;
+    client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN,
+      baseUrl ? { httpClient: createRedirectingHttpClient(baseUrl) } : {});
+    if (baseUrl) {
+      console.log(`⚠️  Twilio requests are sent to ${baseUrl} (TWILIO_API_BASE_URL)`);
+    }
+  }
+  return client;
+}
+
+module.exports = {
+  getTwilioClient
+};
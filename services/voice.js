@@ -0,0 +1,92 @@
+// Voice Service
+// Places automated emergency alert calls via Twilio Voice, and bridges
+// bystander <-> contact calls through the Twilio number (numbers stay masked)
+
+const { getTwilioClient } = require('./twilioClient');
+
+// Twilio client (only if Twilio is configured)
+let twilioClient = null;
+const TWILIO_VOICE_NUMBER = process.env.TWILIO_VOICE_NUMBER || process.env.TWILIO_FROM_NUMBER;
+if (TWILIO_VOICE_NUMBER) {
+  twilioClient = getTwilioClient();
+  if (twilioClient) {
+    console.log('✅ Twilio voice service is ready');
+  }
+}
+
+// Escape text for use inside TwiML
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Call a contact and read the alert out loud (twice, in case they miss the start)
+// statusCallback: URL Twilio posts the final call status to (optional)
+async function sendAccidentAlertCall({ vehicle, contact, manualLocation, statusCallback = null }) {
+  if (!twilioClient) {
+    const errorMsg = 'Twilio voice not configured. Please set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_VOICE_NUMBER.';
+    console.error('❌ Call not placed to', contact.phoneNumber, '-', errorMsg);
+    return { success: false, error: errorMsg };
+  }
+
+  const plate = vehicle.licensePlate.split('').join(' ');
+  let message = `Emergency alert from Assist Q R. An accident involving vehicle ${plate} has been reported, and no one has responded yet.`;
+  if (manualLocation) {
+    message += ` Location: ${manualLocation}.`;
+  }
+  message += ' Please check your SMS or email for the location and details.';
+
+  try {
+    const call = await twilioClient.calls.create({
+      to: contact.phoneNumber,
+      from: TWILIO_VOICE_NUMBER,
+      twiml: `<Response><Say>${escapeXml(message)}</Say><Pause length="1"/><Say>${escapeXml(message)}</Say></Response>`,
+      ...(statusCallback ? { statusCallback, statusCallbackEvent: ['completed'] } : {})
+    });
+
+    console.log(`📞 Alert call placed to ${contact.phoneNumber} (${call.sid})`);
+    return { success: true, callSid: call.sid, provider: 'Twilio Voice' };
+  } catch (error) {
+    console.error('❌ Error placing call to', contact.phoneNumber, ':', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// Connect the bystander to a contact: Twilio calls the bystander first, then
+// dials the contact. Both sides only see the Twilio number as caller ID
+async function bridgeCall({ vehicle, bystanderPhone, contact }) {
+  if (!twilioClient) {
+    const errorMsg = 'Twilio voice not configured. Please set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_VOICE_NUMBER.';
+    console.error('❌ Call bridge not started -', errorMsg);
+    return { success: false, error: errorMsg };
+  }
+
+  const plate = vehicle.licensePlate.split('').join(' ');
+  const intro = `Assist Q R. Connecting you to an emergency contact for vehicle ${plate}. Please stay on the line.`;
+  const noAnswer = 'The emergency contact did not answer. They have been sent your report. Please call local emergency services if needed.';
+
+  try {
+    const call = await twilioClient.calls.create({
+      to: bystanderPhone,
+      from: TWILIO_VOICE_NUMBER,
+      twiml: `<Response><Say>${escapeXml(intro)}</Say>` +
+        `<Dial callerId="${escapeXml(TWILIO_VOICE_NUMBER)}" timeout="30"><Number>${escapeXml(contact.phoneNumber)}</Number></Dial>` +
+        `<Say>${escapeXml(noAnswer)}</Say></Response>`
+    });
+
+    console.log(`📞 Bridge call started for contact ${contact.id} (${call.sid})`);
+    return { success: true, callSid: call.sid, provider: 'Twilio Voice' };
+  } catch (error) {
+    console.error('❌ Error starting bridge call for contact', contact.id, ':', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  sendAccidentAlertCall,
+  bridgeCall
+};
@@ -0,0 +1,125 @@
+// Webhook Authentication
+// Inbound SMS can trigger alerts to every contact of a vehicle, so the SMS
+// webhook only trusts requests signed by Twilio (X-Twilio-Signature) or
+// carrying the Telerivet project's shared secret. Rejected requests are
+// stored in webhook_rejections for abuse review (30 days, at most 20 an hour
+// per address)
+
+const crypto = require('crypto');
+const twilio = require('twilio');
+const prisma = require('../config/database');
+
+const MAX_PAYLOAD_LENGTH = 2000;
+const REJECTION_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const REJECTION_WINDOW_MS = 60 * 60 * 1000;
+const MAX_REJECTIONS_PER_IP = 20; // per REJECTION_WINDOW_MS; later ones are only logged
+
+// Constant-time comparison for shared secrets
+function secretMatches(given, secret) {
+  const expected = Buffer.from(secret);
+  const actual = Buffer.from(String(given || ''));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function twilioValidationEnabled() {
+  return process.env.TWILIO_VALIDATE_WEBHOOKS === 'true';
+}
+
+// Twilio signs the full public URL it posted to, so BASE_URL must match the
+// URL configured in the Twilio console
+function verifyTwilioSignature(req) {
+  const signature = req.get('X-Twilio-Signature');
+  if (!signature) {
+    return 'Missing X-Twilio-Signature header';
+  }
+  if (!process.env.TWILIO_AUTH_TOKEN) {
+    return 'TWILIO_AUTH_TOKEN is not configured';
+  }
+  const url = `${process.env.BASE_URL || `${req.protocol}://${req.get('host')}`}${req.originalUrl}`;
+  if (!twilio.validateRequest(process.env.TWILIO_AUTH_TOKEN, signature, url, req.body || {})) {
+    return 'Invalid X-Twilio-Signature';
+  }
+  return null;
+}
+
+// Telerivet posts the webhook secret from the project settings as `secret`
+function verifyTelerivetSecret(req) {
+  if (!req.body.secret) {
+    return 'Missing Telerivet secret';
+  }
+  if (!secretMatches(req.body.secret, process.env.TELERIVET_WEBHOOK_SECRET)) {
+    return 'Invalid Telerivet secret';
+  }
+  return null;
+}
+
+// Gateways whose check is configured, with the check for each
+function configuredSmsChecks() {
+  const checks = {};
+  if (twilioValidationEnabled()) {
+    checks.Twilio = verifyTwilioSignature;
+  }
+  if (process.env.TELERIVET_WEBHOOK_SECRET) {
+    checks.Telerivet = verifyTelerivetSecret;
+  }
+  return checks;
+}
+
+// Returns the rejection reason for an inbound SMS webhook, or null if trusted
+// source: 'Twilio' | 'Telerivet' | 'Unknown' (payload format, see routes/accidents.js)
+// The payload format is chosen by the sender, so it only picks which reason to
+// report: a request is trusted only if it passes a configured gateway's check.
+// Without any check the webhook is open outside production (local testing) and
+// closed in production
+function verifySmsWebhook(req, source) {
+  const checks = configuredSmsChecks();
+  if (Object.keys(checks).length === 0) {
+    return process.env.NODE_ENV === 'production'
+      ? 'No SMS webhook check configured (TWILIO_VALIDATE_WEBHOOKS or TELERIVET_WEBHOOK_SECRET)'
+      : null;
+  }
+  const reasons = Object.entries(checks).map(([gateway, check]) => [gateway, check(req)]);
+  if (reasons.some(([, reason]) => reason === null)) {
+    return null;
+  }
+  const matching = reasons.find(([gateway]) => gateway === source);
+  return matching ? matching[1] : `Not verified by a configured gateway (${Object.keys(checks).join(', ')})`;
+}
+
+// Store a rejected request (never throws: the caller is already answering 403)
+async function recordWebhookRejection(req, { webhook, source, reason, fromNumber = null }) {
+  console.warn(`⚠️  Rejected ${webhook} webhook from ${req.ip} (${source}): ${reason}`);
+  // Never store the shared secret, even a wrong one
+  const body = Array.isArray(req.body) ? req.body : { ...req.body, secret: undefined };
+  try {
+    // A flood from one address is sampled, not stored in full
+    const recent = await prisma.webhookRejection.count({
+      where: { ipAddress: req.ip || null, createdAt: { gte: new Date(Date.now() - REJECTION_WINDOW_MS) } }
+    });
+    if (recent >= MAX_REJECTIONS_PER_IP) {
+      return;
+    }
+    await prisma.webhookRejection.deleteMany({
+      where: { createdAt: { lt: new Date(Date.now() - REJECTION_RETENTION_MS) } }
+    });
+    await prisma.webhookRejection.create({
+      data: {
+        webhook,
+        source,
+        reason,
+        fromNumber: fromNumber ? String(fromNumber).slice(0, 32) : null,
+        ipAddress: req.ip || null,
+        payload: JSON.stringify(body).slice(0, MAX_PAYLOAD_LENGTH)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error recording webhook rejection:', error);
+  }
+}
+
+module.exports = {
+  secretMatches,
+  verifyTwilioSignature,
+  verifySmsWebhook,
+  recordWebhookRejection
+};
@@ -0,0 +1,56 @@
+// Signed link tests (node --test)
+// Acknowledgement tokens round-trip, and production never signs with the
+// built-in development key
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { stubDatabase } = require('./helpers');
+
+// Signing never touches the database; keep the Prisma client unloaded
+stubDatabase();
+
+const { createAckToken, verifyAckToken, buildSmsAckUrl } = require('../services/acknowledgements');
+
+const ENV_KEYS = ['NODE_ENV', 'ACK_SECRET', 'SESSION_SECRET', 'BASE_URL'];
+
+function withEnv(values, fn) {
+  const saved = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+  for (const key of ENV_KEYS) {
+    delete process.env[key];
+  }
+  Object.assign(process.env, values);
+  try {
+    return fn();
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  }
+}
+
+test('acknowledgement tokens verify and reject tampering', () => {
+  withEnv({ ACK_SECRET: 'test-secret' }, () => {
+    const token = createAckToken(12, 34);
+    assert.deepStrictEqual(verifyAckToken(token), { reportId: 12, contactId: 34 });
+    assert.strictEqual(verifyAckToken(token.replace(/^12\./, '13.')), null);
+  });
+});
+
+test('SMS links drop the scheme and use the short path', () => {
+  withEnv({ ACK_SECRET: 'test-secret', BASE_URL: 'https://assistqr.example' }, () => {
+    assert.strictEqual(buildSmsAckUrl(12, 34), `assistqr.example/a/${createAckToken(12, 34)}`);
+  });
+});
+
+test('production refuses to sign without a secret', () => {
+  withEnv({ NODE_ENV: 'production' }, () => {
+    assert.throws(() => createAckToken(12, 34), /must be set in production/);
+  });
+  withEnv({ NODE_ENV: 'production', SESSION_SECRET: 'session-secret' }, () => {
+    assert.ok(verifyAckToken(createAckToken(12, 34)));
+  });
+});
@@ -0,0 +1,133 @@
+// Call bridge tests (node --test)
+// Runs the bridge against a local fake of the Twilio REST API
+// (TWILIO_API_BASE_URL) and an in-memory report_calls table
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { stubDatabase, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const calls = [];
+const reportStickers = new Map();
+// Only rows reserved before the asking one (id: { lt }) are counted
+const reservedBefore = (call, where) => !where.id || call.id < where.id.lt;
+const nextCallId = () => Math.max(0, ...calls.map(call => call.id)) + 1;
+stubDatabase({
+  reportCall: {
+    async findMany({ where }) {
+      return calls.filter(call => call.accidentReportId === where.accidentReportId && reservedBefore(call, where)).reverse();
+    },
+    async count({ where }) {
+      return calls.filter(call => reservedBefore(call, where) && (where.callerHash
+        ? call.callerHash === where.callerHash
+        : reportStickers.get(call.accidentReportId) === where.accidentReport.qrCodeId)).length;
+    },
+    async create({ data }) {
+      const call = { id: nextCallId(), createdAt: new Date(), ...data };
+      calls.push(call);
+      return call;
+    },
+    async update({ where, data }) {
+      return Object.assign(calls.find(call => call.id === where.id), data);
+    },
+    async delete({ where }) {
+      return calls.splice(calls.findIndex(call => call.id === where.id), 1)[0];
+    }
+  }
+});
+
+// Twilio API requests received by the fake
+const twilioRequests = [];
+let server;
+let startCallBridge;
+let MAX_CALLS_PER_CALLER;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      twilioRequests.push({ method: req.method, url: req.url, params: new URLSearchParams(body) });
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ sid: `CA${String(twilioRequests.length).padStart(32, '0')}`, status: 'queued' }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  // voice.js reads the Twilio settings when it is loaded
+  Object.assign(process.env, {
+    TWILIO_ACCOUNT_SID: `AC${'0'.repeat(32)}`,
+    TWILIO_AUTH_TOKEN: 'test-token',
+    TWILIO_VOICE_NUMBER: '+15005550006',
+    TWILIO_API_BASE_URL: `http://127.0.0.1:${server.address().port}`,
+    ACK_SECRET: 'test-secret'
+  });
+  ({ startCallBridge, MAX_CALLS_PER_CALLER } = require('../services/callBridge'));
+});
+
+test.after(() => {
+  server.close();
+});
+
+function report(id, qrCodeId) {
+  reportStickers.set(id, qrCodeId);
+  return { id, qrCodeId };
+}
+
+const vehicle = {
+  licensePlate: 'KA01AB1234',
+  skipUnverifiedContacts: false,
+  emergencyContacts: [{ id: 7, name: 'Asha', phoneNumber: '+919800000007', channels: 'both' }]
+};
+
+test('bridge asks Twilio to call the bystander and dial the contact', async () => {
+  const result = await startCallBridge({ report: report(1, 5), vehicle, bystanderPhone: '+919811111111' });
+
+  assert.ok(result.call, result.error);
+  assert.strictEqual(result.call.status, 'started');
+  const [request] = twilioRequests;
+  assert.strictEqual(request.method, 'POST');
+  assert.strictEqual(request.url, `/2010-04-01/Accounts/AC${'0'.repeat(32)}/Calls.json`);
+  assert.strictEqual(request.params.get('To'), '+919811111111');
+  assert.strictEqual(request.params.get('From'), '+15005550006');
+  assert.match(request.params.get('Twiml'), /<Number>\+919800000007<\/Number>/);
+  // Only a hash of the bystander's number is logged
+  assert.ok(!JSON.stringify(calls).includes('9811111111'));
+});
+
+test('the same number is refused once it reaches the hourly limit', async () => {
+  const before = twilioRequests.length;
+  // One call per report, each from a different sticker
+  for (let reportId = 2; reportId < 2 + MAX_CALLS_PER_CALLER; reportId++) {
+    const result = await startCallBridge({ report: report(reportId, reportId), vehicle, bystanderPhone: '+919822222222' });
+    assert.ok(result.call, result.error);
+  }
+  const result = await startCallBridge({ report: report(9, 9), vehicle, bystanderPhone: '+91 98222 22222' });
+  assert.match(result.error, /Too many calls from this number/);
+  assert.strictEqual(twilioRequests.length, before + MAX_CALLS_PER_CALLER);
+});
+
+test('a sticker is limited across its reports', async () => {
+  for (let reportId = 10; reportId < 15; reportId++) {
+    reportStickers.set(reportId, 30);
+    calls.push({ id: nextCallId(), accidentReportId: reportId, callerHash: `other-${reportId}`, createdAt: new Date(0) });
+  }
+  const before = twilioRequests.length;
+  const result = await startCallBridge({ report: report(15, 30), vehicle, bystanderPhone: '+919833333333' });
+  assert.match(result.error, /call limit/);
+  assert.strictEqual(twilioRequests.length, before);
+});
+
+test('parallel requests for one report place a single call', async () => {
+  const before = twilioRequests.length;
+  const results = await Promise.all(['+919844444441', '+919844444442', '+919844444443'].map(bystanderPhone =>
+    startCallBridge({ report: report(20, 40), vehicle, bystanderPhone })
+  ));
+  assert.strictEqual(results.filter(result => result.call).length, 1);
+  assert.strictEqual(results.filter(result => /just started/.test(result.error)).length, 2);
+  assert.strictEqual(twilioRequests.length, before + 1);
+  // Refused attempts leave no row behind
+  assert.deepStrictEqual(calls.filter(call => call.accidentReportId === 20).map(call => call.status), ['started']);
+});
@@ -0,0 +1,109 @@
+// Contact verification tests (node --test)
+// Re-verifying one channel keeps the other's credentials, owner-typed names
+// are escaped in the email, and owners cannot resend without limit
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { stubDatabase, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+let contact;
+
+stubDatabase({
+  emergencyContact: {
+    async update({ data }) {
+      Object.assign(contact, data);
+      return contact;
+    },
+    async updateMany({ where, data }) {
+      const matches = Object.entries(where).every(([key, value]) => key === 'id'
+        ? contact.id === value
+        : String(contact[key]) === String(value));
+      if (!matches) {
+        return { count: 0 };
+      }
+      for (const [key, value] of Object.entries(data)) {
+        contact[key] = value && value.increment ? contact[key] + value.increment : value;
+      }
+      return { count: 1 };
+    }
+  },
+  smsOptOut: { findUnique: async () => null }
+});
+
+const { registerProvider } = require('../services/notificationProviders');
+const { sendContactVerification, reserveVerificationResend } = require('../services/contactVerification');
+
+// Messages captured instead of sent
+const sent = [];
+for (const channel of ['email', 'sms']) {
+  registerProvider({
+    id: 'capture',
+    name: `Capture ${channel}`,
+    channel,
+    async send(message) {
+      sent.push({ channel, ...message });
+      return { messageId: `capture-${sent.length}` };
+    }
+  });
+}
+
+test.beforeEach(() => {
+  contact = {
+    id: 3,
+    name: 'Asha',
+    email: 'asha@example.test',
+    phoneNumber: '+919800000003',
+    channels: 'both',
+    verificationToken: null,
+    verificationSentAt: null,
+    verificationResends: 0,
+    verificationResendsSince: null
+  };
+  sent.length = 0;
+  Object.assign(process.env, { EMAIL_PROVIDERS: 'capture', SMS_PROVIDERS: 'capture', SMS_ROUTES: '' });
+});
+
+const vehicle = { licensePlate: 'KA01AB1234' };
+
+test('re-verifying the phone keeps the unused email link', async () => {
+  await sendContactVerification(contact, { vehicle, ownerName: 'Ravi' });
+  const emailToken = contact.verificationToken;
+  assert.ok(emailToken);
+
+  await sendContactVerification(contact, { vehicle, ownerName: 'Ravi', channels: ['sms'] });
+  assert.strictEqual(contact.verificationToken, emailToken);
+  assert.strictEqual(sent.at(-1).channel, 'sms');
+});
+
+test('owner-typed names are escaped in the HTML email', async () => {
+  contact.name = '<img src=x onerror=alert(1)>';
+  await sendContactVerification(contact, { vehicle, ownerName: 'Ravi & <b>Co</b>', channels: ['email'] });
+  const [email] = sent;
+  assert.ok(!email.html.includes('<img src=x'));
+  assert.ok(email.html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+  assert.ok(email.html.includes('Ravi &amp; &lt;b&gt;Co&lt;/b&gt;'));
+  // The plain-text part is not HTML
+  assert.ok(email.text.includes('Ravi & <b>Co</b>'));
+});
+
+test('resends wait for the cooldown and stop at the daily cap', async () => {
+  contact.verificationSentAt = new Date();
+  assert.match(await reserveVerificationResend(contact), /Please wait/);
+
+  contact.verificationSentAt = new Date(Date.now() - 10 * 60 * 1000);
+  assert.strictEqual(await reserveVerificationResend(contact), null);
+  assert.strictEqual(contact.verificationResends, 1);
+
+  // A second request that read the same row loses the race
+  const stale = { ...contact, verificationResends: 0 };
+  assert.ok(await reserveVerificationResend(stale));
+
+  for (let resend = 2; resend <= 5; resend++) {
+    contact.verificationSentAt = new Date(Date.now() - 10 * 60 * 1000);
+    assert.strictEqual(await reserveVerificationResend(contact), null);
+  }
+  contact.verificationSentAt = new Date(Date.now() - 10 * 60 * 1000);
+  assert.match(await reserveVerificationResend(contact), /too many times today/);
+});
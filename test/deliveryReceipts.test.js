@@ -0,0 +1,173 @@
+// Delivery receipt tests (node --test)
+// Receipt webhooks are closed without a secret, and a receipt that arrives
+// before the outbox records its send is applied once it does.
+// The database is an in-memory stand-in
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { stubDatabase, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+let notifications;
+let pendingReceipts;
+const rejections = [];
+
+stubDatabase({
+  notification: {
+    async findFirst({ where }) {
+      return notifications.filter(n => where.providerMessageId.in.includes(n.providerMessageId)).pop() || null;
+    },
+    async findMany() {
+      return [];
+    },
+    async updateMany({ where, data }) {
+      const matching = notifications.filter(n => n.id === where.id && n.status === where.status);
+      matching.forEach(n => Object.assign(n, data));
+      return { count: matching.length };
+    },
+    async create({ data }) {
+      const notification = { id: notifications.length + 1, status: 'pending', skipProviders: [], ...data };
+      notifications.push(notification);
+      return notification;
+    }
+  },
+  pendingReceipt: {
+    async findMany({ where }) {
+      return pendingReceipts.filter(receipt => receipt.messageIds.includes(where.messageIds.has));
+    },
+    async create({ data }) {
+      const receipt = { id: pendingReceipts.length + 1, createdAt: new Date(), ...data };
+      pendingReceipts.push(receipt);
+      return receipt;
+    },
+    async deleteMany({ where }) {
+      const before = pendingReceipts.length;
+      pendingReceipts = pendingReceipts.filter(receipt => where.id
+        ? receipt.id !== where.id
+        : receipt.createdAt >= where.createdAt.lt);
+      return { count: before - pendingReceipts.length };
+    }
+  },
+  accidentReport: {
+    async findUnique() {
+      return { id: 1, status: 'new', vehicle: { skipUnverifiedContacts: false } };
+    }
+  },
+  emergencyContact: {
+    async findUnique() {
+      return { id: 7, name: 'Asha', phoneNumber: '+919800000007', email: 'asha@example.test', channels: 'both' };
+    }
+  },
+  // Nobody here replied STOP
+  smsOptOut: {
+    async findUnique() {
+      return null;
+    }
+  },
+  webhookRejection: {
+    async count() {
+      return 0;
+    },
+    async deleteMany() {
+      return { count: 0 };
+    },
+    async create({ data }) {
+      rejections.push(data);
+      return data;
+    }
+  }
+});
+
+const { applyReceipts, applyPendingReceipts } = require('../services/deliveryReceipts');
+const deliveryWebhooks = require('../routes/deliveryWebhooks');
+
+test.beforeEach(() => {
+  notifications = [];
+  pendingReceipts = [];
+});
+
+function sentSms(providerMessageId) {
+  const notification = {
+    id: notifications.length + 1,
+    accidentReportId: 1,
+    contactId: 7,
+    contactName: 'Asha',
+    channel: 'sms',
+    source: 'report',
+    status: 'sent',
+    provider: 'Fast2SMS',
+    providerMessageId,
+    skipProviders: []
+  };
+  notifications.push(notification);
+  return notification;
+}
+
+test('a failed receipt that arrives first is applied once the send is recorded', async () => {
+  await applyReceipts('Fast2SMS', [{ messageIds: ['req-1'], status: 'failed', error: 'Fast2SMS reported failed' }]);
+  assert.strictEqual(pendingReceipts.length, 1);
+  assert.strictEqual(notifications.length, 0);
+
+  // The outbox marks the notification sent and calls the listener
+  const notification = sentSms('req-1');
+  await applyPendingReceipts(notification);
+
+  assert.strictEqual(notification.status, 'failed');
+  assert.strictEqual(pendingReceipts.length, 0);
+  // With no other SMS provider configured, the fallback goes out by email
+  const fallback = notifications.find(n => n.fallbackForId === notification.id);
+  assert.ok(fallback);
+  assert.strictEqual(fallback.channel, 'email');
+});
+
+test('a receipt for a recorded send is applied right away', async () => {
+  const notification = sentSms('req-2');
+  await applyReceipts('Fast2SMS', [{ messageIds: ['req-2'], status: 'delivered', error: null }]);
+  assert.strictEqual(notification.status, 'delivered');
+  assert.strictEqual(pendingReceipts.length, 0);
+});
+
+// Posts a Fast2SMS "failed" receipt to the webhook router
+async function postReceipt(query) {
+  const app = express();
+  app.use(express.json());
+  app.use('/webhooks/delivery', deliveryWebhooks);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/webhooks/delivery/fast2sms${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ request_id: 'req-3', status: 'failed' })
+    });
+    return response.status;
+  } finally {
+    server.close();
+  }
+}
+
+test('receipts are rejected when no webhook secret is configured', async () => {
+  const saved = process.env.DELIVERY_WEBHOOK_SECRET;
+  try {
+    delete process.env.DELIVERY_WEBHOOK_SECRET;
+    const notification = sentSms('req-3');
+    assert.strictEqual(await postReceipt(''), 403);
+    assert.strictEqual(await postReceipt('?token=anything'), 403);
+    assert.strictEqual(notification.status, 'sent');
+    assert.strictEqual(rejections.at(-1).reason, 'DELIVERY_WEBHOOK_SECRET is not configured');
+
+    process.env.DELIVERY_WEBHOOK_SECRET = 'receipt-secret';
+    assert.strictEqual(await postReceipt('?token=guess'), 403);
+    assert.strictEqual(await postReceipt('?token=receipt-secret'), 204);
+    assert.strictEqual(notification.status, 'failed');
+  } finally {
+    if (saved === undefined) {
+      delete process.env.DELIVERY_WEBHOOK_SECRET;
+    } else {
+      process.env.DELIVERY_WEBHOOK_SECRET = saved;
+    }
+  }
+});
@@ -0,0 +1,168 @@
+// Escalation tests (node --test)
+// A contact's "I'm on it" from their alert link cancels the pending escalation
+// steps; without it, a due step is claimed by one worker only and alerts the
+// next tier. The database is an in-memory stand-in
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const express = require('express');
+const { stubDatabase, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+let report;
+let escalationJobs;
+let queued;
+// Runs after the worker reads due jobs and before it claims them
+let beforeClaim = () => {};
+
+const contacts = [
+  { id: 7, vehicleId: 2, name: 'Asha', phoneNumber: '+919800000007', email: 'asha@example.test', channels: 'both', tier: 1 },
+  { id: 8, vehicleId: 2, name: 'Ravi', phoneNumber: '+919800000008', email: 'ravi@example.test', channels: 'both', tier: 2 }
+];
+
+const tables = {
+  accidentReport: {
+    async findUnique({ where }) {
+      if (report.id !== where.id) {
+        return null;
+      }
+      return {
+        ...report,
+        vehicle: { licensePlate: 'KA01AB1234', skipUnverifiedContacts: false, emergencyContacts: contacts, escalationRules: [] },
+        acknowledgements: [],
+        updates: []
+      };
+    },
+    async updateMany({ where, data }) {
+      const matches = report.id === where.id &&
+        (!('status' in where) || report.status === where.status) &&
+        (!('acknowledgedAt' in where) || report.acknowledgedAt === where.acknowledgedAt);
+      if (matches) {
+        Object.assign(report, data);
+      }
+      return { count: matches ? 1 : 0 };
+    }
+  },
+  emergencyContact: {
+    async findUnique({ where }) {
+      return contacts.find(contact => contact.id === where.id) || null;
+    }
+  },
+  reportAcknowledgement: {
+    async upsert({ create }) {
+      return { id: 1, createdAt: new Date(), ...create };
+    }
+  },
+  reportStatusChange: {
+    async create({ data }) {
+      return data;
+    }
+  },
+  reportMessage: {
+    async findMany() {
+      return [];
+    }
+  },
+  escalationJob: {
+    async findMany() {
+      const now = new Date();
+      const due = escalationJobs.filter(job => job.status === 'pending' && job.runAt <= now).map(job => ({ ...job }));
+      beforeClaim();
+      return due;
+    },
+    async updateMany({ where, data }) {
+      const matching = escalationJobs.filter(job => (where.id
+        ? job.id === where.id && job.status === where.status && job.lockedAt === where.lockedAt
+        : job.accidentReportId === where.accidentReportId && job.status === where.status));
+      for (const job of matching) {
+        Object.assign(job, data, data.attempts ? { attempts: job.attempts + data.attempts.increment } : {});
+      }
+      return { count: matching.length };
+    },
+    async update({ where, data }) {
+      return Object.assign(escalationJobs.find(job => job.id === where.id), data);
+    }
+  },
+  // The outbox worker finds nothing to send; queued alerts are only recorded
+  notification: {
+    async findMany() {
+      return [];
+    },
+    async createMany({ data }) {
+      queued.push(...data);
+      return { count: data.length };
+    }
+  },
+  smsOptOut: {
+    async findMany() {
+      return [];
+    }
+  }
+};
+
+stubDatabase({
+  ...tables,
+  async $transaction(fn) {
+    return fn(tables);
+  }
+});
+
+process.env.ACK_SECRET = 'test-secret';
+const { createAckToken } = require('../services/acknowledgements');
+const { processDueEscalations } = require('../services/escalations');
+const acknowledgements = require('../routes/acknowledgements');
+
+function job(id, tier, minutesAgo) {
+  return { id, accidentReportId: 3, ruleId: id, tier, action: 'sms', status: 'pending', attempts: 0, lockedAt: null, runAt: new Date(Date.now() - minutesAgo * 60 * 1000) };
+}
+
+test.beforeEach(() => {
+  report = { id: 3, vehicleId: 2, status: 'new', acknowledgedAt: null, createdAt: new Date(), lat: null, lng: null };
+  escalationJobs = [job(1, 2, 1), job(2, 2, 0.5)];
+  queued = [];
+  beforeClaim = () => {};
+});
+
+async function acknowledge(token) {
+  const app = express();
+  app.set('view engine', 'ejs');
+  app.set('views', path.join(__dirname, '../views'));
+  app.use('/ack', acknowledgements);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/ack/${token}`, { method: 'POST' });
+    return response.status;
+  } finally {
+    server.close();
+  }
+}
+
+test('"I\'m on it" cancels the pending escalation steps', async () => {
+  assert.strictEqual(await acknowledge(createAckToken(3, 7)), 200);
+
+  assert.strictEqual(report.status, 'acknowledged');
+  assert.ok(report.acknowledgedAt);
+  assert.deepStrictEqual(escalationJobs.map(job => job.status), ['cancelled', 'cancelled']);
+
+  await processDueEscalations();
+  assert.deepStrictEqual(queued, []);
+});
+
+test('without an acknowledgement a due step is claimed once and alerts the next tier', async () => {
+  // A forged link changes nothing
+  assert.strictEqual(await acknowledge('3.7.forged'), 404);
+  assert.deepStrictEqual(escalationJobs.map(job => job.status), ['pending', 'pending']);
+
+  // Another server instance claims step 2 between this worker's read and its claim
+  beforeClaim = () => Object.assign(escalationJobs[1], { status: 'running', lockedAt: new Date() });
+  await processDueEscalations();
+
+  assert.strictEqual(escalationJobs[0].status, 'done');
+  assert.strictEqual(escalationJobs[0].attempts, 1);
+  assert.strictEqual(escalationJobs[1].attempts, 0);
+  assert.deepStrictEqual(queued.map(row => [row.contactId, row.channel, row.source]), [[8, 'sms', 'escalation']]);
+});
@@ -0,0 +1,119 @@
+// Follow-up tests (node --test)
+// Photos posted to a report's follow-up link are stored with their
+// fingerprint, and deleted again when the follow-up is refused.
+// The database is an in-memory stand-in; uploads go to the local folder
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { stubDatabase, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+let report;
+let updates;
+let images;
+
+stubDatabase({
+  accidentReport: {
+    async findUnique({ where }) {
+      return report.id === where.id ? { ...report, vehicle: { licensePlate: 'KA01AB1234' }, updates } : null;
+    },
+    async update({ data: { images: { create }, ...data } }) {
+      Object.assign(report, data);
+      images.push(...create);
+      return report;
+    }
+  },
+  reportUpdate: {
+    async count() {
+      return updates.length;
+    },
+    async create({ data }) {
+      const update = { id: updates.length + 1, createdAt: new Date(), ...data };
+      updates.push(update);
+      return update;
+    }
+  },
+  notification: {
+    async findMany() {
+      return [];
+    }
+  },
+  async $transaction(operations) {
+    return Promise.all(operations);
+  }
+});
+
+process.env.ACK_SECRET = 'test-secret';
+const { createFollowUpToken } = require('../services/acknowledgements');
+const accidents = require('../routes/accidents');
+
+const uploadsDir = path.join(__dirname, '../uploads/accidents');
+
+test.beforeEach(() => {
+  report = { id: 4, status: 'new', createdAt: new Date(), lat: null, lng: null, manualLocation: null };
+  updates = [];
+  images = [];
+});
+
+// Local uploads present now, to tell which ones a request left behind
+function localUploads() {
+  return new Set(fs.readdirSync(uploadsDir));
+}
+
+// Posts one photo and a note to the follow-up link of report 4
+async function postFollowUp(token = createFollowUpToken(4)) {
+  const app = express();
+  app.use('/accidents', accidents);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    const form = new FormData();
+    form.append('note', 'Ambulance arrived');
+    form.append('images', new Blob([`photo ${Date.now()}`], { type: 'image/jpeg' }), 'photo.jpg');
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/accidents/follow-up/${token}`, {
+      method: 'POST',
+      headers: { Accept: 'application/json' },
+      body: form
+    });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    server.close();
+  }
+}
+
+test('a follow-up stores the photo with its fingerprint', async () => {
+  const before = localUploads();
+  const { status, body } = await postFollowUp();
+
+  assert.strictEqual(status, 200, body.error);
+  assert.strictEqual(updates[0].photoCount, 1);
+  assert.strictEqual(images.length, 1);
+  assert.match(images[0].fingerprint, /^sha256:/);
+  const file = path.basename(images[0].imageUrl);
+  assert.ok(!before.has(file) && localUploads().has(file));
+  fs.unlinkSync(path.join(uploadsDir, file));
+});
+
+test('a refused follow-up removes the uploaded photo', async () => {
+  const before = localUploads();
+  report.status = 'resolved';
+  const { status, body } = await postFollowUp();
+
+  assert.strictEqual(status, 409);
+  assert.match(body.error, /closed to updates/);
+  assert.strictEqual(images.length, 0);
+  assert.deepStrictEqual([...localUploads()].filter(file => !before.has(file)), []);
+});
+
+test('an invalid link removes the uploaded photo', async () => {
+  const before = localUploads();
+  const { status } = await postFollowUp('4.forged');
+
+  assert.strictEqual(status, 404);
+  assert.deepStrictEqual([...localUploads()].filter(file => !before.has(file)), []);
+});
@@ -0,0 +1,33 @@
+// Shared test setup (node --test)
+// The Prisma client is not generated for tests, so services get an in-memory
+// stand-in for config/database.js instead
+
+const path = require('path');
+
+const DATABASE_PATH = path.join(__dirname, '../../config/database.js');
+
+// Install `tables` (e.g. { notification: { findMany() {...} } }) as the
+// database module. Call before requiring any service or route
+// Returns the stub, so a test can add or replace tables later
+function stubDatabase(tables = {}) {
+  require.cache[DATABASE_PATH] = {
+    id: DATABASE_PATH,
+    filename: DATABASE_PATH,
+    loaded: true,
+    exports: tables
+  };
+  return tables;
+}
+
+// Services log every step. Console output written while a request or file
+// operation is in flight can garble the Node 20 test runner's stream, so
+// suites that do network or file work turn logging off
+function silenceLogs() {
+  console.log = () => {};
+  console.warn = () => {};
+}
+
+module.exports = {
+  stubDatabase,
+  silenceLogs
+};
@@ -0,0 +1,63 @@
+// Medical profile tests (node --test)
+// Fields kept for "after a report" must never reach the scan page, which the
+// service worker caches for offline use
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { visibleMedicalFields, formatMedicalSms, medicalProfileFields } = require('../services/medicalProfile');
+
+const profile = {
+  bloodGroup: 'O+',
+  allergies: 'Penicillin',
+  medications: null,
+  conditions: 'Type 1 diabetes',
+  organDonor: false,
+  publicFields: ['bloodGroup', 'organDonor', 'medications']
+};
+
+test('scan page shows only filled-in public fields', () => {
+  assert.deepStrictEqual(visibleMedicalFields(profile), [
+    { name: 'bloodGroup', label: 'Blood group', value: 'O+' },
+    { name: 'organDonor', label: 'Organ donor', value: 'No' }
+  ]);
+  assert.deepStrictEqual(visibleMedicalFields(null), []);
+});
+
+test('after a report every filled-in field is shown', () => {
+  assert.deepStrictEqual(
+    visibleMedicalFields(profile, { reported: true }).map(field => field.name),
+    ['bloodGroup', 'allergies', 'conditions', 'organDonor']
+  );
+});
+
+test('SMS reply lists every field shown after a report', () => {
+  assert.strictEqual(
+    formatMedicalSms(visibleMedicalFields(profile, { reported: true })),
+    'Medical: Blood group: O+; Allergies: Penicillin; Medical conditions: Type 1 diabetes; Organ donor: No'
+  );
+  assert.strictEqual(formatMedicalSms([]), '');
+});
+
+test('form values become profile fields, blanks stay unset', () => {
+  assert.deepStrictEqual(
+    medicalProfileFields({
+      bloodGroup: 'AB-',
+      bloodGroupVisibility: 'public',
+      allergies: '  Peanuts ',
+      allergiesVisibility: 'after_report',
+      medications: '   ',
+      organDonor: 'yes',
+      organDonorVisibility: 'public'
+    }),
+    {
+      bloodGroup: 'AB-',
+      allergies: 'Peanuts',
+      medications: null,
+      conditions: null,
+      organDonor: true,
+      publicFields: ['bloodGroup', 'organDonor']
+    }
+  );
+  assert.strictEqual(medicalProfileFields({ bloodGroup: 'Z+' }).bloodGroup, null);
+  assert.strictEqual(medicalProfileFields({ organDonor: '' }).organDonor, null);
+});
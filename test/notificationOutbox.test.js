@@ -0,0 +1,181 @@
+// Notification outbox tests (node --test)
+// A report is answered as soon as its alerts are queued; the worker sends
+// them afterwards, and a failed send goes back to the queue for a retry.
+// The database is an in-memory stand-in
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const express = require('express');
+const { stubDatabase, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const STICKER_TOKEN = crypto.randomUUID();
+const REVOKED_TOKEN = crypto.randomUUID();
+
+const contact = { id: 7, name: 'Asha', email: 'asha@example.test', phoneNumber: '+919800000007', channels: 'email', tier: 1, emailVerifiedAt: new Date() };
+const vehicle = {
+  id: 2,
+  licensePlate: 'KA01AB1234',
+  skipUnverifiedContacts: false,
+  emergencyContacts: [contact],
+  escalationRules: [],
+  user: { id: 1, name: 'Ravi', medicalProfile: null }
+};
+
+let reports;
+let notifications;
+
+stubDatabase({
+  vehicleQrCode: {
+    async findUnique({ where }) {
+      if (where.token === REVOKED_TOKEN) {
+        return { id: 6, token: REVOKED_TOKEN, revokedAt: new Date(), vehicle };
+      }
+      return where.token === STICKER_TOKEN ? { id: 5, token: STICKER_TOKEN, revokedAt: null, vehicle } : null;
+    }
+  },
+  accidentReport: {
+    async findUnique({ where }) {
+      const report = reports.find(r => r.id === where.id);
+      return report ? { ...report, vehicle } : null;
+    },
+    async findFirst() {
+      return null;
+    },
+    async create({ data }) {
+      const report = { id: reports.length + 1, source: 'web', status: 'new', createdAt: new Date(), ...data, images: [] };
+      reports.push(report);
+      return report;
+    }
+  },
+  emergencyContact: {
+    async findUnique({ where }) {
+      return where.id === contact.id ? contact : null;
+    }
+  },
+  notification: {
+    async findMany({ where }) {
+      const [due] = where.OR;
+      return notifications
+        .filter(n => n.status === due.status && n.nextAttemptAt <= due.nextAttemptAt.lte)
+        .map(n => ({ ...n }));
+    },
+    async createMany({ data }) {
+      for (const row of data) {
+        notifications.push({ id: notifications.length + 1, status: 'pending', attempts: 0, lockedAt: null, nextAttemptAt: new Date(), skipProviders: [], ...row });
+      }
+      return { count: data.length };
+    },
+    async updateMany({ where, data }) {
+      const notification = notifications.find(n => n.id === where.id && n.status === where.status && n.lockedAt === where.lockedAt);
+      if (!notification) {
+        return { count: 0 };
+      }
+      Object.assign(notification, data, { attempts: notification.attempts + data.attempts.increment });
+      return { count: 1 };
+    },
+    async update({ where, data }) {
+      return Object.assign(notifications.find(n => n.id === where.id), data);
+    }
+  },
+  pendingReceipt: {
+    async findMany() {
+      return [];
+    }
+  },
+  smsOptOut: {
+    async findMany() {
+      return [];
+    }
+  }
+});
+
+process.env.ACK_SECRET = 'test-secret';
+process.env.EMAIL_PROVIDERS = 'capture-outbox';
+const { registerProvider } = require('../services/notificationProviders');
+const accidents = require('../routes/accidents');
+
+// The email provider holds each send until the test lets it finish
+let deliveries;
+registerProvider({
+  id: 'capture-outbox',
+  name: 'Capture email',
+  channel: 'email',
+  send(message) {
+    return new Promise((resolve, reject) => deliveries.push({ message, resolve, reject }));
+  }
+});
+
+test.beforeEach(() => {
+  reports = [];
+  notifications = [];
+  deliveries = [];
+});
+
+async function submit(qrToken) {
+  const app = express();
+  app.use('/accidents', accidents);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    const form = new FormData();
+    form.append('qrToken', qrToken);
+    form.append('helperNote', 'Bike skidded on the flyover');
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/accidents/report`, {
+      method: 'POST',
+      headers: { Accept: 'application/json' },
+      body: form
+    });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    server.close();
+  }
+}
+
+// Waits for the background worker to reach a state
+async function until(condition) {
+  for (let i = 0; i < 200 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  assert.ok(condition(), 'the outbox worker did not get there');
+}
+
+test('the report is answered before its alert is sent', async () => {
+  const { status, body } = await submit(STICKER_TOKEN);
+
+  assert.strictEqual(status, 200, body.error);
+  assert.strictEqual(body.notificationCount, 1);
+  // The worker has the alert, but the provider has not answered yet
+  await until(() => deliveries.length === 1);
+  assert.strictEqual(notifications[0].status, 'sending');
+  assert.strictEqual(deliveries[0].message.to, contact.email);
+
+  deliveries[0].resolve({ messageId: 'capture-1' });
+  await until(() => notifications[0].status === 'sent');
+  assert.strictEqual(notifications[0].provider, 'Capture email');
+  assert.strictEqual(notifications[0].providerMessageId, 'capture-1');
+});
+
+test('a failed send is queued again for a later retry', async () => {
+  await submit(STICKER_TOKEN);
+  await until(() => deliveries.length === 1);
+  deliveries[0].reject(new Error('Mailbox unavailable'));
+
+  await until(() => notifications[0].status === 'pending');
+  const [notification] = notifications;
+  assert.strictEqual(notification.attempts, 1);
+  assert.match(notification.lastError, /Mailbox unavailable/);
+  assert.ok(notification.nextAttemptAt > new Date());
+});
+
+test('a report for a replaced sticker queues nothing', async () => {
+  const { status, body } = await submit(REVOKED_TOKEN);
+
+  assert.strictEqual(status, 410);
+  assert.match(body.error, /replaced by the vehicle owner/);
+  assert.deepStrictEqual(reports, []);
+  assert.deepStrictEqual(notifications, []);
+});
@@ -0,0 +1,198 @@
+// Provider registry tests (node --test)
+// Order and routing come from environment variables, so each test sets the
+// ones it needs and restores them afterwards
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { registerProvider, providersFor, sendThroughProviders, providerHealth } = require('../services/notificationProviders');
+
+const sent = [];
+
+// Stand-ins for real gateways: "flaky" always fails, "local" only takes
+// Indian numbers (+91, or 10 digits without a country code)
+registerProvider({
+  id: 'flaky',
+  name: 'Flaky SMS',
+  channel: 'sms',
+  async send() {
+    throw new Error('gateway down');
+  }
+});
+registerProvider({
+  id: 'local',
+  name: 'Local SMS',
+  channel: 'sms',
+  supports: phoneNumber => /^(91\d{10}|\d{10})$/.test(phoneNumber.replace(/\D/g, '')),
+  async send(message) {
+    sent.push(['local', message.to]);
+    return { messageId: 'local-1' };
+  }
+});
+registerProvider({
+  id: 'global',
+  name: 'Global SMS',
+  channel: 'sms',
+  async send(message) {
+    sent.push(['global', message.to]);
+    return { messageId: 'global-1' };
+  }
+});
+
+function withEnv(values, fn) {
+  return async () => {
+    const saved = Object.fromEntries(Object.keys(values).map(key => [key, process.env[key]]));
+    Object.assign(process.env, values);
+    try {
+      await fn();
+    } finally {
+      for (const [key, value] of Object.entries(saved)) {
+        if (value === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = value;
+        }
+      }
+    }
+  };
+}
+
+const names = (channel, recipient, options) => providersFor(channel, recipient, options).map(p => p.name);
+
+test('default order is registration order, without the built-in providers', withEnv({ SMS_PROVIDERS: '', SMS_ROUTES: '' }, () => {
+  assert.deepStrictEqual(names('sms', '+919800000001'), ['Flaky SMS', 'Local SMS', 'Global SMS']);
+  assert.deepStrictEqual(names('sms', '+14155550100'), ['Flaky SMS', 'Global SMS']);
+}));
+
+test('configured order and skipped providers', withEnv({ SMS_PROVIDERS: 'global, console, flaky', SMS_ROUTES: '' }, () => {
+  assert.deepStrictEqual(names('sms', '+14155550100'), ['Global SMS', 'Console', 'Flaky SMS']);
+  assert.deepStrictEqual(names('sms', '+14155550100', { skipProviders: ['Global SMS'] }), ['Console', 'Flaky SMS']);
+}));
+
+test('routes by country code, longest prefix first', withEnv({
+  SMS_PROVIDERS: 'global',
+  SMS_ROUTES: '+91=local,global; +1=flaky,global; +1415=console'
+}, () => {
+  assert.deepStrictEqual(names('sms', '+91 98000 00001'), ['Local SMS', 'Global SMS']);
+  assert.deepStrictEqual(names('sms', '+12125550100'), ['Flaky SMS', 'Global SMS']);
+  assert.deepStrictEqual(names('sms', '+14155550100'), ['Console']);
+  assert.deepStrictEqual(names('sms', '+447700900123'), ['Global SMS']);
+  // Ten digits without a country code use SMS_DEFAULT_COUNTRY_CODE (+91)
+  assert.deepStrictEqual(names('sms', '9800000001'), ['Local SMS', 'Global SMS']);
+}));
+
+test('falls through to the next provider when one fails', withEnv({ SMS_PROVIDERS: 'flaky,local,global', SMS_ROUTES: '' }, async () => {
+  sent.length = 0;
+  const result = await sendThroughProviders('sms', { to: '+14155550100', body: 'hi' });
+  assert.deepStrictEqual(result, { success: true, messageId: 'global-1', provider: 'Global SMS' });
+  assert.deepStrictEqual(sent, [['global', '+14155550100']]);
+}));
+
+test('reports the last error when every provider fails', withEnv({ SMS_PROVIDERS: 'flaky', SMS_ROUTES: '' }, async () => {
+  assert.deepStrictEqual(await sendThroughProviders('sms', { to: '+1', body: 'hi' }), { success: false, error: 'gateway down' });
+  assert.match((await sendThroughProviders('email', { to: 'a@example.com' })).error, /No email provider configured/);
+}));
+
+test('file provider appends one JSON line per message', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'assistqr-')), 'out', 'notifications.jsonl');
+  await withEnv({ EMAIL_PROVIDERS: 'file', NOTIFICATION_FILE: file }, async () => {
+    const result = await sendThroughProviders('email', {
+      to: 'a@example.com',
+      subject: 'Test',
+      text: 'Hello',
+      attachments: [{ filename: 'photo.jpg', content: Buffer.from('x') }]
+    });
+    assert.strictEqual(result.provider, 'File');
+
+    const [line] = fs.readFileSync(file, 'utf8').trim().split('\n').map(JSON.parse);
+    assert.strictEqual(line.messageId, result.messageId);
+    assert.strictEqual(line.channel, 'email');
+    assert.strictEqual(line.subject, 'Test');
+    assert.deepStrictEqual(line.attachments, ['photo.jpg']);
+  })();
+});
+
+test('file provider refuses a publicly served folder', withEnv({
+  EMAIL_PROVIDERS: 'file',
+  NOTIFICATION_FILE: path.join(__dirname, '../uploads/notifications.jsonl')
+}, async () => {
+  const result = await sendThroughProviders('email', { to: 'a@example.com', subject: 'Test', text: 'Hello' });
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /publicly served folder/);
+}));
+
+test('local providers are refused in production', withEnv({ NODE_ENV: 'production' }, () => {
+  assert.strictEqual(registerProvider({ id: 'file', name: 'File', channel: 'sms', async send() {} }), null);
+}));
+
+test('health lists every registered provider', async () => {
+  const health = await providerHealth({ live: true });
+  const consoleSms = health.find(h => h.id === 'console' && h.channel === 'sms');
+  assert.strictEqual(consoleSms.name, 'Console');
+  assert.strictEqual(consoleSms.configured, true);
+  assert.strictEqual(consoleSms.ok, true);
+  assert.strictEqual(consoleSms.detail, 'Logs messages');
+  assert.ok(health.some(h => h.id === 'flaky'));
+});
+
+test('circuit opens after repeated failures and the provider goes last', withEnv({
+  SMS_PROVIDERS: 'breaker,global',
+  SMS_ROUTES: '',
+  PROVIDER_FAILURE_THRESHOLD: '2',
+  PROVIDER_COOLDOWN_MS: '60000'
+}, async () => {
+  let calls = 0;
+  let failing = true;
+  registerProvider({
+    id: 'breaker',
+    name: 'Breaker SMS',
+    channel: 'sms',
+    async send() {
+      calls += 1;
+      if (failing) {
+        throw new Error('timeout');
+      }
+      return { messageId: 'breaker-1' };
+    }
+  });
+  const breaker = async () => (await providerHealth()).find(h => h.id === 'breaker');
+
+  await sendThroughProviders('sms', { to: '+14155550100', body: 'one' });
+  assert.strictEqual((await breaker()).circuit, 'closed');
+  await sendThroughProviders('sms', { to: '+14155550100', body: 'two' });
+  const opened = await breaker();
+  assert.strictEqual(opened.circuit, 'open');
+  assert.strictEqual(opened.failures, 2);
+  assert.strictEqual(opened.consecutiveFailures, 2);
+  assert.strictEqual(opened.lastError, 'timeout');
+  assert.ok(opened.reopensAt > new Date());
+
+  // While open, the next provider is tried first
+  const result = await sendThroughProviders('sms', { to: '+14155550100', body: 'three' });
+  assert.strictEqual(result.provider, 'Global SMS');
+  assert.strictEqual(calls, 2);
+
+  // After the cooldown one trial send closes the circuit again
+  process.env.PROVIDER_COOLDOWN_MS = '1';
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.strictEqual((await breaker()).circuit, 'half-open');
+  failing = false;
+  assert.strictEqual((await sendThroughProviders('sms', { to: '+14155550100', body: 'four' })).provider, 'Breaker SMS');
+  const closed = await breaker();
+  assert.strictEqual(closed.circuit, 'closed');
+  assert.strictEqual(closed.successes, 1);
+  assert.strictEqual(closed.consecutiveFailures, 0);
+}));
+
+test('an open provider is still tried when nothing else is left', withEnv({
+  SMS_PROVIDERS: 'flaky',
+  SMS_ROUTES: '',
+  PROVIDER_FAILURE_THRESHOLD: '1',
+  PROVIDER_COOLDOWN_MS: '60000'
+}, async () => {
+  await sendThroughProviders('sms', { to: '+1', body: 'x' });
+  assert.strictEqual((await providerHealth()).find(h => h.id === 'flaky').circuit, 'open');
+  assert.deepStrictEqual(await sendThroughProviders('sms', { to: '+1', body: 'y' }), { success: false, error: 'gateway down' });
+}));
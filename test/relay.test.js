@@ -0,0 +1,126 @@
+// Relay tests (node --test)
+// A bystander's message from the thank-you page reaches the alerted contacts
+// by SMS without either side seeing the other's number, and is refused once
+// the conversation has closed. The database is an in-memory stand-in
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { stubDatabase, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+let report;
+let messages;
+
+const contact = { id: 7, vehicleId: 2, name: 'Asha', phoneNumber: '+919800000007', email: 'asha@example.test', channels: 'sms' };
+
+stubDatabase({
+  accidentReport: {
+    async findUnique({ where }) {
+      return report.id === where.id ? { ...report, vehicle: { licensePlate: 'KA01AB1234' } } : null;
+    }
+  },
+  reportMessage: {
+    async count() {
+      return messages.length;
+    },
+    async create({ data }) {
+      const message = { id: messages.length + 1, createdAt: new Date(), ...data };
+      messages.push(message);
+      return message;
+    },
+    async findMany({ where }) {
+      return messages.filter(message => message.id > where.id.gt);
+    }
+  },
+  // Asha's alert was delivered, so she is part of the conversation
+  notification: {
+    async findMany() {
+      return [{ contactId: contact.id }];
+    }
+  },
+  emergencyContact: {
+    async findMany({ where }) {
+      return where.id.in.includes(contact.id) && where.vehicleId === contact.vehicleId ? [contact] : [];
+    }
+  },
+  smsOptOut: {
+    async findUnique() {
+      return null;
+    }
+  }
+});
+
+process.env.ACK_SECRET = 'test-secret';
+const { createStatusToken } = require('../services/acknowledgements');
+const { registerProvider } = require('../services/notificationProviders');
+const accidents = require('../routes/accidents');
+
+// Relayed SMS, captured instead of sent
+const sent = [];
+registerProvider({
+  id: 'capture-relay',
+  name: 'Capture SMS',
+  channel: 'sms',
+  async send(message) {
+    sent.push(message);
+    return { messageId: `capture-${sent.length}` };
+  }
+});
+
+test.beforeEach(() => {
+  report = { id: 3, vehicleId: 2, status: 'acknowledged', createdAt: new Date(), reporterPhone: null };
+  messages = [];
+  sent.length = 0;
+  Object.assign(process.env, { SMS_PROVIDERS: 'capture-relay', SMS_ROUTES: '' });
+});
+
+async function relay(method, token, body) {
+  const app = express();
+  app.use(express.json());
+  app.use('/accidents', accidents);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/accidents/messages/${token}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    server.close();
+  }
+}
+
+test('a bystander message is relayed to the alerted contact', async () => {
+  const token = createStatusToken(3);
+  const { status, body } = await relay('POST', token, { body: 'He is breathing, ambulance on the way' });
+
+  assert.strictEqual(status, 200, body.error);
+  assert.strictEqual(body.message.fromHelper, true);
+  assert.strictEqual(messages[0].sender, 'bystander');
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].to, contact.phoneNumber);
+  assert.match(sent[0].body, /^AssistQR KA01AB1234: Helper says "He is breathing, ambulance on the way"/);
+
+  // The contact's reply is shown to the bystander without the contact's name
+  messages.push({ id: 2, sender: 'contact', contactId: contact.id, senderName: contact.name, body: 'On my way', createdAt: new Date() });
+  const thread = await relay('GET', token);
+  assert.deepStrictEqual(thread.body.messages.map(message => message.fromHelper), [true, false]);
+  assert.ok(!JSON.stringify(thread.body).includes('Asha'));
+});
+
+test('a closed conversation refuses messages', async () => {
+  report.status = 'resolved';
+  const { status, body } = await relay('POST', createStatusToken(3), { body: 'Are you coming?' });
+
+  assert.strictEqual(status, 409);
+  assert.strictEqual(body.error, 'This conversation has closed.');
+  assert.deepStrictEqual(messages, []);
+  assert.deepStrictEqual(sent, []);
+
+  assert.strictEqual((await relay('POST', '3.forged', { body: 'Hello' })).status, 404);
+});
@@ -0,0 +1,133 @@
+// Report merge tests (node --test)
+// A full report synced after an SMS-first one: the claim and the update are
+// one transaction, and photos already on the report are not added twice.
+// The database is an in-memory stand-in whose transactions roll back on error
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { stubDatabase, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+let report;
+let images;
+let failNextUpdate = false;
+
+function tables() {
+  return {
+    accidentReport: {
+      async updateMany({ where, data }) {
+        if (report.id !== where.id || report.mergedAt !== where.mergedAt) {
+          return { count: 0 };
+        }
+        Object.assign(report, data);
+        return { count: 1 };
+      },
+      async update({ data: { images: { create }, ...data } }) {
+        if (failNextUpdate) {
+          failNextUpdate = false;
+          throw new Error('connection reset');
+        }
+        Object.assign(report, data);
+        images.push(...create);
+        return report;
+      }
+    },
+    accidentImage: {
+      async findMany() {
+        return images.filter(image => image.fingerprint);
+      }
+    },
+    notification: {
+      async findMany() {
+        return [];
+      }
+    }
+  };
+}
+
+stubDatabase({
+  ...tables(),
+  async $transaction(fn) {
+    const saved = { report: { ...report }, images: [...images] };
+    try {
+      return await fn(tables());
+    } catch (error) {
+      ({ report, images } = saved);
+      throw error;
+    }
+  }
+});
+
+const { canMerge, mergeIntoReport } = require('../services/reportMerge');
+
+// Uploaded photos live in the local uploads folder when S3 is not configured
+const uploadsDir = path.join(__dirname, '../uploads/accidents');
+
+function upload(name, fingerprint) {
+  const file = `merge-test-${process.pid}-${name}.jpg`;
+  fs.writeFileSync(path.join(uploadsDir, file), name);
+  return { imageUrl: `http://localhost:3000/uploads/accidents/${file}`, fingerprint };
+}
+
+function uploaded(image) {
+  return fs.existsSync(path.join(uploadsDir, path.basename(image.imageUrl)));
+}
+
+test.beforeEach(() => {
+  report = { id: 1, source: 'sms', status: 'new', mergedAt: null, helperNote: null, lat: null, lng: null, manualLocation: 'Near the toll plaza', idempotencyKey: null };
+  images = [];
+});
+
+test.after(() => {
+  for (const file of fs.readdirSync(uploadsDir).filter(name => name.startsWith(`merge-test-${process.pid}-`))) {
+    fs.unlinkSync(path.join(uploadsDir, file));
+  }
+});
+
+test('a failed update leaves the report mergeable and removes the uploads', async () => {
+  const photo = upload('front', 'sha256:front');
+  failNextUpdate = true;
+
+  await assert.rejects(
+    mergeIntoReport(report, { images: [photo], lat: 12.97, lng: 77.59, helperNote: 'Rider is breathing' }),
+    /connection reset/
+  );
+  assert.strictEqual(report.mergedAt, null);
+  assert.ok(canMerge(report));
+  assert.deepStrictEqual(images, []);
+  assert.ok(!uploaded(photo));
+
+  // The retried sync then merges normally
+  const retry = upload('front-retry', 'sha256:front');
+  const result = await mergeIntoReport(report, { images: [retry], lat: 12.97, lng: 77.59, helperNote: 'Rider is breathing' });
+  assert.strictEqual(result.merged, true);
+  assert.ok(report.mergedAt);
+  assert.strictEqual(report.helperNote, 'Rider is breathing');
+  assert.deepStrictEqual(images, [retry]);
+  assert.ok(uploaded(retry));
+});
+
+test('photos already on the report are skipped, new ones are added', async () => {
+  report.source = 'offline';
+  images = [{ imageUrl: 'http://localhost:3000/uploads/accidents/earlier.jpg', fingerprint: 'sha256:front' }];
+  const duplicate = upload('front-again', 'sha256:front');
+  const side = upload('side', 'sha256:side');
+
+  const result = await mergeIntoReport(report, { images: [duplicate, side], lat: null, lng: null });
+  assert.strictEqual(result.added.photos, 1);
+  assert.deepStrictEqual(images.map(image => image.fingerprint), ['sha256:front', 'sha256:side']);
+  assert.ok(!uploaded(duplicate));
+  assert.ok(uploaded(side));
+});
+
+test('a second merge of the same report attaches nothing', async () => {
+  report.mergedAt = new Date();
+  const photo = upload('late', 'sha256:late');
+
+  assert.deepStrictEqual(await mergeIntoReport(report, { images: [photo], lat: null, lng: null }), { merged: false });
+  assert.deepStrictEqual(images, []);
+  assert.ok(!uploaded(photo));
+});
@@ -0,0 +1,139 @@
+// Report replay tests (node --test)
+// Offline sync can send the same queued report twice. The client's
+// idempotency key makes the second copy return the first report instead of
+// alerting the contacts again, even when both copies arrive at once.
+// The database is an in-memory stand-in
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const express = require('express');
+const { stubDatabase, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+const STICKER_TOKEN = crypto.randomUUID();
+
+const vehicle = {
+  id: 2,
+  licensePlate: 'KA01AB1234',
+  skipUnverifiedContacts: false,
+  emergencyContacts: [{ id: 7, name: 'Asha', email: 'asha@example.test', phoneNumber: '+919800000007', channels: 'email', tier: 1, emailVerifiedAt: new Date() }],
+  escalationRules: [],
+  user: { id: 1, name: 'Ravi', medicalProfile: null }
+};
+
+let reports;
+let notifications;
+// Set to simulate a concurrent copy that inserts the same key first
+let concurrentCopy = null;
+
+stubDatabase({
+  vehicleQrCode: {
+    async findUnique({ where }) {
+      return where.token === STICKER_TOKEN ? { id: 5, token: STICKER_TOKEN, revokedAt: null, vehicle } : null;
+    }
+  },
+  accidentReport: {
+    async findUnique({ where }) {
+      const report = reports.find(r => r.idempotencyKey === where.idempotencyKey);
+      return report
+        ? { ...report, vehicle, notifications: notifications.filter(n => n.accidentReportId === report.id) }
+        : null;
+    },
+    async findFirst() {
+      return null;
+    },
+    async create({ data }) {
+      if (concurrentCopy) {
+        reports.push({ ...concurrentCopy, idempotencyKey: data.idempotencyKey });
+        concurrentCopy = null;
+        throw Object.assign(new Error('Unique constraint failed on the fields: (`idempotency_key`)'), { code: 'P2002' });
+      }
+      const report = { id: reports.length + 1, source: 'web', status: 'new', mergedAt: null, createdAt: new Date(), ...data, images: [] };
+      reports.push(report);
+      return report;
+    }
+  },
+  notification: {
+    async findMany() {
+      return [];
+    },
+    async createMany({ data }) {
+      notifications.push(...data.map(row => ({ status: 'pending', ...row })));
+      return { count: data.length };
+    }
+  },
+  smsOptOut: {
+    async findMany() {
+      return [];
+    }
+  }
+});
+
+process.env.ACK_SECRET = 'test-secret';
+const accidents = require('../routes/accidents');
+
+test.beforeEach(() => {
+  reports = [];
+  notifications = [];
+  concurrentCopy = null;
+});
+
+// Submits the report form as the offline sync does
+async function submit(fields) {
+  const app = express();
+  app.use('/accidents', accidents);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    const form = new FormData();
+    for (const [name, value] of Object.entries({ qrToken: STICKER_TOKEN, helperNote: 'Bike skidded on the flyover', ...fields })) {
+      form.append(name, value);
+    }
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/accidents/report`, {
+      method: 'POST',
+      headers: { Accept: 'application/json' },
+      body: form
+    });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    server.close();
+  }
+}
+
+test('a report synced twice alerts the contacts once', async () => {
+  const idempotencyKey = crypto.randomUUID();
+  const first = await submit({ idempotencyKey });
+  assert.strictEqual(first.status, 200, first.body.error);
+  assert.strictEqual(first.body.notificationCount, 1);
+  assert.strictEqual(notifications.length, 1);
+
+  const second = await submit({ idempotencyKey });
+  assert.strictEqual(second.status, 200);
+  assert.strictEqual(second.body.replayed, true);
+  assert.strictEqual(second.body.reportId, first.body.reportId);
+  assert.strictEqual(second.body.notificationCount, 1);
+  assert.strictEqual(reports.length, 1);
+  assert.strictEqual(notifications.length, 1);
+});
+
+test('a copy that loses the race to insert gets the original back', async () => {
+  concurrentCopy = { id: 9, source: 'web', status: 'new', mergedAt: null };
+  const { status, body } = await submit({ idempotencyKey: crypto.randomUUID() });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.replayed, true);
+  assert.strictEqual(body.reportId, 9);
+  assert.deepStrictEqual(notifications, []);
+});
+
+test('a malformed key is refused before anything is stored', async () => {
+  const { status, body } = await submit({ idempotencyKey: 'retry-1' });
+
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.error, 'Invalid form data');
+  assert.deepStrictEqual(reports, []);
+  assert.deepStrictEqual(notifications, []);
+});
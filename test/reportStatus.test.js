@@ -0,0 +1,118 @@
+// Report status tests (node --test)
+// The owner moves a report through its workflow from the vehicle page: each
+// change is recorded with who made it, closing a report stops escalation,
+// and transitions the workflow does not allow are refused.
+// The database is an in-memory stand-in
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const express = require('express');
+const { stubDatabase, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+let report;
+let statusChanges;
+let escalationJobs;
+
+const tables = {
+  accidentReport: {
+    async findFirst({ where }) {
+      return report.id === where.id && where.vehicle.userId === 1 ? { ...report } : null;
+    },
+    async updateMany({ where, data }) {
+      if (report.id !== where.id || report.status !== where.status) {
+        return { count: 0 };
+      }
+      Object.assign(report, data);
+      return { count: 1 };
+    }
+  },
+  reportStatusChange: {
+    async create({ data }) {
+      statusChanges.push(data);
+      return data;
+    }
+  },
+  escalationJob: {
+    async updateMany({ where, data }) {
+      const pending = escalationJobs.filter(job => job.accidentReportId === where.accidentReportId && job.status === where.status);
+      pending.forEach(job => Object.assign(job, data));
+      return { count: pending.length };
+    }
+  }
+};
+
+stubDatabase({
+  ...tables,
+  async $transaction(fn) {
+    return fn(tables);
+  }
+});
+
+const accidents = require('../routes/accidents');
+
+test.beforeEach(() => {
+  report = { id: 3, vehicleId: 2, status: 'new' };
+  statusChanges = [];
+  escalationJobs = [{ id: 1, accidentReportId: 3, status: 'pending' }];
+});
+
+// Posts the status form as the signed-in owner (user 1)
+async function changeStatus(reportId, form) {
+  const app = express();
+  app.set('view engine', 'ejs');
+  app.set('views', path.join(__dirname, '../views'));
+  app.use(express.urlencoded({ extended: true }));
+  app.use((req, res, next) => {
+    req.session = { userId: 1, userName: 'Ravi' };
+    next();
+  });
+  app.use('/accidents', accidents);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/accidents/${reportId}/status`, {
+      method: 'POST',
+      redirect: 'manual',
+      body: new URLSearchParams(form)
+    });
+    return { status: response.status, location: response.headers.get('location') };
+  } finally {
+    server.close();
+  }
+}
+
+test('resolving a report records the change and cancels escalation', async () => {
+  const { status, location } = await changeStatus(3, { status: 'resolved', note: 'Rider is home' });
+
+  assert.strictEqual(status, 302);
+  assert.strictEqual(location, '/vehicles/2#report-3');
+  assert.strictEqual(report.status, 'resolved');
+  assert.deepStrictEqual(statusChanges, [{
+    accidentReportId: 3,
+    fromStatus: 'new',
+    toStatus: 'resolved',
+    note: 'Rider is home',
+    userId: 1,
+    actorName: 'Ravi'
+  }]);
+  assert.strictEqual(escalationJobs[0].status, 'cancelled');
+});
+
+test('a transition the workflow does not allow is refused', async () => {
+  report.status = 'resolved';
+  const { status, location } = await changeStatus(3, { status: 'acknowledged', returnTo: 'report' });
+
+  assert.strictEqual(status, 302);
+  assert.match(location, /^\/accidents\/3\?error=This%20report%20cannot%20be%20moved/);
+  assert.strictEqual(report.status, 'resolved');
+  assert.deepStrictEqual(statusChanges, []);
+  assert.strictEqual(escalationJobs[0].status, 'pending');
+
+  // Someone else's report, or no report at all
+  assert.strictEqual((await changeStatus(4, { status: 'resolved' })).status, 404);
+  assert.strictEqual((await changeStatus('abc', { status: 'resolved' })).status, 404);
+});
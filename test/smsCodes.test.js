@@ -0,0 +1,56 @@
+// SMS code tests (node --test)
+// The check character, forgiving normalisation of typed codes, and rejection
+// of typos that would report against someone else's sticker
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { generateSmsCode, normalizeSmsCode, formatSmsCode } = require('../services/smsCodes');
+
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+test('the last character is the Luhn mod 32 check of the first seven', () => {
+  // K7M2Q9X: every other value doubled from the right, base 32 digits summed
+  // to 76, and 32 - 76 % 32 = 20 is M
+  assert.strictEqual(normalizeSmsCode('K7M2Q9XM'), 'K7M2Q9XM');
+  assert.strictEqual(normalizeSmsCode('K7M2Q9XF'), null);
+  assert.strictEqual(normalizeSmsCode('0000000'), null);
+  assert.strictEqual(normalizeSmsCode('00000000'), '00000000');
+
+  for (let i = 0; i < 50; i++) {
+    const code = generateSmsCode();
+    assert.match(code, /^[0-9A-HJKMNP-TV-Z]{8}$/);
+    assert.strictEqual(normalizeSmsCode(code), code);
+  }
+});
+
+test('typed codes forgive case, separators and look-alike letters', () => {
+  assert.strictEqual(normalizeSmsCode('k7m2-q9xm'), 'K7M2Q9XM');
+  assert.strictEqual(normalizeSmsCode(' K7M2 Q9XM '), 'K7M2Q9XM');
+  assert.strictEqual(formatSmsCode('K7M2Q9XM'), 'K7M2-Q9XM');
+
+  // Crockford: I and L read as 1, O as 0
+  const code = '1100000' + checkOf('1100000');
+  assert.strictEqual(normalizeSmsCode(code.replace(/^11/, 'IL')), code);
+  assert.strictEqual(normalizeSmsCode(code.replace(/0/g, 'O')), code);
+  assert.strictEqual(normalizeSmsCode(code.replace(/^11/, 'il').replace(/0/g, 'o')), code);
+});
+
+test('any single mistyped character is rejected', () => {
+  const code = generateSmsCode();
+  for (let position = 0; position < code.length; position++) {
+    for (const char of ALPHABET) {
+      if (char === code[position]) {
+        continue;
+      }
+      const typo = code.slice(0, position) + char + code.slice(position + 1);
+      assert.strictEqual(normalizeSmsCode(typo), null, `${typo} accepted for ${code}`);
+    }
+  }
+  assert.strictEqual(normalizeSmsCode(code.slice(0, -1)), null);
+  assert.strictEqual(normalizeSmsCode(`${code}0`), null);
+});
+
+// The valid check character for `data`, found by trying each one
+function checkOf(data) {
+  return [...ALPHABET].find(char => normalizeSmsCode(data + char));
+}
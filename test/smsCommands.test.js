@@ -0,0 +1,215 @@
+// SMS command parser tests (node --test)
+// Each case is an inbound webhook body as Twilio or Telerivet posts it, and
+// the command the parser should read from it
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseWebhookPayload, parseSmsCommand, decodePlusCode } = require('../services/smsCommands');
+
+const CODE = 'K7M2Q9XM'; // Valid check character
+const UUID = '3b2f1c4e-9a1d-4c2e-8f00-123456789abc';
+
+const twilio = text => ({ From: '+14155550100', To: '+14155550199', Body: text, MessageSid: 'SM123' });
+const telerivet = text => ({ event: 'incoming_message', from_number: '+919800000001', content: text, phone_id: 'PN1' });
+
+const report = fields => ({
+  command: 'report',
+  code: CODE,
+  lat: null,
+  lng: null,
+  manualLocation: null,
+  helperNote: null,
+  ...fields
+});
+
+const cases = [
+  // Exact format built by the report page
+  {
+    name: 'coordinates and note',
+    body: twilio(`REPORT ${CODE} 12.9716 77.5946 NOTE two cars collided`),
+    expected: report({ lat: 12.9716, lng: 77.5946, helperNote: 'two cars collided' })
+  },
+  {
+    name: 'manual location and note',
+    body: telerivet(`REPORT ${CODE} LOCATION MG Road near metro NOTE driver unconscious`),
+    expected: report({ manualLocation: 'MG Road near metro', helperNote: 'driver unconscious' })
+  },
+  {
+    name: 'full QR token instead of a short code',
+    body: twilio(`REPORT ${UUID} 12.9716 77.5946`),
+    expected: report({ code: UUID, lat: 12.9716, lng: 77.5946 })
+  },
+
+  // Keywords and punctuation typed by hand
+  {
+    name: 'lowercase keywords',
+    body: telerivet(`report ${CODE.toLowerCase()} location ring road note bike skid`),
+    expected: report({ manualLocation: 'ring road', helperNote: 'bike skid' })
+  },
+  {
+    name: 'punctuation after REPORT and around the code',
+    body: twilio(`Report: ${CODE}, 12.9716, 77.5946. Note: car on fire`),
+    expected: report({ lat: 12.9716, lng: 77.5946, helperNote: 'car on fire' })
+  },
+  {
+    name: 'code typed with a dash and look-alike letters',
+    body: twilio('REPORT k7m2-q9xm LOC: Hosur Rd'),
+    expected: report({ manualLocation: 'Hosur Rd' })
+  },
+  {
+    name: 'code typed as two groups of four',
+    body: telerivet('REPORT K7M2 Q9XM 12.9716,77.5946'),
+    expected: report({ lat: 12.9716, lng: 77.5946 })
+  },
+  {
+    name: 'comma-separated coordinates without spaces and free text as note',
+    body: twilio(`REPORT ${CODE} 12.9716,77.5946 truck overturned`),
+    expected: report({ lat: 12.9716, lng: 77.5946, helperNote: 'truck overturned' })
+  },
+  {
+    name: 'negative coordinates',
+    body: twilio(`REPORT ${CODE} -33.8688, 151.2093`),
+    expected: report({ lat: -33.8688, lng: 151.2093 })
+  },
+  {
+    name: 'free text without keywords becomes the note',
+    body: telerivet(`REPORT ${CODE} car flipped over`),
+    expected: report({ helperNote: 'car flipped over' })
+  },
+
+  // Maps links
+  {
+    name: 'Google Maps ?q= link',
+    body: twilio(`REPORT ${CODE} https://maps.google.com/?q=12.9716,77.5946 NOTE help`),
+    expected: report({ lat: 12.9716, lng: 77.5946, helperNote: 'help' })
+  },
+  {
+    name: 'Google Maps @lat,lng link with text around it',
+    body: telerivet(`REPORT ${CODE} near the flyover https://www.google.com/maps/place/X/@12.9352,77.6245,17z`),
+    expected: report({ lat: 12.9352, lng: 77.6245, helperNote: 'near the flyover' })
+  },
+  {
+    name: 'Google Maps api=1 query link',
+    body: twilio(`REPORT ${CODE} https://www.google.com/maps/search/?api=1&query=28.6139%2C77.2090`),
+    expected: report({ lat: 28.6139, lng: 77.209 })
+  },
+  {
+    name: 'Apple Maps link',
+    body: twilio(`REPORT ${CODE} https://maps.apple.com/?ll=19.0760,72.8777`),
+    expected: report({ lat: 19.076, lng: 72.8777 })
+  },
+  {
+    name: 'OpenStreetMap link',
+    body: telerivet(`REPORT ${CODE} https://www.openstreetmap.org/#map=17/13.0827/80.2707`),
+    expected: report({ lat: 13.0827, lng: 80.2707 })
+  },
+  {
+    name: 'geo: URI',
+    body: twilio(`REPORT ${CODE} geo:22.5726,88.3639`),
+    expected: report({ lat: 22.5726, lng: 88.3639 })
+  },
+  {
+    name: 'short maps link is passed on as the location',
+    body: twilio(`REPORT ${CODE} https://maps.app.goo.gl/AbCdEf123 NOTE hurry`),
+    expected: report({ manualLocation: 'https://maps.app.goo.gl/AbCdEf123', helperNote: 'hurry' })
+  },
+
+  // Plus codes
+  {
+    name: 'full plus code',
+    body: telerivet(`REPORT ${CODE} 849VCWC8+R9`),
+    expected: report({ lat: 37.422063, lng: -122.084063 })
+  },
+  {
+    name: 'short plus code with town is kept as text',
+    body: twilio(`REPORT ${CODE} LOCATION WC8+R9 Mountain View NOTE two injured`),
+    expected: report({ manualLocation: 'WC8+R9 Mountain View', helperNote: 'two injured' })
+  },
+
+  // Single-word replies from emergency contacts
+  { name: 'ACK', body: twilio('ACK'), expected: { command: 'ack' } },
+  { name: 'lowercase ack with punctuation', body: telerivet(' ack! '), expected: { command: 'ack' } },
+  { name: 'STATUS', body: twilio('Status?'), expected: { command: 'status' } },
+  { name: 'STOP', body: twilio('STOP'), expected: { command: 'stop' } },
+  { name: 'carrier STOP synonym', body: telerivet('unsubscribe'), expected: { command: 'stop' } },
+  { name: 'START', body: twilio('Start.'), expected: { command: 'start' } },
+  { name: 'HELP', body: telerivet('help'), expected: { command: 'help' } },
+  {
+    name: 'command word inside a sentence is a relay message',
+    body: twilio('please stop the car'),
+    expected: { command: null, error: 'unknown_command' }
+  },
+
+  // Errors with targeted replies
+  {
+    name: 'REPORT without a code',
+    body: twilio('REPORT'),
+    expected: { command: 'report', error: 'missing_code' }
+  },
+  {
+    name: 'coordinates straight after REPORT',
+    body: telerivet('REPORT 12.9716,77.5946 NOTE crash'),
+    expected: { command: 'report', error: 'missing_code' }
+  },
+  {
+    name: 'mistyped code (check character fails)',
+    body: twilio('REPORT K7M2Q9XN 12.9716 77.5946'),
+    expected: { command: 'report', error: 'invalid_code', received: 'K7M2Q9XN' }
+  },
+  {
+    name: 'coordinates out of range',
+    body: telerivet(`REPORT ${CODE} 95.1234, 77.5946`),
+    expected: { command: 'report', error: 'invalid_coordinates' }
+  },
+  {
+    name: 'not a command',
+    body: twilio('Is anyone coming?'),
+    expected: { command: null, error: 'unknown_command' }
+  },
+  {
+    name: 'empty message',
+    body: telerivet('   '),
+    expected: { command: null, error: 'empty' }
+  }
+];
+
+for (const { name, body, expected } of cases) {
+  test(name, () => {
+    const { messageBody } = parseWebhookPayload(body);
+    const result = parseSmsCommand(messageBody);
+    const { reply, ...command } = result;
+
+    assert.deepStrictEqual(command, expected);
+    if (expected.error) {
+      assert.ok(reply, 'errors carry a reply for the sender');
+    } else {
+      assert.strictEqual(reply, undefined);
+    }
+  });
+}
+
+test('webhook payload formats', () => {
+  const payloads = [
+    [twilio('hi'), { source: 'Twilio', fromNumber: '+14155550100', messageBody: 'hi', toNumber: '+14155550199' }],
+    [{ from_number: '+919800000001', content: 'hi', to_number: '+91980' }, { source: 'Telerivet', fromNumber: '+919800000001', messageBody: 'hi', toNumber: '+91980' }],
+    [telerivet('hi'), { source: 'Telerivet', fromNumber: '+919800000001', messageBody: 'hi', toNumber: 'PN1' }],
+    [{ event: 'message_received', from: '+1', message: 'hi', to: '+2' }, { source: 'Telerivet', fromNumber: '+1', messageBody: 'hi', toNumber: '+2' }],
+    [{ from: '+1', body: 'hi' }, { source: 'Unknown', fromNumber: '+1', messageBody: 'hi', toNumber: undefined }]
+  ];
+  for (const [body, expected] of payloads) {
+    assert.deepStrictEqual(parseWebhookPayload(body), expected);
+  }
+});
+
+test('replies name the problem', () => {
+  assert.match(parseSmsCommand('REPORT').reply, /code printed under the QR sticker/);
+  assert.match(parseSmsCommand('REPORT K7M2Q9XN').reply, /"K7M2Q9XN" is not a valid vehicle code/);
+  assert.match(parseSmsCommand(`REPORT ${CODE} 95.1,77.5`).reply, /latitude first/);
+  assert.match(parseSmsCommand('hello').reply, /^Unknown command/);
+});
+
+test('plus code decoding', () => {
+  assert.deepStrictEqual(decodePlusCode('8FVC9G8F+6X'), { lat: 47.365563, lng: 8.524938 });
+  assert.strictEqual(decodePlusCode('WC8+R9'), null);
+  assert.strictEqual(decodePlusCode('ZZZZZZZZ+ZZ'), null);
+});
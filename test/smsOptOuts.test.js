@@ -0,0 +1,100 @@
+// SMS opt-out tests (node --test)
+// STOP applies to the phone number, contact or not, and sendSMS honours it
+// for every message; alerts read it from the opt-out table only, which is
+// kept in memory
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { stubDatabase } = require('./helpers');
+
+const optOuts = new Map();
+stubDatabase({
+  smsOptOut: {
+    async findUnique({ where }) {
+      return optOuts.get(where.phoneNumber) || null;
+    },
+    async findMany({ where }) {
+      return where.phoneNumber.in.filter(phoneNumber => optOuts.has(phoneNumber)).map(phoneNumber => optOuts.get(phoneNumber));
+    },
+    async createMany({ data }) {
+      const added = data.filter(({ phoneNumber }) => !optOuts.has(phoneNumber));
+      added.forEach(({ phoneNumber }) => optOuts.set(phoneNumber, { phoneNumber, createdAt: new Date() }));
+      return { count: added.length };
+    },
+    async deleteMany({ where }) {
+      return { count: optOuts.delete(where.phoneNumber) ? 1 : 0 };
+    }
+  }
+});
+
+const { handleContactCommand } = require('../services/contactCommands');
+const { registerProvider } = require('../services/notificationProviders');
+const { sendSMS } = require('../services/sms');
+const { smsOptOutsFor } = require('../services/smsOptOuts');
+const { planContactChannels } = require('../services/contactAlerts');
+
+const bystander = '+919844444444';
+const sent = [];
+
+registerProvider({
+  id: 'capture-optout',
+  name: 'Capture SMS',
+  channel: 'sms',
+  async send(message) {
+    sent.push(message.to);
+    return { messageId: 'capture-1' };
+  }
+});
+
+async function withCaptureProvider(fn) {
+  const saved = { SMS_PROVIDERS: process.env.SMS_PROVIDERS, SMS_ROUTES: process.env.SMS_ROUTES };
+  Object.assign(process.env, { SMS_PROVIDERS: 'capture-optout', SMS_ROUTES: '' });
+  try {
+    return await fn();
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  }
+}
+
+test('STOP from a bystander is stored and confirmed once', async () => {
+  assert.match(await handleContactCommand('stop', bystander), /no longer get SMS/);
+  assert.ok(optOuts.has(bystander));
+  assert.strictEqual(await handleContactCommand('stop', bystander), null);
+});
+
+test('no SMS reaches an opted-out number', async () => {
+  const result = await withCaptureProvider(() => sendSMS(bystander, 'AssistQR: Family contact replies "on my way"'));
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.optedOut, true);
+  assert.deepStrictEqual(sent, []);
+});
+
+test('START turns SMS back on', async () => {
+  assert.match(await handleContactCommand('start', bystander), /on again/);
+  assert.strictEqual(await handleContactCommand('start', bystander), null);
+  const result = await withCaptureProvider(() => sendSMS(bystander, 'AssistQR: Family contact replies "on my way"'));
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(sent, [bystander]);
+});
+
+test('alerts skip SMS to a contact whose number replied STOP', async () => {
+  const contact = { id: 5, name: 'Ravi', phoneNumber: '+919855555555', email: 'ravi@example.test', channels: 'both', tier: 1 };
+  const vehicle = { licensePlate: 'KA01AB1234', skipUnverifiedContacts: false, emergencyContacts: [contact], escalationRules: [] };
+  await handleContactCommand('stop', contact.phoneNumber);
+
+  const smsOptOuts = await smsOptOutsFor([contact.phoneNumber, bystander]);
+  assert.deepStrictEqual([...smsOptOuts.keys()], [contact.phoneNumber]);
+  const [plan] = planContactChannels(vehicle, { online: false, contacts: [contact], smsOptOuts });
+  assert.deepStrictEqual(plan.channels, ['email']);
+  assert.deepStrictEqual(plan.skipped, ['sms']);
+
+  await handleContactCommand('start', contact.phoneNumber);
+  const [resumed] = planContactChannels(vehicle, { online: false, contacts: [contact], smsOptOuts: await smsOptOutsFor([contact.phoneNumber]) });
+  assert.deepStrictEqual(resumed.channels.sort(), ['email', 'sms']);
+});
@@ -0,0 +1,148 @@
+// Triage answer tests (node --test)
+// Form values to stored fields, and the compact SMS encoding, which has to
+// leave room in a 160-character alert
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { stubDatabase } = require('./helpers');
+
+// sendSMS checks the SMS opt-out table; nobody here has opted out
+stubDatabase({ smsOptOut: { findUnique: async () => null } });
+
+const { parseTriage, formatTriageSms, triageItems } = require('../services/triage');
+const { registerProvider } = require('../services/notificationProviders');
+const { sendAccidentAlertSMS } = require('../services/sms');
+const { sendAccidentAlertEmail } = require('../services/email');
+
+test('form values become typed fields, blanks and "not sure" stay unknown', () => {
+  assert.deepStrictEqual(
+    parseTriage({ injuredCount: '2', riderConscious: 'no', fireOrFuelLeak: 'yes', ambulanceCalled: 'unknown' }),
+    { injuredCount: 2, riderConscious: false, fireOrFuelLeak: true, ambulanceCalled: null }
+  );
+  assert.deepStrictEqual(
+    parseTriage({ injuredCount: '0' }),
+    { injuredCount: 0, riderConscious: null, fireOrFuelLeak: null, ambulanceCalled: null }
+  );
+  assert.strictEqual(parseTriage({ injuredCount: '' }).injuredCount, null);
+  assert.strictEqual(parseTriage({}).riderConscious, null);
+});
+
+test('SMS encoding leaves out unknown answers', () => {
+  assert.strictEqual(
+    formatTriageSms({ injuredCount: 2, riderConscious: false, fireOrFuelLeak: true, ambulanceCalled: false }),
+    'Inj:2 Consc:N Fire:Y Amb:N'
+  );
+  assert.strictEqual(formatTriageSms({ injuredCount: 0, riderConscious: null, fireOrFuelLeak: null, ambulanceCalled: true }), 'Inj:0 Amb:Y');
+  assert.strictEqual(formatTriageSms({ injuredCount: null, riderConscious: null, fireOrFuelLeak: null, ambulanceCalled: null }), '');
+  assert.strictEqual(formatTriageSms(undefined), '');
+});
+
+test('email items flag answers that need action', () => {
+  const items = triageItems({ injuredCount: 1, riderConscious: false, fireOrFuelLeak: null, ambulanceCalled: true });
+  assert.deepStrictEqual(items.map(item => [item.label, item.value, item.urgent]), [
+    ['People injured', '1', true],
+    ['Rider conscious', 'No', true],
+    ['Fire or fuel leak', 'Not sure', false],
+    ['Ambulance called', 'Yes', false]
+  ]);
+  assert.deepStrictEqual(triageItems({ injuredCount: null }), []);
+});
+
+// Alert SMS bodies, captured instead of sent
+const sent = [];
+registerProvider({
+  id: 'capture',
+  name: 'Capture SMS',
+  channel: 'sms',
+  async send(message) {
+    sent.push(message.body);
+    return { messageId: 'capture-1' };
+  }
+});
+registerProvider({
+  id: 'capture',
+  name: 'Capture email',
+  channel: 'email',
+  async send(message) {
+    sent.push(message.html);
+    return { messageId: 'capture-2' };
+  }
+});
+
+async function alertSmsBody(details) {
+  const saved = { SMS_PROVIDERS: process.env.SMS_PROVIDERS, SMS_ROUTES: process.env.SMS_ROUTES };
+  Object.assign(process.env, { SMS_PROVIDERS: 'capture', SMS_ROUTES: '' });
+  try {
+    await sendAccidentAlertSMS({
+      vehicle: { licensePlate: 'KA01AB1234', model: 'Royal Enfield Classic', color: 'Black' },
+      contact: { name: 'A', phoneNumber: '+919800000001' },
+      triage: { injuredCount: 2, riderConscious: false, fireOrFuelLeak: true, ambulanceCalled: false },
+      ...details
+    });
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  }
+  return sent.pop();
+}
+
+test('alert SMS keeps triage and stays within one part', async () => {
+  const body = await alertSmsBody({
+    lat: 12.971599,
+    lng: 77.594566,
+    helperNote: 'Rider thrown off near the median, helmet cracked'
+  });
+  assert.ok(body.startsWith('EMERGENCY ALERT Inj:2 Consc:N Fire:Y Amb:N\n'));
+  assert.ok(body.length <= 160, `${body.length} characters`);
+  assert.ok(body.endsWith('From AssistQR'));
+});
+
+test('alert SMS with the acknowledgement link stays within one part', async () => {
+  const ackUrl = 'assistqr.onrender.com/a/123456.789.AbCdEfGhIjKlMnOp';
+  const body = await alertSmsBody({
+    lat: 12.971599,
+    lng: 77.594566,
+    helperNote: 'Rider thrown off near the median, helmet cracked',
+    ackUrl
+  });
+  assert.ok(body.length <= 160, `${body.length} characters`);
+  assert.ok(body.startsWith('EMERGENCY ALERT Inj:2 Consc:N Fire:Y Amb:N\nKA01AB1234\n'));
+  // The location survives; the link is whole
+  assert.ok(body.includes('maps.google.com/?q=12.971599,77.594566\n'));
+  assert.ok(body.endsWith(`\nOn it? ${ackUrl}`));
+
+  const manual = await alertSmsBody({ manualLocation: 'Outer Ring Road, opposite the Marathahalli bridge bus stop', ackUrl });
+  assert.ok(manual.length <= 160, `${manual.length} characters`);
+  assert.ok(manual.includes('Outer Ring Road'));
+  assert.ok(manual.endsWith(ackUrl));
+});
+
+test('alert email escapes what the helper typed', async () => {
+  const saved = process.env.EMAIL_PROVIDERS;
+  process.env.EMAIL_PROVIDERS = 'capture';
+  try {
+    await sendAccidentAlertEmail({
+      vehicle: { licensePlate: 'KA01AB1234' },
+      contact: { name: 'A', email: 'a@example.test' },
+      manualLocation: '<a href="https://phish.example">Tap here</a>',
+      helperNote: '<img src=x onerror=alert(1)>',
+      triage: { injuredCount: 2, riderConscious: false, fireOrFuelLeak: null, ambulanceCalled: null }
+    });
+  } finally {
+    if (saved === undefined) {
+      delete process.env.EMAIL_PROVIDERS;
+    } else {
+      process.env.EMAIL_PROVIDERS = saved;
+    }
+  }
+  const html = sent.pop();
+  assert.ok(html.includes('<span class="label">People injured:</span> 2</div>'));
+  assert.ok(!html.includes('<img src=x'));
+  assert.ok(!html.includes('<a href="https://phish.example">'));
+  assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+});
@@ -0,0 +1,117 @@
+// SMS webhook authentication tests (node --test)
+// The payload format is up to the sender, so a body shaped like another
+// gateway's must not skip the check of the gateway that is configured.
+// Rejections are stored for review, but not without bound
+
+const test = require('node:test');
+const assert = require('node:assert');
+const twilio = require('twilio');
+const { stubDatabase, silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+// Rejections recorded by recordWebhookRejection
+let rejections = [];
+stubDatabase({
+  webhookRejection: {
+    async count({ where }) {
+      return rejections.filter(row => row.ipAddress === where.ipAddress && row.createdAt >= where.createdAt.gte).length;
+    },
+    async deleteMany({ where }) {
+      const before = rejections.length;
+      rejections = rejections.filter(row => row.createdAt >= where.createdAt.lt);
+      return { count: before - rejections.length };
+    },
+    async create({ data }) {
+      rejections.push({ createdAt: new Date(), ...data });
+      return data;
+    }
+  }
+});
+
+const { verifySmsWebhook, recordWebhookRejection } = require('../services/webhookAuth');
+
+const ENV_KEYS = ['NODE_ENV', 'TWILIO_VALIDATE_WEBHOOKS', 'TWILIO_AUTH_TOKEN', 'TELERIVET_WEBHOOK_SECRET', 'BASE_URL'];
+
+function withEnv(values, fn) {
+  const saved = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+  for (const key of ENV_KEYS) {
+    delete process.env[key];
+  }
+  Object.assign(process.env, values);
+  try {
+    return fn();
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  }
+}
+
+function fakeRequest(body, headers = {}) {
+  return {
+    body,
+    protocol: 'https',
+    originalUrl: '/accidents/sms-webhook',
+    get: name => headers[name] ?? (name === 'host' ? 'example.test' : undefined)
+  };
+}
+
+const twilioBody = { From: '+919800000001', Body: 'REPORT ABC1 near the flyover' };
+const telerivetBody = { from_number: '+919800000001', content: 'REPORT ABC1 near the flyover' };
+
+test('spoofed Telerivet body is rejected when only Twilio validation is on', () => {
+  withEnv({ TWILIO_VALIDATE_WEBHOOKS: 'true', TWILIO_AUTH_TOKEN: 'token' }, () => {
+    assert.ok(verifySmsWebhook(fakeRequest(telerivetBody), 'Telerivet'));
+    assert.ok(verifySmsWebhook(fakeRequest(telerivetBody, { 'X-Twilio-Signature': 'forged' }), 'Telerivet'));
+    assert.ok(verifySmsWebhook(fakeRequest({ text: 'hi' }), 'Unknown'));
+  });
+});
+
+test('Twilio-signed request passes', () => {
+  withEnv({ TWILIO_VALIDATE_WEBHOOKS: 'true', TWILIO_AUTH_TOKEN: 'token', BASE_URL: 'https://example.test' }, () => {
+    const signature = twilio.getExpectedTwilioSignature('token', 'https://example.test/accidents/sms-webhook', twilioBody);
+    assert.strictEqual(verifySmsWebhook(fakeRequest(twilioBody, { 'X-Twilio-Signature': signature }), 'Twilio'), null);
+    assert.strictEqual(verifySmsWebhook(fakeRequest(twilioBody), 'Twilio'), 'Missing X-Twilio-Signature header');
+  });
+});
+
+test('Telerivet secret is required when it is the configured gateway', () => {
+  withEnv({ TELERIVET_WEBHOOK_SECRET: 'shh' }, () => {
+    assert.strictEqual(verifySmsWebhook(fakeRequest({ ...telerivetBody, secret: 'shh' }), 'Telerivet'), null);
+    assert.strictEqual(verifySmsWebhook(fakeRequest({ ...telerivetBody, secret: 'guess' }), 'Telerivet'), 'Invalid Telerivet secret');
+    // A Twilio-shaped body cannot bypass the Telerivet check either
+    assert.ok(verifySmsWebhook(fakeRequest(twilioBody), 'Twilio'));
+  });
+});
+
+test('webhook is closed in production when no check is configured', () => {
+  withEnv({ NODE_ENV: 'production' }, () => {
+    assert.ok(verifySmsWebhook(fakeRequest(telerivetBody), 'Telerivet'));
+  });
+  withEnv({}, () => {
+    assert.strictEqual(verifySmsWebhook(fakeRequest(telerivetBody), 'Telerivet'), null);
+  });
+});
+
+test('rejections are capped per address and old ones are pruned', async () => {
+  rejections = [{ ipAddress: '198.51.100.1', createdAt: new Date(Date.now() - 40 * 24 * 60 * 60 * 1000) }];
+  const rejected = ip => recordWebhookRejection({ ...fakeRequest(telerivetBody), ip }, {
+    webhook: 'sms',
+    source: 'Telerivet',
+    reason: 'Invalid Telerivet secret'
+  });
+
+  for (let i = 0; i < 25; i++) {
+    await rejected('203.0.113.7');
+  }
+  await rejected('203.0.113.8');
+
+  assert.strictEqual(rejections.filter(row => row.ipAddress === '203.0.113.7').length, 20);
+  assert.strictEqual(rejections.filter(row => row.ipAddress === '203.0.113.8').length, 1);
+  assert.ok(!rejections.some(row => row.ipAddress === '198.51.100.1'));
+});